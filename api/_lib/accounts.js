@@ -0,0 +1,151 @@
+/**
+ * NeoClip 302 - Accounts and Devices
+ * A person can use NeoClip as a guest (anonymous row keyed by device id) and
+ * later sign in with Supabase Auth. Signing in links the guest account:
+ * converted in place when the auth user has no account yet, otherwise merged
+ * into the existing one by merge_user_accounts() (see supabase/schema.sql
+ * for the conflict rules).
+ *
+ * Every device an account is used on is tracked in user_devices, so one
+ * account can be used on web and mobile.
+ */
+
+import { updatePrivilegedFields } from './audit.js';
+import { getSignupTrial } from './subscriptions.js';
+
+// Supabase Auth providers that map onto users.auth_provider
+export const AUTH_PROVIDERS = ['google', 'apple', 'email', 'github'];
+
+// merge_user_accounts() result -> HTTP status + message
+export const MERGE_ERRORS = {
+  not_found: [404, 'Guest account not found - it may already be linked'],
+  not_anonymous: [409, 'This device belongs to another signed-in account'],
+  subscription_conflict: [409, 'Both accounts have an active subscription - cancel one before linking']
+};
+
+/**
+ * The users row of a Supabase Auth session, or null if it has none yet
+ * On first sign-in a row registered with the same (verified) email is linked.
+ */
+export async function findAuthAccount(supabase, auth, authProvider) {
+  if (auth.userId) {
+    const { data } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', auth.userId)
+      .single();
+    return data || null;
+  }
+
+  if (!auth.email) return null;
+
+  const { data } = await supabase
+    .from('users')
+    .select('*')
+    .eq('email', auth.email)
+    .is('auth_user_id', null)
+    .maybeSingle();
+
+  if (!data) return null;
+
+  await updatePrivilegedFields(supabase, data.id, {
+    auth_user_id: auth.authUserId,
+    auth_provider: authProvider,
+    auth_provider_id: auth.authUserId,
+    email_verified: true
+  }, { actor: `user:${data.id}`, reason: 'auth_link' });
+
+  return { ...data, auth_user_id: auth.authUserId, auth_provider: authProvider };
+}
+
+/**
+ * Turn a guest account into the account of a Supabase Auth user
+ * Returns false when the guest was linked (or its plan changed) concurrently
+ * and nothing was converted.
+ */
+export async function convertGuestAccount(supabase, guest, auth, authProvider) {
+  // This is the account's signup - a guest still on plain free starts the trial
+  const trial = guest.tier === 'free' && !guest.stripe_subscription_id ? getSignupTrial() : null;
+
+  const converted = await updatePrivilegedFields(supabase, guest.id, {
+    auth_user_id: auth.authUserId,
+    auth_provider: authProvider,
+    auth_provider_id: auth.authUserId,
+    email: auth.email,
+    email_verified: !!auth.email,
+    ...(trial && {
+      tier: trial.tier,
+      subscription_status: 'trialing',
+      subscription_ends_at: trial.endsAt
+    })
+  }, {
+    actor: `user:${guest.id}`,
+    reason: 'account_link',
+    expected: { auth_user_id: null, ...(trial && { tier: guest.tier }) }
+  });
+
+  if (converted && trial) console.log(`🎁 Trial started: ${guest.id} on ${trial.tier} until ${trial.endsAt}`);
+  return converted;
+}
+
+/**
+ * Merge a guest account into a signed-in account
+ * Returns { result, generationsMoved, creditsMoved }.
+ */
+export async function mergeGuestAccount(supabase, guestId, targetId, actor) {
+  const { data, error } = await supabase.rpc('merge_user_accounts', {
+    source_user_id: guestId,
+    target_user_id: targetId,
+    actor
+  });
+
+  if (error) {
+    throw new Error(`Failed to merge ${guestId} into ${targetId}: ${error.message}`);
+  }
+
+  const row = Array.isArray(data) ? data[0] : data;
+  return {
+    result: row?.result || 'not_found',
+    generationsMoved: row?.generations_moved || 0,
+    creditsMoved: row?.credits_moved || 0
+  };
+}
+
+/**
+ * Record that an account is used on a device (moves the device if another
+ * account had it)
+ */
+export async function trackDevice(supabase, userId, { deviceId, devicePlatform, deviceModel, osVersion, appVersion, ip }) {
+  if (!deviceId) return;
+
+  const { error } = await supabase
+    .from('user_devices')
+    .upsert({
+      user_id: userId,
+      device_id: deviceId,
+      device_platform: devicePlatform || null,
+      device_model: deviceModel || null,
+      os_version: osVersion || null,
+      app_version: appVersion || null,
+      last_ip: ip || null,
+      last_seen_at: new Date().toISOString()
+    }, { onConflict: 'device_id' });
+
+  if (error) {
+    console.error(`Failed to track device ${deviceId} for ${userId}:`, error.message);
+  }
+}
+
+/**
+ * The signed-in account a device is linked to, or null
+ */
+export async function getLinkedAccount(supabase, deviceId) {
+  const { data } = await supabase
+    .from('user_devices')
+    .select('user_id, users!inner(auth_user_id)')
+    .eq('device_id', deviceId)
+    .not('users.auth_user_id', 'is', null)
+    .maybeSingle();
+
+  return data ? data.user_id : null;
+}
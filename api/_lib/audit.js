@@ -0,0 +1,69 @@
+/**
+ * NeoClip 302 - Privileged User Fields
+ * Tier, subscription, billing ids, identity and referral counters are never
+ * user-editable. Server code changes them through updatePrivilegedFields(),
+ * which calls update_user_privileged() so each change is written to
+ * user_audit_log with its actor and reason.
+ *
+ * Actors: 'stripe', 'system', 'admin:<name>', 'user:<id>' (own identity
+ * linking), 'promo:<code>' (set inside redeem_promo_code).
+ */
+
+// Keep in sync with privileged_user_fields() in supabase/schema.sql
+export const PRIVILEGED_FIELDS = [
+  'tier', 'subscription_status', 'subscription_ends_at',
+  'stripe_customer_id', 'stripe_subscription_id',
+  'email', 'email_verified', 'auth_user_id', 'auth_provider', 'auth_provider_id',
+  'referral_count', 'referral_rewards_claimed'
+];
+
+/**
+ * Update privileged fields of a user, recording the change in the audit log
+ * `expected` guards against concurrent changes: the update only applies while
+ * the row still has these values. Returns true if the row was updated.
+ */
+export async function updatePrivilegedFields(supabase, userId, changes, { actor, reason = null, expected = null }) {
+  const unknown = Object.keys(changes).filter(field => !PRIVILEGED_FIELDS.includes(field));
+  if (unknown.length) {
+    throw new Error(`Not privileged fields: ${unknown.join(', ')}`);
+  }
+
+  const { data, error } = await supabase.rpc('update_user_privileged', {
+    target_user_id: userId,
+    changes,
+    actor,
+    reason,
+    expected
+  });
+
+  if (error) {
+    throw new Error(`Failed to update user ${userId}: ${error.message}`);
+  }
+  return data === true;
+}
+
+/**
+ * Audit log entries for a user, newest first
+ */
+export async function getAuditLog(supabase, userId, limit = 50) {
+  const { data, error } = await supabase
+    .from('user_audit_log')
+    .select('id, field, old_value, new_value, actor, reason, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to fetch audit log for ${userId}: ${error.message}`);
+  }
+
+  return (data || []).map(entry => ({
+    id: entry.id,
+    field: entry.field,
+    oldValue: entry.old_value,
+    newValue: entry.new_value,
+    actor: entry.actor,
+    reason: entry.reason,
+    createdAt: entry.created_at
+  }));
+}
@@ -0,0 +1,276 @@
+/**
+ * NeoClip 302 - Request Authentication
+ * Every user-facing handler is wrapped in withAuth(), which reads the
+ * `Authorization: Bearer <token>` header and sets req.auth. Handlers take
+ * the user from req.auth.userId and never from the body or query string.
+ *
+ * Two kinds of token are accepted:
+ * - Supabase Auth access tokens (signed-in users). Verified locally with
+ *   SUPABASE_JWT_SECRET when set (HS256 projects), otherwise via
+ *   supabase.auth.getUser(). Mapped to a users row through users.auth_user_id.
+ * - Device tokens (anonymous users). HS256 JWTs issued by POST /api/user and
+ *   signed with DEVICE_TOKEN_SECRET, carrying the users.id and device id.
+ *
+ * req.auth = { type: 'supabase' | 'device', userId, authUserId, deviceId, email, provider }
+ * userId is null for a signed-in user who hasn't registered with POST /api/user yet.
+ *
+ * Admin routes use withAdmin() instead: an X-Admin-Key header matching
+ * ADMIN_API_KEY plus X-Admin-Actor naming the operator, for the audit log.
+ * Scheduled jobs use withCron(): Vercel Cron sends `Authorization: Bearer
+ * <CRON_SECRET>`.
+ */
+
+import crypto from 'crypto';
+import { getSupabase } from './supabase.js';
+
+export const DEVICE_TOKEN_ISSUER = 'neoclip-device';
+export const DEVICE_TOKEN_TTL_DAYS = 365;
+
+function authError(message, statusCode = 401) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split a JWT into its decoded header and payload (unverified)
+ */
+function decodeToken(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const header = decodeSegment(parts[0]);
+  const payload = decodeSegment(parts[1]);
+  return header && payload ? { header, payload, parts } : null;
+}
+
+/**
+ * Verify an HS256 JWT and its expiry, returning the payload
+ */
+function verifyHs256(decoded, secret) {
+  if (decoded.header.alg !== 'HS256') throw authError('Unsupported token algorithm');
+
+  const [header, payload, signature] = decoded.parts;
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${header}.${payload}`)
+    .digest();
+  const actual = Buffer.from(signature, 'base64url');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw authError('Invalid token signature');
+  }
+
+  if (decoded.payload.exp && decoded.payload.exp * 1000 <= Date.now()) {
+    throw authError('Token expired');
+  }
+
+  return decoded.payload;
+}
+
+/**
+ * Issue a device token for an anonymous user
+ */
+export function signDeviceToken(userId, deviceId) {
+  const secret = process.env.DEVICE_TOKEN_SECRET;
+  if (!secret) throw authError('Device tokens are not configured', 503);
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    iss: DEVICE_TOKEN_ISSUER,
+    sub: userId,
+    did: deviceId,
+    iat: now,
+    exp: now + DEVICE_TOKEN_TTL_DAYS * 24 * 60 * 60
+  }));
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${header}.${payload}`)
+    .digest('base64url');
+
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Verify a device token, returning { userId, deviceId }
+ * Only checks the signature and expiry - not that the account still exists.
+ */
+export function verifyDeviceToken(token) {
+  const decoded = typeof token === 'string' ? decodeToken(token) : null;
+  if (!decoded || decoded.payload.iss !== DEVICE_TOKEN_ISSUER) throw authError('Not a device token');
+
+  const secret = process.env.DEVICE_TOKEN_SECRET;
+  if (!secret) throw authError('Device tokens are not configured', 503);
+
+  const claims = verifyHs256(decoded, secret);
+  return { userId: claims.sub, deviceId: claims.did };
+}
+
+/**
+ * Verify a Supabase Auth access token, returning { id, email, provider }
+ */
+async function verifySupabaseToken(supabase, token, decoded) {
+  const secret = process.env.SUPABASE_JWT_SECRET;
+
+  if (secret && decoded.header.alg === 'HS256') {
+    const claims = verifyHs256(decoded, secret);
+    if (claims.aud !== 'authenticated' || !claims.sub) throw authError('Invalid token audience');
+
+    return {
+      id: claims.sub,
+      email: claims.email || null,
+      provider: claims.app_metadata?.provider || 'email'
+    };
+  }
+
+  // Asymmetric signing keys (or no local secret) - let Supabase Auth verify it
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) throw authError('Invalid or expired session');
+
+  return {
+    id: data.user.id,
+    email: data.user.email || null,
+    provider: data.user.app_metadata?.provider || 'email'
+  };
+}
+
+/**
+ * Authenticate a request from its bearer token
+ * Returns null when no token was sent; throws a 401 error for bad tokens.
+ */
+export async function authenticate(req) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return null;
+
+  const token = match[1].trim();
+  const decoded = decodeToken(token);
+  if (!decoded) throw authError('Malformed token');
+
+  const supabase = getSupabase();
+  if (!supabase) throw authError('Database connection failed', 500);
+
+  if (decoded.payload.iss === DEVICE_TOKEN_ISSUER) {
+    const claims = verifyDeviceToken(token);
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, device_id, auth_user_id')
+      .eq('id', claims.userId)
+      .single();
+
+    // Gone once the guest account has been linked into a signed-in account
+    if (!user || user.auth_user_id || (user.device_id && user.device_id !== claims.deviceId)) {
+      throw authError('Device token no longer valid');
+    }
+
+    return { type: 'device', userId: user.id, authUserId: null, deviceId: claims.deviceId, email: null, provider: 'anonymous' };
+  }
+
+  const authUser = await verifySupabaseToken(supabase, token, decoded);
+  const { data: user } = await supabase
+    .from('users')
+    .select('id, device_id')
+    .eq('auth_user_id', authUser.id)
+    .maybeSingle();
+
+  return {
+    type: 'supabase',
+    userId: user?.id || null,
+    authUserId: authUser.id,
+    deviceId: user?.device_id || null,
+    email: authUser.email,
+    provider: authUser.provider
+  };
+}
+
+/**
+ * Wrap a handler so it only runs for authenticated requests
+ * - optional:          let requests without a token through (req.auth = null)
+ * - allowUnregistered: let signed-in users without a users row through
+ * Preflight requests always reach the handler.
+ */
+export function withAuth(handler, { optional = false, allowUnregistered = false } = {}) {
+  return async function authenticatedHandler(req, res) {
+    if (req.method === 'OPTIONS') return handler(req, res);
+
+    try {
+      req.auth = await authenticate(req);
+    } catch (error) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      return res.status(error.statusCode || 401).json({ error: 'Unauthorized', message: error.message });
+    }
+
+    if (!req.auth && !optional) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      return res.status(401).json({ error: 'Unauthorized', message: 'Missing bearer token' });
+    }
+
+    if (req.auth && !req.auth.userId && !allowUnregistered) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      return res.status(403).json({ error: 'Account not registered', message: 'Call POST /api/user first' });
+    }
+
+    return handler(req, res);
+  };
+}
+
+/**
+ * Wrap an admin handler: requires X-Admin-Key (ADMIN_API_KEY) and
+ * X-Admin-Actor, and sets req.admin = { actor: 'admin:<name>' }
+ */
+export function withAdmin(handler) {
+  return async function adminHandler(req, res) {
+    if (req.method === 'OPTIONS') return handler(req, res);
+
+    const secret = process.env.ADMIN_API_KEY;
+    const key = String(req.headers?.['x-admin-key'] || '');
+    const name = String(req.headers?.['x-admin-actor'] || '').trim();
+
+    const expected = crypto.createHash('sha256').update(secret || '').digest();
+    const actual = crypto.createHash('sha256').update(key).digest();
+
+    if (!secret || !key || !crypto.timingSafeEqual(actual, expected)) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      return res.status(401).json({ error: 'Unauthorized', message: 'Invalid admin key' });
+    }
+
+    if (!name || name.length > 64) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      return res.status(400).json({ error: 'X-Admin-Actor header is required' });
+    }
+
+    req.admin = { actor: `admin:${name}` };
+    return handler(req, res);
+  };
+}
+
+/**
+ * Wrap a scheduled job: requires `Authorization: Bearer <CRON_SECRET>`
+ * (sent by Vercel Cron when CRON_SECRET is set)
+ */
+export function withCron(handler) {
+  return async function cronHandler(req, res) {
+    const secret = process.env.CRON_SECRET;
+    const header = String(req.headers?.authorization || '');
+
+    const expected = crypto.createHash('sha256').update(`Bearer ${secret || ''}`).digest();
+    const actual = crypto.createHash('sha256').update(header).digest();
+
+    if (!secret || !crypto.timingSafeEqual(actual, expected)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    return handler(req, res);
+  };
+}
@@ -0,0 +1,316 @@
+/**
+ * NeoClip 302 - Collections & Favorites
+ * Favorites are a flag on the generation (generations.is_favorite). Collections
+ * are named, ordered lists of a user's generations: collections.position orders
+ * the user's list, collection_items.position the generations inside one.
+ *
+ * Membership shows up on each generation as collectionIds, and adding or
+ * removing one bumps the generation's updated_at so library sync sends it again.
+ */
+
+import { LIBRARY_COLUMNS, formatGeneration, encodeCursor, decodeCursor, isUuid } from './library.js';
+
+export const MAX_COLLECTIONS = 100;
+export const MAX_COLLECTION_NAME = 60;
+export const MAX_COLLECTION_BATCH = 100;
+export const MAX_COLLECTION_PAGE = 100;
+
+const COLLECTION_COLUMNS = 'id, name, position, created_at, updated_at';
+
+function collectionError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Trim and check a collection name
+ */
+export function normalizeCollectionName(name) {
+  const trimmed = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+  if (!trimmed) {
+    throw collectionError('name is required', 400);
+  }
+  if (trimmed.length > MAX_COLLECTION_NAME) {
+    throw collectionError(`name must be at most ${MAX_COLLECTION_NAME} characters`, 400);
+  }
+  return trimmed;
+}
+
+/**
+ * Check a list of ids from a request body (at most MAX_COLLECTION_BATCH, no duplicates)
+ */
+export function parseIdList(value, name) {
+  if (!Array.isArray(value) || !value.length) {
+    throw collectionError(`${name} must be a non-empty array`, 400);
+  }
+  if (value.length > MAX_COLLECTION_BATCH) {
+    throw collectionError(`${name} can hold at most ${MAX_COLLECTION_BATCH} ids`, 400);
+  }
+  if (!value.every(isUuid)) {
+    throw collectionError(`${name} must only contain ids`, 400);
+  }
+  return [...new Set(value.map(id => id.toLowerCase()))];
+}
+
+function formatCollection(row, itemCount = 0) {
+  return {
+    id: row.id,
+    name: row.name,
+    position: row.position,
+    itemCount,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Unique (user_id, lower(name)) violation
+const isDuplicateName = (error) => error?.code === '23505';
+
+async function getOwnedCollection(supabase, userId, collectionId) {
+  const { data } = await supabase
+    .from('collections')
+    .select(COLLECTION_COLUMNS)
+    .eq('id', collectionId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!data) {
+    throw collectionError('Collection not found', 404);
+  }
+  return data;
+}
+
+/**
+ * A user's collections in their order, with how many (non-trashed) generations each holds
+ */
+export async function listCollections(supabase, userId) {
+  const { data, error } = await supabase
+    .from('collections')
+    .select(`${COLLECTION_COLUMNS}, collection_items(generation_id, generations!inner(deleted_at))`)
+    .eq('user_id', userId)
+    .is('collection_items.generations.deleted_at', null)
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch collections for ${userId}: ${error.message}`);
+  }
+
+  return (data || []).map(row => formatCollection(row, (row.collection_items || []).length));
+}
+
+/**
+ * Create a collection at the end of the user's list
+ */
+export async function createCollection(supabase, userId, name) {
+  const { data: existing, count } = await supabase
+    .from('collections')
+    .select('position', { count: 'exact' })
+    .eq('user_id', userId)
+    .order('position', { ascending: false })
+    .limit(1);
+
+  if ((count || 0) >= MAX_COLLECTIONS) {
+    throw collectionError(`You can have at most ${MAX_COLLECTIONS} collections`, 409);
+  }
+
+  const { data, error } = await supabase
+    .from('collections')
+    .insert({
+      user_id: userId,
+      name: normalizeCollectionName(name),
+      position: (existing?.[0]?.position || 0) + 1
+    })
+    .select(COLLECTION_COLUMNS)
+    .single();
+
+  if (isDuplicateName(error)) {
+    throw collectionError('You already have a collection with that name', 409);
+  }
+  if (error) {
+    throw new Error(`Failed to create collection: ${error.message}`);
+  }
+
+  return formatCollection(data);
+}
+
+export async function renameCollection(supabase, userId, collectionId, name) {
+  const { data, error } = await supabase
+    .from('collections')
+    .update({ name: normalizeCollectionName(name) })
+    .eq('id', collectionId)
+    .eq('user_id', userId)
+    .select(COLLECTION_COLUMNS);
+
+  if (isDuplicateName(error)) {
+    throw collectionError('You already have a collection with that name', 409);
+  }
+  if (error) {
+    throw new Error(`Failed to rename collection ${collectionId}: ${error.message}`);
+  }
+  if (!data?.length) {
+    throw collectionError('Collection not found', 404);
+  }
+
+  return formatCollection(data[0]);
+}
+
+/**
+ * Delete a collection - its generations stay in the library
+ */
+export async function deleteCollection(supabase, userId, collectionId) {
+  const { data, error } = await supabase
+    .from('collections')
+    .delete()
+    .eq('id', collectionId)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to delete collection ${collectionId}: ${error.message}`);
+  }
+  if (!data?.length) {
+    throw collectionError('Collection not found', 404);
+  }
+}
+
+/**
+ * Add generations to the end of a collection, in the order given
+ * Generations the user doesn't own, trashed ones and ones already in the
+ * collection are skipped. Returns how many were added.
+ */
+export async function addToCollection(supabase, userId, collectionId, generationIds) {
+  const { data: added, error } = await supabase.rpc('add_to_collection', {
+    target_user_id: userId,
+    target_collection_id: collectionId,
+    generation_ids: generationIds
+  });
+
+  if (error) {
+    throw new Error(`Failed to add to collection ${collectionId}: ${error.message}`);
+  }
+  if (added === null) {
+    throw collectionError('Collection not found', 404);
+  }
+
+  return added;
+}
+
+/**
+ * Take a generation out of a collection (the generation itself is kept)
+ */
+export async function removeFromCollection(supabase, userId, collectionId, generationId) {
+  await getOwnedCollection(supabase, userId, collectionId);
+
+  const { data, error } = await supabase
+    .from('collection_items')
+    .delete()
+    .eq('collection_id', collectionId)
+    .eq('generation_id', generationId)
+    .select('generation_id');
+
+  if (error) {
+    throw new Error(`Failed to remove from collection ${collectionId}: ${error.message}`);
+  }
+
+  return Boolean(data?.length);
+}
+
+/**
+ * Reorder a collection: the generations given come first, in that order,
+ * followed by the rest as they were
+ */
+export async function reorderCollection(supabase, userId, collectionId, generationIds) {
+  const { data: found, error } = await supabase.rpc('reorder_collection', {
+    target_user_id: userId,
+    target_collection_id: collectionId,
+    generation_ids: generationIds
+  });
+
+  if (error) {
+    throw new Error(`Failed to reorder collection ${collectionId}: ${error.message}`);
+  }
+  if (!found) {
+    throw collectionError('Collection not found', 404);
+  }
+}
+
+/**
+ * Reorder a user's collection list the same way
+ */
+export async function reorderCollections(supabase, userId, collectionIds) {
+  const { error } = await supabase.rpc('reorder_collections', {
+    target_user_id: userId,
+    collection_ids: collectionIds
+  });
+
+  if (error) {
+    throw new Error(`Failed to reorder collections for ${userId}: ${error.message}`);
+  }
+}
+
+/**
+ * One page of a collection's generations in collection order
+ * Trashed generations are left out. Returns { collection, generations, hasMore, cursor }.
+ */
+export async function getCollectionItems(supabase, userId, collectionId, { cursor = null, limit = 50 } = {}) {
+  const collection = await getOwnedCollection(supabase, userId, collectionId);
+
+  const parts = decodeCursor(cursor, 2);
+  if (parts && (!Number.isInteger(parts[0]) || !isUuid(parts[1]))) {
+    throw collectionError('Invalid cursor', 400);
+  }
+
+  let query = supabase
+    .from('collection_items')
+    .select(`position, generation_id, generation:generations!inner(${LIBRARY_COLUMNS})`)
+    .eq('collection_id', collectionId)
+    .is('generation.deleted_at', null)
+    .order('position', { ascending: true })
+    .order('generation_id', { ascending: true })
+    .limit(limit + 1);
+
+  if (parts) {
+    query = query.or(`position.gt.${parts[0]},and(position.eq.${parts[0]},generation_id.gt.${parts[1]})`);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch collection ${collectionId}: ${error.message}`);
+  }
+
+  const rows = data || [];
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
+
+  return {
+    collection: formatCollection(collection),
+    generations: page.map(row => formatGeneration(row.generation)),
+    hasMore,
+    cursor: hasMore ? encodeCursor([last.position, last.generation_id]) : null
+  };
+}
+
+/**
+ * Favorite or unfavorite one of a user's generations
+ */
+export async function setFavorite(supabase, userId, generationId, isFavorite) {
+  const { data, error } = await supabase
+    .from('generations')
+    .update({ is_favorite: isFavorite })
+    .eq('id', generationId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .select(LIBRARY_COLUMNS);
+
+  if (error) {
+    throw new Error(`Failed to update favorite ${generationId}: ${error.message}`);
+  }
+  if (!data?.length) {
+    throw collectionError('Generation not found', 404);
+  }
+
+  return formatGeneration(data[0]);
+}
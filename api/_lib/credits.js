@@ -0,0 +1,104 @@
+/**
+ * NeoClip 302 - Credits
+ * Generations are paid for in credits from the credit_ledger table
+ *
+ * Cost of a generation = duration blocks x resolution multiplier x provider weight
+ * - duration:   one block per started CREDIT_BLOCK_SECONDS
+ * - resolution: RESOLUTION_MULTIPLIERS, of the resolution the provider renders
+ * - provider:   creditWeight of the adapter (see api/_lib/providers.js)
+ *
+ * /api/generate reserves the most expensive provider the plan could fall back
+ * to - or, when the balance doesn't cover it, the most expensive one it does
+ * cover, keeping the chain to providers within that - then lowers the debit
+ * to the provider that actually took the task.
+ * Plans grant monthlyAllowance credits per period; balances and the
+ * free_used / paid_used figures come from the user_credit_usage view.
+ */
+
+import { PROVIDERS, resolveProviderInput } from './providers.js';
+import { syncCreditAllowance } from './quota.js';
+
+export const CREDIT_BLOCK_SECONDS = 10;
+
+export const RESOLUTION_MULTIPLIERS = {
+  '480p': 1,
+  '720p': 1,
+  '768p': 1,
+  '1080p': 2
+};
+
+/**
+ * Credits charged for one generation
+ */
+export function getCreditCost({ duration, resolution, provider }) {
+  const blocks = Math.max(1, Math.ceil((duration || CREDIT_BLOCK_SECONDS) / CREDIT_BLOCK_SECONDS));
+  const multiplier = RESOLUTION_MULTIPLIERS[resolution] || 1;
+  const weight = PROVIDERS[provider]?.creditWeight || 1;
+
+  return blocks * multiplier * weight;
+}
+
+/**
+ * Cost of the input on each provider of the plan's chain that can take it
+ * (falls back to the unweighted cost when none can)
+ */
+function getChainCreditCosts(plan, input) {
+  const costs = [];
+
+  for (const key of plan.providers) {
+    const resolved = PROVIDERS[key] && resolveProviderInput(PROVIDERS[key], input);
+    if (!resolved) continue;
+    costs.push(getCreditCost({
+      duration: resolved.length,
+      resolution: resolved.resolution,
+      provider: key
+    }));
+  }
+
+  return costs.length ? costs : [getCreditCost({ duration: input.length, resolution: input.resolution })];
+}
+
+/**
+ * Highest cost a generation input can reach on the plan's provider chain
+ * (providers that can't take the input are skipped). With a budget, only
+ * providers costing at most that count - 0 when none does.
+ */
+export function getMaxCreditCost(plan, input, budget = null) {
+  const costs = getChainCreditCosts(plan, input).filter(cost => budget === null || cost <= budget);
+  return costs.length ? Math.max(...costs) : 0;
+}
+
+/**
+ * Lowest cost a generation input can have on the plan's provider chain
+ */
+export function getMinCreditCost(plan, input) {
+  return Math.min(...getChainCreditCosts(plan, input));
+}
+
+/**
+ * Current credit position of a user
+ * Tops up the plan's monthly allowance first (rolling over an ended period),
+ * so the balance is what the next generation can spend.
+ * Returns { balance, freeUsed, paidUsed, periodStart, resetsAt }
+ */
+export async function getCreditUsage(supabase, userId, plan) {
+  await syncCreditAllowance(supabase, userId, plan.monthlyAllowance);
+
+  const { data, error } = await supabase
+    .from('user_credit_usage')
+    .select('credit_balance, free_used, paid_used, period_start, resets_at')
+    .eq('user_id', userId)
+    .single();
+
+  if (error) {
+    console.error(`Failed to read credit usage for ${userId}:`, error.message);
+  }
+
+  return {
+    balance: data?.credit_balance || 0,
+    freeUsed: data?.free_used || 0,
+    paidUsed: data?.paid_used || 0,
+    periodStart: data?.period_start || null,
+    resetsAt: data?.resets_at || null
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * NeoClip 302 - Provider Health
+ * Per-provider circuit breaker and health-aware fallback ordering
+ *
+ * Breaker state lives in provider_health and only changes through the
+ * breaker_* database functions, so every serverless invocation sees the same
+ * state without racing read-then-write:
+ * - closed:    requests flow normally
+ * - open:      provider is skipped after BREAKER_FAILURE_THRESHOLD consecutive failures
+ * - half_open: after BREAKER_COOLDOWN_SECONDS one request probes the provider;
+ *              success closes the breaker, failure re-opens it. A probe that
+ *              never tested the provider is released for the next caller.
+ *
+ * Only provider-side failures (5xx, timeouts, network errors) count - see
+ * isProviderFailure().
+ *
+ * Chain order uses the last 24h success rate from the provider_performance view.
+ *
+ * Everything here fails open - if the database is unreachable, the
+ * configured chain is used as-is.
+ */
+
+import { getSupabase } from './supabase.js';
+
+export const BREAKER_FAILURE_THRESHOLD = 3;
+export const BREAKER_COOLDOWN_SECONDS = 120;
+
+// Providers below this recent success rate move behind the healthy ones
+const DEGRADED_SUCCESS_RATE = 0.5;
+// Ignore success rates computed from too few tasks
+const MIN_RECENT_TASKS = 10;
+
+/**
+ * Reorder a fallback chain by recent success rate
+ * Healthy providers keep their configured (quality) order; degraded ones
+ * follow, best first.
+ */
+export async function orderChainByHealth(chain) {
+  const supabase = getSupabase();
+  if (!supabase) return chain;
+
+  const { data, error } = await supabase
+    .from('provider_performance')
+    .select('provider, recent_finished, recent_completed')
+    .in('provider', chain);
+
+  if (error) {
+    console.error('Provider performance lookup failed:', error.message);
+    return chain;
+  }
+
+  // The view is grouped by provider and model - combine per provider
+  const totals = {};
+  for (const row of data || []) {
+    const t = totals[row.provider] || (totals[row.provider] = { finished: 0, completed: 0 });
+    t.finished += Number(row.recent_finished) || 0;
+    t.completed += Number(row.recent_completed) || 0;
+  }
+
+  const rateOf = (providerKey) => {
+    const t = totals[providerKey];
+    if (!t || t.finished < MIN_RECENT_TASKS) return null;
+    return t.completed / t.finished;
+  };
+
+  const healthy = chain.filter(key => {
+    const rate = rateOf(key);
+    return rate === null || rate >= DEGRADED_SUCCESS_RATE;
+  });
+  const degraded = chain
+    .filter(key => !healthy.includes(key))
+    .sort((a, b) => rateOf(b) - rateOf(a));
+
+  if (degraded.length > 0) {
+    console.log(`Degraded providers moved to end: ${degraded.map(k => `${k}=${Math.round(rateOf(k) * 100)}%`).join(', ')}`);
+  }
+
+  return [...healthy, ...degraded];
+}
+
+/**
+ * Ask the breaker whether this invocation may call the provider
+ */
+export async function allowRequest(providerKey) {
+  const supabase = getSupabase();
+  if (!supabase) return true;
+
+  const { data, error } = await supabase.rpc('breaker_allow_request', {
+    provider_name: providerKey,
+    cooldown_seconds: BREAKER_COOLDOWN_SECONDS
+  });
+
+  if (error) {
+    console.error(`[${providerKey}] Breaker check failed:`, error.message);
+    return true;
+  }
+
+  return data !== false;
+}
+
+/**
+ * Whether a failed call says the provider itself is unhealthy
+ * 4xx responses (a rejected prompt, a bad or rate-limited key) don't: they are
+ * handled per request or per key (api_keys), not by opening the breaker.
+ * error.status is the provider's HTTP status (0 = network error, 408 = timeout).
+ */
+export function isProviderFailure(error) {
+  const status = error?.status;
+  return !status || status >= 500 || status === 408;
+}
+
+/**
+ * Give back the half-open probe slot without a verdict (no-op unless half-open)
+ */
+export async function releaseProbe(providerKey) {
+  const supabase = getSupabase();
+  if (!supabase) return;
+
+  const { error } = await supabase.rpc('breaker_release_probe', {
+    provider_name: providerKey
+  });
+
+  if (error) console.error(`[${providerKey}] Failed to release breaker probe:`, error.message);
+}
+
+/**
+ * Record a successful provider call (closes the breaker)
+ */
+export async function recordSuccess(providerKey) {
+  const supabase = getSupabase();
+  if (!supabase) return;
+
+  const { error } = await supabase.rpc('breaker_record_success', {
+    provider_name: providerKey
+  });
+
+  if (error) console.error(`[${providerKey}] Failed to record breaker success:`, error.message);
+}
+
+/**
+ * Record a failed provider call (may open the breaker)
+ */
+export async function recordFailure(providerKey, message) {
+  const supabase = getSupabase();
+  if (!supabase) return;
+
+  const { data, error } = await supabase.rpc('breaker_record_failure', {
+    provider_name: providerKey,
+    error_msg: String(message || 'Unknown error').slice(0, 500),
+    failure_threshold: BREAKER_FAILURE_THRESHOLD
+  });
+
+  if (error) {
+    console.error(`[${providerKey}] Failed to record breaker failure:`, error.message);
+  } else if (data === 'open') {
+    console.warn(`[${providerKey}] Circuit breaker open for ${BREAKER_COOLDOWN_SECONDS}s`);
+  }
+}
+
+/**
+ * Current breaker state for every provider (for /api/debug)
+ */
+export async function getProviderHealth() {
+  const supabase = getSupabase();
+  if (!supabase) return [];
+
+  const { data, error } = await supabase
+    .from('provider_health')
+    .select('provider, state, consecutive_failures, opened_at, last_error, last_failure_at, last_success_at');
+
+  if (error) {
+    console.error('Provider health lookup failed:', error.message);
+    return [];
+  }
+  return data || [];
+}
@@ -0,0 +1,154 @@
+/**
+ * NeoClip 302 - Idempotency Keys
+ * Lets clients safely retry POST /api/generate on flaky networks
+ *
+ * The first request with an Idempotency-Key claims it (in_progress) and stores
+ * its response when it succeeds. A retry with the same key inside the window
+ * gets that response back - no new provider task, no extra quota charge.
+ * - same key, first request still running: 409
+ * - same key, different request body:      422
+ * - first request failed:                  key is released, the retry runs normally
+ *
+ * Keys are scoped per user, so two users can never collide.
+ */
+
+import { createHash } from 'crypto';
+
+export const IDEMPOTENCY_WINDOW_HOURS = 24;
+
+// An in_progress claim older than this belongs to a crashed invocation
+const IN_PROGRESS_TIMEOUT_SECONDS = 120;
+const MAX_KEY_LENGTH = 255;
+
+function idempotencyError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Read the Idempotency-Key header (null when the client didn't send one)
+ */
+export function getIdempotencyKey(req) {
+  const header = req.headers?.['idempotency-key'];
+  if (!header) return null;
+
+  const key = String(header).trim();
+  if (!key) return null;
+  if (key.length > MAX_KEY_LENGTH) {
+    throw idempotencyError(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`, 400);
+  }
+  return key;
+}
+
+/**
+ * Fingerprint of the request body
+ */
+export function hashRequest(body) {
+  return createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+}
+
+/**
+ * Claim a key for this request
+ * Returns { claimed: true } when this request should run,
+ * { replay: { status, body } } when an earlier request already succeeded,
+ * or { claimed: false } when the key could not be tracked (database error).
+ */
+export async function claimIdempotencyKey(supabase, userId, key, requestHash) {
+  const now = new Date();
+
+  // Expired keys no longer count, whether or not cleanup_idempotency_keys() has run
+  await supabase
+    .from('idempotency_keys')
+    .delete()
+    .eq('user_id', userId)
+    .eq('idempotency_key', key)
+    .lte('expires_at', now.toISOString());
+
+  const { error: insertError } = await supabase
+    .from('idempotency_keys')
+    .insert({
+      user_id: userId,
+      idempotency_key: key,
+      request_hash: requestHash,
+      status: 'in_progress',
+      created_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + IDEMPOTENCY_WINDOW_HOURS * 3600 * 1000).toISOString()
+    });
+
+  if (!insertError) return { claimed: true };
+
+  // Anything but a unique violation means the table is unusable - don't block generation
+  if (insertError.code !== '23505') {
+    console.error('Idempotency key claim failed:', insertError.message);
+    return { claimed: false };
+  }
+
+  const { data: existing } = await supabase
+    .from('idempotency_keys')
+    .select('request_hash, status, response_status, response_body, created_at')
+    .eq('user_id', userId)
+    .eq('idempotency_key', key)
+    .single();
+
+  if (!existing) {
+    throw idempotencyError('A request with this Idempotency-Key is still in progress', 409);
+  }
+
+  if (existing.request_hash !== requestHash) {
+    throw idempotencyError('Idempotency-Key was already used with a different request', 422);
+  }
+
+  if (existing.status === 'completed') {
+    return { replay: { status: existing.response_status || 200, body: existing.response_body } };
+  }
+
+  // Take over a claim whose invocation died before finishing
+  const age = (now.getTime() - new Date(existing.created_at).getTime()) / 1000;
+  if (age > IN_PROGRESS_TIMEOUT_SECONDS) {
+    const { data: takenOver } = await supabase
+      .from('idempotency_keys')
+      .update({ created_at: now.toISOString() })
+      .eq('user_id', userId)
+      .eq('idempotency_key', key)
+      .eq('status', 'in_progress')
+      .eq('created_at', existing.created_at)
+      .select('user_id');
+
+    if (takenOver?.length) return { claimed: true };
+  }
+
+  throw idempotencyError('A request with this Idempotency-Key is still in progress', 409);
+}
+
+/**
+ * Store the successful response for replay
+ */
+export async function completeIdempotencyKey(supabase, userId, key, { status, body, generationId }) {
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .update({
+      status: 'completed',
+      generation_id: generationId || null,
+      response_status: status,
+      response_body: body
+    })
+    .eq('user_id', userId)
+    .eq('idempotency_key', key);
+
+  if (error) console.error('Failed to store idempotent response:', error.message);
+}
+
+/**
+ * Release a claim after a failed request so the client can retry it
+ */
+export async function releaseIdempotencyKey(supabase, userId, key) {
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .delete()
+    .eq('user_id', userId)
+    .eq('idempotency_key', key)
+    .eq('status', 'in_progress');
+
+  if (error) console.error('Failed to release idempotency key:', error.message);
+}
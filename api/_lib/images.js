@@ -0,0 +1,202 @@
+/**
+ * NeoClip 302 - Reference Image Storage
+ * Validates image-to-video reference images and stores them in Supabase Storage
+ *
+ * Accepts either:
+ * - imageData: a base64 data URL (data:image/png;base64,...) uploaded by the client
+ * - imageUrl:  a public https URL we download once and re-host
+ *
+ * Providers always receive our own public URL, so a client-side link that
+ * later disappears can't break polling, history or remixing.
+ *
+ * imageUrl is fetched by the server, so it (and every redirect) must resolve
+ * to a public address on the default https port - never a private, loopback,
+ * link-local (cloud metadata) or other reserved one.
+ */
+
+import dns from 'dns';
+import net from 'net';
+
+export const REFERENCE_IMAGE_BUCKET = 'reference-images';
+
+// Vercel caps request bodies at 4.5MB, so uploads must stay below that once base64 encoded
+const MAX_UPLOAD_BYTES = 3 * 1024 * 1024;
+const MAX_REMOTE_BYTES = 10 * 1024 * 1024;
+
+const MAX_REDIRECTS = 3;
+
+// Addresses a fetched imageUrl may not resolve to
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const IMAGE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp'
+};
+
+/**
+ * Build a validation error that the endpoint returns as a 400
+ */
+function imageError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Detect the real image type from magic bytes - never trust the declared type
+ */
+function sniffImageType(buffer) {
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) {
+    return 'image/png';
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return 'image/jpeg';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Decode a base64 data URL upload
+ */
+function decodeDataUrl(imageData) {
+  const match = /^data:(image\/[a-z]+);base64,(.+)$/i.exec(imageData);
+  if (!match) {
+    throw imageError('imageData must be a base64 data URL (data:image/...;base64,...)');
+  }
+
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    throw imageError(`Image is too large (max ${MAX_UPLOAD_BYTES / 1024 / 1024}MB)`);
+  }
+  return buffer;
+}
+
+/**
+ * Check that a URL is https on the default port and its host resolves only to
+ * public addresses
+ */
+export async function assertPublicUrl(url) {
+  if (url.protocol !== 'https:') {
+    throw imageError('imageUrl must use https');
+  }
+  if (url.port && url.port !== '443') {
+    throw imageError('imageUrl must use the default https port');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.promises.lookup(host, { all: true });
+  } catch {
+    throw imageError('imageUrl host could not be resolved');
+  }
+
+  const blocked = addresses.some(({ address, family }) => (
+    BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+  ));
+  if (!addresses.length || blocked) {
+    throw imageError('imageUrl must point to a public host');
+  }
+}
+
+/**
+ * Download a remote reference image with timeout and size limits
+ * Redirects are followed by hand so every hop is checked.
+ */
+async function downloadImage(imageUrl, timeoutMs = 15000) {
+  let url;
+  try {
+    url = new URL(imageUrl);
+  } catch {
+    throw imageError('imageUrl is not a valid URL');
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      await assertPublicUrl(url);
+      response = await fetch(url.toString(), { signal: controller.signal, redirect: 'manual' });
+
+      const location = response.status >= 300 && response.status < 400 && response.headers.get('location');
+      if (!location) break;
+      if (redirects >= MAX_REDIRECTS) {
+        throw imageError('imageUrl redirects too many times');
+      }
+      url = new URL(location, url);
+    }
+
+    if (!response.ok) {
+      throw imageError(`Could not fetch imageUrl (HTTP ${response.status})`);
+    }
+
+    const declaredSize = parseInt(response.headers.get('content-length') || '0', 10);
+    if (declaredSize > MAX_REMOTE_BYTES) {
+      throw imageError(`Image is too large (max ${MAX_REMOTE_BYTES / 1024 / 1024}MB)`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > MAX_REMOTE_BYTES) {
+      throw imageError(`Image is too large (max ${MAX_REMOTE_BYTES / 1024 / 1024}MB)`);
+    }
+    return buffer;
+  } catch (error) {
+    if (error.statusCode) throw error;
+    if (error.name === 'AbortError') throw imageError('Timed out fetching imageUrl');
+    throw imageError(`Could not fetch imageUrl: ${error.message}`);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Validate and store a reference image for a user
+ * Returns { url, path, contentType, size }
+ */
+export async function storeReferenceImage(supabase, userId, { imageData, imageUrl }) {
+  const buffer = imageData ? decodeDataUrl(imageData) : await downloadImage(imageUrl);
+
+  const contentType = sniffImageType(buffer);
+  if (!contentType) {
+    throw imageError('Reference image must be a PNG, JPEG or WebP file');
+  }
+
+  const path = `${userId}/${crypto.randomUUID()}.${IMAGE_TYPES[contentType]}`;
+
+  const { error: uploadError } = await supabase.storage
+    .from(REFERENCE_IMAGE_BUCKET)
+    .upload(path, buffer, { contentType, upsert: false });
+
+  if (uploadError) {
+    console.error('Reference image upload failed:', uploadError);
+    throw new Error('Failed to store reference image');
+  }
+
+  const { data } = supabase.storage.from(REFERENCE_IMAGE_BUCKET).getPublicUrl(path);
+
+  console.log(`Stored reference image ${path} (${contentType}, ${buffer.length} bytes)`);
+
+  return {
+    url: data.publicUrl,
+    path,
+    contentType,
+    size: buffer.length
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * NeoClip 302 - Provider API Key Rotation
+ * Selects provider keys from the api_keys table, falling back to env vars
+ *
+ * - acquireKey: next healthy key from acquire_api_key(), else the env var
+ * - getTaskKey: the exact key a task was created with (tasks are scoped to
+ *   the provider account, so polling/cancelling must reuse it)
+ * - reportKeyResult: mark_api_key_success / mark_api_key_error after every call;
+ *   the database disables keys that keep returning 401/403 or 429
+ *
+ * Env var keys are never recorded - they have no row to update.
+ */
+
+import { getSupabase } from './supabase.js';
+
+/**
+ * HTTP statuses that say something about the key itself
+ * (other 4xx responses are about the request, not the key)
+ */
+const isKeyFailure = (status) =>
+  status === 0 || status === 401 || status === 403 || status === 408 || status === 429 || status >= 500;
+
+/**
+ * Key from the provider's env var
+ */
+function envKey(provider) {
+  const value = provider.getKey();
+  return value ? { id: null, value, source: 'env' } : null;
+}
+
+/**
+ * Get the next key for a provider
+ * Returns { id, value, source: 'db' | 'env' } or null when nothing is configured
+ */
+export async function acquireKey(provider) {
+  const supabase = getSupabase();
+
+  if (supabase) {
+    const { data, error } = await supabase.rpc('acquire_api_key', {
+      provider_name: provider.keyProvider
+    });
+
+    if (error) {
+      console.error(`[${provider.name}] Key rotation lookup failed:`, error.message);
+    } else {
+      const row = Array.isArray(data) ? data[0] : data;
+      if (row?.key_value) {
+        return { id: row.key_id, value: row.key_value, source: 'db' };
+      }
+    }
+  }
+
+  return envKey(provider);
+}
+
+/**
+ * Get the key a task was created with
+ * Falls back to the env var for tasks created before rotation (or with the env key)
+ */
+export async function getTaskKey(provider, apiKeyId) {
+  const supabase = getSupabase();
+
+  if (apiKeyId && supabase) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('id, key_value')
+      .eq('id', apiKeyId)
+      .single();
+
+    if (!error && data?.key_value) {
+      return { id: data.id, value: data.key_value, source: 'db' };
+    }
+    console.warn(`[${provider.name}] Task key ${apiKeyId} not found, using env key`);
+  }
+
+  return envKey(provider);
+}
+
+/**
+ * Record the outcome of a provider call against a rotated key
+ */
+export async function reportKeyResult(provider, key, { ok, status, error }) {
+  if (!key || key.source !== 'db') return;
+
+  const supabase = getSupabase();
+  if (!supabase) return;
+
+  try {
+    if (ok) {
+      await supabase.rpc('mark_api_key_success', {
+        provider_name: provider.keyProvider,
+        key_val: key.value
+      });
+    } else if (isKeyFailure(status)) {
+      await supabase.rpc('mark_api_key_error', {
+        provider_name: provider.keyProvider,
+        key_val: key.value,
+        error_msg: String(error || `HTTP ${status}`).slice(0, 500),
+        error_status: status
+      });
+    }
+  } catch (rpcError) {
+    // Bookkeeping must never break a generation
+    console.error(`[${provider.name}] Failed to record key result:`, rpcError.message);
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * NeoClip 302 - Video Library
+ * A user's generations as the clients see them: incremental library sync
+ * (GET /api/library) and the searchable history (GET /api/history).
+ *
+ * Both page with keyset cursors - the sort key of the last row seen, encoded
+ * as an opaque string. For sync that is (updated_at, id), so a client that
+ * keeps the cursor only receives generations created or changed since.
+ */
+
+// Rows changed this recently may still have an earlier-timestamped write
+// committing, so the cursor never moves past now - SYNC_LAG_MS
+const SYNC_LAG_MS = 5000;
+
+export const MAX_LIBRARY_PAGE = 100;
+
+export const LIBRARY_COLUMNS = [
+  'id', 'status', 'prompt', 'negative_prompt', 'mode', 'source_image_url',
+  'tier', 'model', 'aspect_ratio', 'duration', 'resolution',
+  'video_url', 'thumbnail_url', 'file_size', 'actual_duration', 'error',
+  'is_favorite', 'created_at', 'completed_at', 'updated_at', 'deleted_at',
+  'collection_items(collection_id)'
+].join(', ');
+
+const ZERO_UUID = '00000000-0000-0000-0000-000000000000';
+
+function cursorError(message = 'Invalid cursor') {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+export const isUuid = (value) => typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+/**
+ * Opaque cursor for a list of values (the sort key of the last row seen)
+ */
+export function encodeCursor(parts) {
+  return Buffer.from(JSON.stringify(parts)).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor() with `length` parts (null for no cursor)
+ */
+export function decodeCursor(cursor, length) {
+  if (!cursor) return null;
+
+  let parts;
+  try {
+    parts = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw cursorError();
+  }
+
+  if (!Array.isArray(parts) || parts.length !== length) {
+    throw cursorError();
+  }
+  return parts;
+}
+
+/**
+ * A generation row in the shape the clients use
+ */
+export function formatGeneration(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    prompt: row.prompt,
+    negativePrompt: row.negative_prompt,
+    mode: row.mode,
+    sourceImageUrl: row.source_image_url,
+    tier: row.tier,
+    model: row.model,
+    aspectRatio: row.aspect_ratio,
+    duration: row.duration,
+    resolution: row.resolution,
+    videoUrl: row.video_url,
+    thumbnailUrl: row.thumbnail_url,
+    fileSize: row.file_size,
+    actualDuration: row.actual_duration !== null ? Number(row.actual_duration) : null,  // DECIMAL arrives as a string
+    error: row.error,
+    isFavorite: Boolean(row.is_favorite),
+    collectionIds: (row.collection_items || []).map(item => item.collection_id),
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+    updatedAt: row.updated_at,
+    deletedAt: row.deleted_at
+  };
+}
+
+/**
+ * One page of a user's generations changed after the cursor, oldest change first
+ * Returns { generations, deleted, cursor, hasMore } - deleted lists the ids of
+ * generations moved to the trash, for clients to drop. Pass cursor back for
+ * the next page (or the next sync once hasMore is false).
+ */
+export async function getLibraryChanges(supabase, userId, { cursor = null, limit = 50 } = {}) {
+  const parts = decodeCursor(cursor, 2);
+  if (parts && (typeof parts[0] !== 'string' || Number.isNaN(Date.parse(parts[0])) || !isUuid(parts[1]))) {
+    throw cursorError();
+  }
+  const after = parts && { updatedAt: parts[0], id: parts[1] };
+
+  let query = supabase
+    .from('generations')
+    .select(LIBRARY_COLUMNS)
+    .eq('user_id', userId)
+    .order('updated_at', { ascending: true })
+    .order('id', { ascending: true })
+    .limit(limit + 1);
+
+  if (after) {
+    query = query.or(`updated_at.gt."${after.updatedAt}",and(updated_at.eq."${after.updatedAt}",id.gt.${after.id})`);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch library for ${userId}: ${error.message}`);
+  }
+
+  const rows = data || [];
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+
+  let next = after;
+  if (page.length) {
+    const last = page[page.length - 1];
+    next = { updatedAt: last.updated_at, id: last.id };
+  }
+
+  // Caught up: hold the cursor back so late commits are picked up next time
+  // (clients merge by id, so the few rows sent twice are harmless)
+  if (!hasMore && next) {
+    const safePoint = new Date(Date.now() - SYNC_LAG_MS);
+    if (new Date(next.updatedAt) > safePoint) {
+      next = after && new Date(after.updatedAt) > safePoint
+        ? after
+        : { updatedAt: safePoint.toISOString(), id: ZERO_UUID };
+    }
+  }
+
+  return {
+    generations: page.filter(row => !row.deleted_at).map(formatGeneration),
+    deleted: page.filter(row => row.deleted_at).map(row => row.id),
+    cursor: next ? encodeCursor([next.updatedAt, next.id]) : null,
+    hasMore
+  };
+}
+
+export const GENERATION_STATUSES = ['pending', 'queued', 'processing', 'completed', 'failed', 'cancelled'];
+
+// History sort options -> column and direction (id breaks ties, rows without a value come last)
+export const HISTORY_SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  oldest: { column: 'created_at', ascending: true },
+  longest: { column: 'duration', ascending: false },
+  shortest: { column: 'duration', ascending: true }
+};
+
+export const MAX_HISTORY_PAGE = 100;
+
+/**
+ * Restrict a generations query to a user's history filters
+ */
+function applyHistoryFilters(query, userId, { statuses, tiers, providers, from, to, search, favorite, collectionId }) {
+  query = query.eq('user_id', userId).is('deleted_at', null);
+
+  if (favorite) query = query.eq('is_favorite', true);
+  if (collectionId) query = query.eq('in_collection.collection_id', collectionId);
+
+  if (statuses?.length) query = query.in('status', statuses);
+  if (tiers?.length) query = query.in('tier', tiers);
+  if (providers?.length) query = query.in('provider', providers);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lt('created_at', to);
+  if (search) query = query.textSearch('prompt_search', search, { type: 'websearch', config: 'english' });
+
+  return query;
+}
+
+/**
+ * Columns for a history query - filtering by collection needs an inner join
+ * on its membership rows
+ */
+function historyColumns(columns, { collectionId }) {
+  return collectionId ? `${columns}, in_collection:collection_items!inner(collection_id)` : columns;
+}
+
+/**
+ * PostgREST filter for rows after (value, id) in the sort order
+ */
+function afterSortKey({ column, ascending }, value, id) {
+  const op = ascending ? 'gt' : 'lt';
+  if (value === null) return `and(${column}.is.null,id.${op}.${id})`;
+
+  const literal = typeof value === 'string' ? `"${value}"` : value;
+  return `${column}.${op}.${literal},and(${column}.eq.${literal},id.${op}.${id}),${column}.is.null`;
+}
+
+/**
+ * One page of a user's generation history
+ * filters: { statuses, tiers, providers, from, to, search, favorite, collectionId } -
+ * search is full-text (websearch syntax) over prompts.
+ * Returns { generations, total, hasMore, cursor } - total counts every match,
+ * pass cursor back (with the same filters and sort) for the next page.
+ */
+export async function searchGenerations(supabase, userId, filters = {}, { sort = 'newest', cursor = null, limit = 20 } = {}) {
+  const order = HISTORY_SORTS[sort];
+  if (!order) {
+    throw new Error(`Unknown history sort ${sort}`);
+  }
+
+  const parts = decodeCursor(cursor, 3);
+  if (parts) {
+    const [cursorSort, value, id] = parts;
+    const validValue = value === null || (order.column === 'duration'
+      ? Number.isInteger(value)
+      : typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+    if (cursorSort !== sort || !validValue || !isUuid(id)) {
+      throw cursorError('Invalid cursor for this sort');
+    }
+  }
+
+  let pageQuery = applyHistoryFilters(supabase.from('generations').select(historyColumns(LIBRARY_COLUMNS, filters)), userId, filters)
+    .order(order.column, { ascending: order.ascending, nullsFirst: false })
+    .order('id', { ascending: order.ascending })
+    .limit(limit + 1);
+
+  if (parts) {
+    pageQuery = pageQuery.or(afterSortKey(order, parts[1], parts[2]));
+  }
+
+  const countQuery = applyHistoryFilters(
+    supabase.from('generations').select(historyColumns('id', filters), { count: 'exact', head: true }),
+    userId,
+    filters
+  );
+
+  const [page, count] = await Promise.all([pageQuery, countQuery]);
+  if (page.error || count.error) {
+    throw new Error(`Failed to search history for ${userId}: ${(page.error || count.error).message}`);
+  }
+
+  const rows = page.data || [];
+  const hasMore = rows.length > limit;
+  const generations = hasMore ? rows.slice(0, limit) : rows;
+  const last = generations[generations.length - 1];
+
+  return {
+    generations: generations.map(formatGeneration),
+    total: count.count || 0,
+    hasMore,
+    cursor: hasMore ? encodeCursor([sort, last[order.column] ?? null, last.id]) : null
+  };
+}
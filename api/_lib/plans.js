@@ -0,0 +1,101 @@
+/**
+ * NeoClip 302 - Plan Catalog
+ * Single source of truth for what each subscription tier gets
+ *
+ * Every plan defines:
+ * - monthlyAllowance: credits granted per month (null = unlimited), see api/_lib/credits.js
+ * - maxLength:        longest clip in seconds
+ * - resolution:       highest output resolution (one the plan's providers can render)
+ * - providers:        provider fallback chain, best first (keys of PROVIDERS)
+ * - requiresAds:      free-tier clips are shown with an ad
+ * - trialDays:        new signed-in users start on a trial of the cheapest plan offering one
+ *
+ * /api/generate enforces the plan of the user's stored tier (never a tier
+ * sent by the client); /api/user and /api/status report usage against it;
+ * GET /api/plans publishes it so both clients render the same catalog.
+ */
+
+export const PLANS = {
+  free: {
+    id: 'free',
+    name: 'Free',
+    price: 0,
+    monthlyAllowance: 10,
+    maxLength: 10,
+    resolution: '720p',
+    providers: ['fal', 'wan'],
+    requiresAds: true,
+    trialDays: 0,
+    features: ['10 credits/month', '10s max', '720p', 'Watermark']
+  },
+  basic: {
+    id: 'basic',
+    name: 'Basic',
+    price: 4.99,
+    monthlyAllowance: 120,
+    maxLength: 15,
+    resolution: '720p',
+    providers: ['fal', 'wan'],
+    requiresAds: false,
+    trialDays: 7,
+    features: ['120 credits/month', '15s max', '720p HD', 'No watermark', 'No ads']
+  },
+  pro: {
+    id: 'pro',
+    name: 'Pro',
+    price: 9.99,
+    monthlyAllowance: 300,
+    maxLength: 30,
+    resolution: '720p',
+    providers: ['luma', 'fal', 'wan'],
+    requiresAds: false,
+    trialDays: 0,
+    features: ['300 credits/month', '30s max', '720p HD', 'All models', 'API access']
+  },
+  enterprise: {
+    id: 'enterprise',
+    name: 'Enterprise',
+    price: null,  // Custom contract
+    monthlyAllowance: null,
+    maxLength: 30,
+    resolution: '720p',
+    providers: ['luma', 'fal', 'wan'],
+    requiresAds: false,
+    trialDays: 0,
+    features: ['Unlimited credits', '30s max', '720p HD', 'All models', 'Priority support']
+  }
+};
+
+// Cheapest first - used to tell upgrades from downgrades
+export const PLAN_ORDER = ['free', 'basic', 'pro', 'enterprise'];
+
+/**
+ * Get the plan for a stored tier (unknown tiers get the free plan)
+ */
+export function getPlan(tier) {
+  return PLANS[tier] || PLANS.free;
+}
+
+/**
+ * Clamp a resolution to the plan's highest resolution
+ */
+export function capResolution(plan, resolution) {
+  return (parseInt(resolution, 10) || 0) > parseInt(plan.resolution, 10) ? plan.resolution : resolution;
+}
+
+/**
+ * Credit usage (from getCreditUsage in api/_lib/credits.js) against a plan
+ * Free plans count free_used, paid plans count paid_used. Pass the effective
+ * tier (see api/_lib/subscriptions.js), not the stored one.
+ */
+export function getPlanUsage(usage, tier) {
+  const plan = getPlan(tier);
+  const used = (plan.id === 'free' ? usage?.freeUsed : usage?.paidUsed) || 0;
+
+  return {
+    plan: plan.id,
+    used,
+    monthlyAllowance: plan.monthlyAllowance,
+    balance: plan.monthlyAllowance === null ? null : Math.max(0, usage?.balance || 0)
+  };
+}
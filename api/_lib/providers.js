@@ -0,0 +1,578 @@
+/**
+ * NeoClip 302 - Provider Adapter Registry
+ * Single source of truth for every video generation provider
+ *
+ * Every adapter implements the same interface:
+ * - capabilities: aspect ratios, resolutions, negative prompt and image-to-video support
+ * - create:   createUrl (imageCreateUrl for image-to-video), buildBody(input), extractTaskId(response)
+ * - status:   getStatusUrl(taskId), parseStatus(response) -> 'queued' | 'processing' | 'completed' | 'failed'
+ * - result:   getResultUrl(taskId), extractVideoUrl(response)
+ * - progress: extractProgress(response) -> 0-100
+ * - error:    extractError(response)
+ * - cancel:   getCancelUrl(taskId) + cancelMethod, or null when the provider has no cancel API
+ * - creditWeight: credit multiplier charged to users (see api/_lib/credits.js)
+ *
+ * /api/generate, /api/poll and /api/debug all load from this module, so
+ * adding a provider is a single entry in PROVIDERS (plus the plans in
+ * api/_lib/plans.js that should use it).
+ *
+ * Keys come from the api_keys rotation table (pool named by keyProvider),
+ * with getKey() reading the env var as fallback - see api/_lib/keys.js.
+ *
+ * buildBody receives the resolved generation input:
+ * { prompt, length, aspectRatio, resolution, negativePrompt, imageUrl }
+ * imageUrl is only set in image-to-video mode.
+ *
+ * Files under api/_lib are not deployed as Vercel functions.
+ */
+
+import { acquireKey, getTaskKey, reportKeyResult } from './keys.js';
+import { orderChainByHealth, allowRequest, recordSuccess, recordFailure, releaseProbe, isProviderFailure } from './health.js';
+import { getPlan } from './plans.js';
+
+/**
+ * Provider adapters, keyed by the value stored in generations.provider
+ */
+export const PROVIDERS = {
+  // FAL.ai - MiniMax Video (Primary for free tier)
+  fal: {
+    name: 'MiniMax-FAL',
+    tier: 'free',
+    keyProvider: 'fal',
+    envKey: 'FAL_KEY',
+    getKey: () => process.env.FAL_KEY,
+    authHeader: (key) => `Key ${key}`,
+    cost: 0,
+    creditWeight: 1,
+    // MiniMax video-01 renders fixed 720p landscape
+    capabilities: {
+      aspectRatios: ['16:9'],
+      resolutions: ['720p'],
+      negativePrompt: false,
+      imageToVideo: true
+    },
+    createUrl: 'https://queue.fal.run/fal-ai/minimax/video-01',
+    imageCreateUrl: 'https://queue.fal.run/fal-ai/minimax/video-01/image-to-video',
+    buildBody: ({ prompt, imageUrl }) => ({
+      prompt: prompt,
+      prompt_optimizer: true,
+      ...(imageUrl ? { image_url: imageUrl } : {})
+    }),
+    extractTaskId: (response) => response?.request_id,
+    getStatusUrl: (taskId) => `https://queue.fal.run/fal-ai/minimax/video-01/requests/${taskId}/status`,
+    getResultUrl: (taskId) => `https://queue.fal.run/fal-ai/minimax/video-01/requests/${taskId}`,
+    parseStatus: (response) => {
+      const status = response?.status?.toLowerCase?.() || '';
+      if (status === 'completed' || status === 'succeeded' || response?.video?.url) {
+        return 'completed';
+      }
+      if (status === 'failed' || status === 'error') {
+        return 'failed';
+      }
+      if (status === 'in_queue') {
+        return 'queued';
+      }
+      return 'processing';
+    },
+    extractVideoUrl: (response) => {
+      return response?.video?.url ||
+             response?.output?.video_url ||
+             response?.video_url ||
+             response?.result?.video?.url;
+    },
+    extractError: (response) => response?.error || response?.message,
+    extractProgress: (response) => {
+      const status = response?.status?.toLowerCase?.() || '';
+      if (status === 'completed') return 100;
+      if (status === 'in_queue') return 10;
+      if (response?.logs) return 50;
+      return 30;
+    },
+    getCancelUrl: (taskId) => `https://queue.fal.run/fal-ai/minimax/video-01/requests/${taskId}/cancel`,
+    cancelMethod: 'PUT'
+  },
+
+  // Replicate - Wan 2.1 (Backup provider)
+  wan: {
+    name: 'Wan-2.1',
+    tier: 'free',
+    keyProvider: 'replicate',
+    envKey: 'REPLICATE_KEY',
+    getKey: () => process.env.REPLICATE_KEY,
+    authHeader: (key) => `Token ${key}`,
+    cost: 0.0008,
+    creditWeight: 1,
+    capabilities: {
+      aspectRatios: ['16:9', '9:16'],
+      resolutions: ['480p', '720p'],
+      negativePrompt: true,
+      imageToVideo: true
+    },
+    createUrl: 'https://api.replicate.com/v1/predictions',
+    // Image conditioning runs on the Wan i2v model through the model predictions endpoint
+    imageCreateUrl: 'https://api.replicate.com/v1/models/wavespeedai/wan-2.1-i2v-480p/predictions',
+    buildBody: ({ prompt, length, aspectRatio, resolution, negativePrompt, imageUrl }) => {
+      const input = {
+        prompt: prompt,
+        num_frames: Math.min(length || 10, 10) * 24,
+        guidance_scale: 7.5,
+        aspect_ratio: aspectRatio,
+        resolution: resolution,
+        ...(negativePrompt ? { negative_prompt: negativePrompt } : {})
+      };
+
+      if (imageUrl) {
+        return { input: { ...input, image: imageUrl } };
+      }
+
+      return {
+        version: 'wan-lab/wan-2.1:e8c37be16be5e3bb950f55e0d73d1e87e4be5a47',
+        input
+      };
+    },
+    extractTaskId: (response) => response?.id,
+    getStatusUrl: (taskId) => `https://api.replicate.com/v1/predictions/${taskId}`,
+    getResultUrl: (taskId) => `https://api.replicate.com/v1/predictions/${taskId}`,
+    parseStatus: (response) => {
+      const status = response?.status?.toLowerCase?.() || '';
+      if (status === 'succeeded') return 'completed';
+      if (status === 'failed' || status === 'canceled') return 'failed';
+      if (status === 'starting') return 'queued';
+      return 'processing';
+    },
+    extractVideoUrl: (response) => {
+      const output = response?.output;
+      return Array.isArray(output) ? output[0] : output;
+    },
+    extractError: (response) => response?.error,
+    extractProgress: (response) => {
+      const status = response?.status?.toLowerCase?.() || '';
+      if (status === 'succeeded') return 100;
+      if (status === 'starting') return 10;
+      if (status === 'processing') {
+        // Try to extract from logs
+        const logs = response?.logs || '';
+        const match = logs.match(/(\d+)%/);
+        if (match) return parseInt(match[1], 10);
+        return 50;
+      }
+      return 30;
+    },
+    getCancelUrl: (taskId) => `https://api.replicate.com/v1/predictions/${taskId}/cancel`,
+    cancelMethod: 'POST'
+  },
+
+  // PiAPI - Luma Dream Machine (Paid tier)
+  luma: {
+    name: 'Luma',
+    tier: 'paid',
+    keyProvider: 'piapi',
+    envKey: 'PIAPI_KEY',
+    getKey: () => process.env.PIAPI_KEY,
+    authHeader: (key) => `Bearer ${key}`,
+    cost: 0.20,
+    creditWeight: 5,
+    capabilities: {
+      aspectRatios: ['16:9', '9:16', '1:1', '4:3', '3:4', '21:9', '9:21'],
+      resolutions: ['720p'],
+      negativePrompt: false,
+      imageToVideo: true
+    },
+    createUrl: 'https://api.piapi.ai/api/v1/task',
+    buildBody: ({ prompt, aspectRatio, imageUrl }) => ({
+      model: 'luma',
+      task_type: 'video_generation',
+      input: {
+        prompt: prompt,
+        expand_prompt: true,
+        aspect_ratio: aspectRatio,
+        ...(imageUrl ? { key_frames: { frame0: { type: 'image', url: imageUrl } } } : {})
+      }
+    }),
+    extractTaskId: (response) => response?.data?.task_id || response?.task_id,
+    getStatusUrl: (taskId) => `https://api.piapi.ai/api/v1/task/${taskId}`,
+    getResultUrl: (taskId) => `https://api.piapi.ai/api/v1/task/${taskId}`,
+    parseStatus: (response) => {
+      const status = (response?.data?.status || response?.status || '').toLowerCase();
+      if (status === 'completed' || status === 'succeeded' || status === 'success') return 'completed';
+      if (status === 'failed' || status === 'error') return 'failed';
+      if (status === 'pending' || status === 'queued') return 'queued';
+      return 'processing';
+    },
+    extractVideoUrl: (response) => {
+      return response?.data?.output?.video_url ||
+             response?.data?.video_url ||
+             response?.output?.video_url ||
+             response?.video_url;
+    },
+    extractError: (response) => response?.data?.error || response?.error || response?.message,
+    extractProgress: (response) => {
+      const status = (response?.data?.status || response?.status || '').toLowerCase();
+      if (status === 'completed' || status === 'succeeded') return 100;
+      if (status === 'pending' || status === 'queued') return 15;
+      const progress = response?.data?.progress || response?.progress;
+      if (progress) return Math.min(progress, 95);
+      return 45;
+    },
+    // PiAPI has no cancel endpoint for Luma tasks
+    getCancelUrl: null,
+    cancelMethod: null
+  }
+};
+
+/**
+ * Every aspect ratio and resolution accepted by /api/generate
+ * (individual providers support a subset, see capabilities)
+ */
+export const ASPECT_RATIOS = ['16:9', '9:16', '1:1', '4:3', '3:4', '21:9', '9:21'];
+export const RESOLUTIONS = ['480p', '720p', '768p', '1080p'];
+
+const resolutionHeight = (resolution) => parseInt(resolution, 10) || 0;
+
+/**
+ * Resolve generation input against a provider's capabilities
+ *
+ * Image-to-video input (imageUrl) requires the imageToVideo capability.
+ * Aspect ratio and negative prompt must be honored exactly. Resolution is
+ * only strict when the caller asked for it (strictResolution); when it comes
+ * from the user's preference we use the closest resolution at or below it.
+ * Returns the input the provider will actually receive, or null when the
+ * provider can't honor it.
+ */
+export function resolveProviderInput(provider, input) {
+  const caps = provider.capabilities;
+
+  if (input.imageUrl && !caps.imageToVideo) return null;
+  if (!caps.aspectRatios.includes(input.aspectRatio)) return null;
+  if (input.negativePrompt && !caps.negativePrompt) return null;
+
+  let resolution = input.resolution;
+  if (!caps.resolutions.includes(resolution)) {
+    if (input.strictResolution) return null;
+    const sorted = [...caps.resolutions].sort((a, b) => resolutionHeight(b) - resolutionHeight(a));
+    resolution = sorted.find(r => resolutionHeight(r) <= resolutionHeight(input.resolution)) ||
+                 sorted[sorted.length - 1];
+  }
+
+  return {
+    prompt: input.prompt,
+    length: input.length,
+    aspectRatio: input.aspectRatio,
+    resolution,
+    negativePrompt: input.negativePrompt || null,
+    imageUrl: input.imageUrl || null
+  };
+}
+
+/**
+ * Look up a provider adapter, throwing on unknown keys
+ */
+export function getProvider(providerKey) {
+  const provider = PROVIDERS[providerKey];
+  if (!provider) throw new Error(`Unknown provider: ${providerKey}`);
+  return provider;
+}
+
+/**
+ * Make HTTP request with timeout and error handling
+ */
+export async function makeRequest(url, options, timeoutMs = 30000) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      ...options,
+      signal: controller.signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    });
+
+    const text = await response.text();
+    let data = {};
+
+    try {
+      if (text) data = JSON.parse(text);
+    } catch (e) {
+      console.warn('Response not JSON:', text.slice(0, 200));
+    }
+
+    return {
+      status: response.status,
+      data,
+      ok: response.ok,
+      error: !response.ok ? (data.error || data.message || `HTTP ${response.status}`) : null
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { status: 408, data: {}, ok: false, error: 'Request timeout' };
+    }
+    return { status: 0, data: {}, ok: false, error: error.message };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Create generation task with a provider
+ * input must already be resolved with resolveProviderInput; key defaults to
+ * the next key from the rotation table
+ */
+export async function createProviderTask(providerKey, input, key = null) {
+  const provider = getProvider(providerKey);
+
+  const apiKey = key || await acquireKey(provider);
+  if (!apiKey) {
+    throw new Error(`No API key configured for ${provider.name}`);
+  }
+
+  console.log(`[${provider.name}] Creating ${input.imageUrl ? 'image-to-video' : 'text-to-video'} task...`);
+
+  const createUrl = input.imageUrl && provider.imageCreateUrl
+    ? provider.imageCreateUrl
+    : provider.createUrl;
+
+  const body = provider.buildBody(input);
+  const { status, data, ok, error } = await makeRequest(createUrl, {
+    method: 'POST',
+    headers: { 'Authorization': provider.authHeader(apiKey.value) },
+    body: JSON.stringify(body)
+  });
+
+  console.log(`[${provider.name}] Response: ${status} (${apiKey.source} key)`, JSON.stringify(data).slice(0, 500));
+
+  await reportKeyResult(provider, apiKey, { ok, status, error });
+
+  // Handle errors (status tells the circuit breaker whose fault it was)
+  const requestError = (message) => Object.assign(new Error(message), { status });
+  if (status === 401 || status === 403) {
+    throw requestError(`Auth error for ${provider.name}: ${error || 'Unauthorized'}`);
+  }
+  if (status === 429) {
+    throw requestError(`Rate limited on ${provider.name}`);
+  }
+  if (!ok) {
+    throw requestError(`${provider.name} error (${status}): ${error || JSON.stringify(data)}`);
+  }
+
+  // Extract task ID
+  const taskId = provider.extractTaskId(data);
+  if (!taskId) {
+    console.error(`[${provider.name}] No task ID in response:`, data);
+    throw new Error(`No task ID from ${provider.name}`);
+  }
+
+  console.log(`[${provider.name}] Task created: ${taskId}`);
+
+  return {
+    providerTaskId: taskId,
+    provider: providerKey,
+    providerName: provider.name,
+    cost: provider.cost,
+    apiKeyId: apiKey.id,
+    input
+  };
+}
+
+/**
+ * Try to create task with fallback chain
+ * The chain comes from the tier's plan (see api/_lib/plans.js). It is
+ * ordered by recent provider health, and providers whose circuit breaker
+ * is open are skipped (see api/_lib/health.js).
+ * Providers that can't honor the requested options are skipped; if none
+ * can, the thrown error carries statusCode 422. If every capable provider
+ * has an open breaker, it carries 503.
+ * options.exclude lists providers already tried for this generation
+ * (used when /api/poll resubmits a failed task). options.canUse(providerKey,
+ * providerInput) can rule out more providers, e.g. ones costing more credits
+ * than were charged.
+ */
+export async function createTaskWithFallback(tier, input, { exclude = [], canUse = null } = {}) {
+  const baseChain = getPlan(tier).providers.filter(key => !exclude.includes(key));
+  const chain = await orderChainByHealth(baseChain);
+  const mode = input.imageUrl ? 'image-to-video' : 'text-to-video';
+
+  console.log(`Creating task: tier=${tier}, mode=${mode}, chain=[${chain.join(', ')}]`);
+
+  let lastError = null;
+  let eligible = 0;
+  let breakerOpen = 0;
+
+  for (const providerKey of chain) {
+    const provider = PROVIDERS[providerKey];
+    const resolved = provider && resolveProviderInput(provider, input);
+    const providerInput = resolved && (!canUse || canUse(providerKey, resolved)) ? resolved : null;
+
+    if (!providerInput) {
+      console.warn(`[${provider?.name || providerKey}] Skipping - can't honor ${mode} ${input.aspectRatio}/${input.resolution}`);
+      continue;
+    }
+    eligible++;
+
+    if (!(await allowRequest(providerKey))) {
+      console.warn(`[${provider.name}] Skipping - circuit breaker open`);
+      breakerOpen++;
+      continue;
+    }
+
+    const apiKey = await acquireKey(provider);
+    if (!apiKey) {
+      console.warn(`[${provider.name}] Skipping - no API key`);
+      await releaseProbe(providerKey);
+      continue;
+    }
+
+    try {
+      const result = await createProviderTask(providerKey, providerInput, apiKey);
+      await recordSuccess(providerKey);
+      return result;
+    } catch (error) {
+      console.error(`[${provider?.name || providerKey}] Failed:`, error.message);
+      if (isProviderFailure(error)) {
+        await recordFailure(providerKey, error.message);
+      } else {
+        await releaseProbe(providerKey);
+      }
+      lastError = error;
+      // Continue to next provider
+    }
+  }
+
+  if (eligible === 0) {
+    const unsupported = new Error(
+      `No ${tier} provider supports ${mode} at aspect ratio ${input.aspectRatio}` +
+      (input.strictResolution ? ` at ${input.resolution}` : '') +
+      (input.negativePrompt ? ' with a negative prompt' : '')
+    );
+    unsupported.statusCode = 422;
+    throw unsupported;
+  }
+
+  if (!lastError && breakerOpen > 0) {
+    const unavailable = new Error('All providers are temporarily unavailable, please retry shortly');
+    unavailable.statusCode = 503;
+    throw unavailable;
+  }
+
+  throw lastError || new Error('All providers failed to create task');
+}
+
+/**
+ * Poll provider for task status
+ * apiKeyId is generations.api_key_id - the key the task was created with
+ */
+export async function pollProviderTask(providerKey, taskId, apiKeyId = null) {
+  const config = PROVIDERS[providerKey];
+  if (!config) {
+    return { status: 'failed', error: `Unknown provider: ${providerKey}` };
+  }
+
+  const apiKey = await getTaskKey(config, apiKeyId);
+  if (!apiKey) {
+    return { status: 'failed', error: `No API key for ${config.name}` };
+  }
+
+  try {
+    // First try status URL
+    const statusUrl = config.getStatusUrl(taskId);
+    const { status: httpStatus, data, ok, error } = await makeRequest(statusUrl, {
+      method: 'GET',
+      headers: { 'Authorization': config.authHeader(apiKey.value) }
+    }, 15000);
+
+    console.log(`[${config.name}] Status check: HTTP ${httpStatus}`, JSON.stringify(data).slice(0, 300));
+
+    await reportKeyResult(config, apiKey, { ok, status: httpStatus, error });
+
+    if (httpStatus === 401 || httpStatus === 403) {
+      return { status: 'failed', error: 'Authentication error' };
+    }
+
+    // Parse status
+    const taskStatus = config.parseStatus(data);
+    const progress = config.extractProgress(data);
+
+    if (taskStatus === 'completed') {
+      // Try to get video URL from status response first
+      let videoUrl = config.extractVideoUrl(data);
+
+      // If not in status, fetch full result
+      if (!videoUrl && config.getResultUrl) {
+        const resultUrl = config.getResultUrl(taskId);
+        const resultResponse = await makeRequest(resultUrl, {
+          method: 'GET',
+          headers: { 'Authorization': config.authHeader(apiKey.value) }
+        }, 15000);
+
+        await reportKeyResult(config, apiKey, resultResponse);
+
+        if (resultResponse.ok) {
+          videoUrl = config.extractVideoUrl(resultResponse.data);
+        }
+      }
+
+      if (videoUrl) {
+        return {
+          status: 'completed',
+          videoUrl,
+          progress: 100
+        };
+      } else {
+        return {
+          status: 'failed',
+          error: 'Video completed but URL not found'
+        };
+      }
+    }
+
+    if (taskStatus === 'failed') {
+      return {
+        status: 'failed',
+        error: config.extractError(data) || 'Generation failed'
+      };
+    }
+
+    // Still processing
+    return {
+      status: taskStatus === 'queued' ? 'queued' : 'processing',
+      progress
+    };
+
+  } catch (error) {
+    console.error(`[${config.name}] Poll error:`, error.message);
+    return {
+      status: 'processing',  // Don't fail on poll errors, let client retry
+      progress: 20,
+      warning: error.message
+    };
+  }
+}
+
+/**
+ * Ask the provider to cancel a task, using the key it was created with
+ * Resolves to { supported, ok, error } - never throws, cancellation is best effort
+ */
+export async function cancelProviderTask(providerKey, taskId, apiKeyId = null) {
+  const config = PROVIDERS[providerKey];
+  if (!config || !config.getCancelUrl || !taskId) {
+    return { supported: false, ok: false, error: null };
+  }
+
+  const apiKey = await getTaskKey(config, apiKeyId);
+  if (!apiKey) {
+    return { supported: true, ok: false, error: `No API key for ${config.name}` };
+  }
+
+  const { status, ok, error } = await makeRequest(config.getCancelUrl(taskId), {
+    method: config.cancelMethod,
+    headers: { 'Authorization': config.authHeader(apiKey.value) }
+  }, 15000);
+
+  console.log(`[${config.name}] Cancel ${taskId}: HTTP ${status}`);
+
+  await reportKeyResult(config, apiKey, { ok, status, error });
+
+  return { supported: true, ok, error };
+}
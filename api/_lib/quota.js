@@ -0,0 +1,104 @@
+/**
+ * NeoClip 302 - Usage Quota Helpers
+ * Every credit change goes through the reserve_credits / commit_quota /
+ * refund_quota database functions, so concurrent requests can't overspend
+ * the balance and a generation can be refunded at most once. Each of them
+ * writes a credit_ledger entry (see api/_lib/credits.js for costs).
+ *
+ * - reserve: /api/generate, before the provider task is created
+ * - commit:  /api/generate, once the generation row exists
+ * - reprice: /api/poll, after resubmitting to a cheaper provider
+ * - refund:  task creation error, provider failure (/api/poll, /api/webhook),
+ *            user cancellation (DELETE /api/generate)
+ */
+
+function quotaError(message) {
+  const error = new Error(message);
+  error.statusCode = 503;
+  return error;
+}
+
+/**
+ * Debit the credits for a generation
+ * Free generations count towards free_used, everything else paid_used.
+ * allowance is the plan's monthly credit grant (null = unlimited).
+ * Returns { reserved, balance } - reserved is false when the balance is too low.
+ */
+export async function reserveGenerationUsage(supabase, { userId, generationId, tier, credits, allowance = null }) {
+  const { data, error } = await supabase.rpc('reserve_credits', {
+    target_user_id: userId,
+    gen_id: generationId,
+    usage_counter: tier === 'free' ? 'free' : 'paid',
+    credits,
+    period_allowance: allowance
+  });
+
+  if (error) {
+    console.error('Credit reservation failed:', error.message);
+    throw quotaError('Could not check credit balance, please try again');
+  }
+
+  const row = Array.isArray(data) ? data[0] : data;
+  return { reserved: !!row?.reserved, balance: row?.credit_balance || 0 };
+}
+
+/**
+ * Confirm a reservation once its generation has started
+ * finalCredits lowers the debit to the actual cost (it is never raised).
+ */
+export async function commitGenerationUsage(supabase, generationId, finalCredits = null) {
+  const { error } = await supabase.rpc('commit_quota', {
+    gen_id: generationId,
+    final_credits: finalCredits
+  });
+  if (error) console.error(`Quota commit failed for ${generationId}:`, error.message);
+}
+
+/**
+ * Lower a generation's charge to what its new provider costs
+ * Returns the credits now debited (the value generations.credits_used must
+ * carry), or null if the generation has no live charge.
+ */
+export async function repriceGenerationUsage(supabase, generationId, finalCredits) {
+  const { data, error } = await supabase.rpc('reprice_quota', {
+    gen_id: generationId,
+    final_credits: finalCredits
+  });
+
+  if (error) {
+    console.error(`Quota re-price failed for ${generationId}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Give the credits charged for a generation back to the user
+ * Returns true only for the call that actually refunded it.
+ */
+export async function refundGenerationUsage(supabase, generation) {
+  const { data, error } = await supabase.rpc('refund_quota', { gen_id: generation.id });
+
+  if (error) {
+    console.error(`Quota refund failed for ${generation.id}:`, error.message);
+    return false;
+  }
+  return data === true;
+}
+
+/**
+ * Roll the user's credit period if it ended and top up the plan's monthly
+ * allowance. Returns the credit balance, or null if it couldn't be synced.
+ */
+export async function syncCreditAllowance(supabase, userId, allowance = null) {
+  const { data, error } = await supabase.rpc('sync_credit_allowance', {
+    target_user_id: userId,
+    period_allowance: allowance
+  });
+
+  if (error) {
+    console.error(`Credit allowance sync failed for ${userId}:`, error.message);
+    return null;
+  }
+  return data;
+}
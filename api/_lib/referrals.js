@@ -0,0 +1,121 @@
+/**
+ * NeoClip 302 - Referrals
+ * A new user signing up with someone's referral code creates a referrals row.
+ * Both users get bonus credits once the referee completes their first
+ * generation (grant_referral_reward), counted in referral_rewards_claimed.
+ *
+ * Referrals from the referrer's own device or IP, or repeating the device or
+ * IP of an earlier referral of the same referrer, are kept as 'rejected' so
+ * they are visible but never rewarded.
+ */
+
+import { updatePrivilegedFields } from './audit.js';
+
+export const REFERRER_REWARD_CREDITS = 5;
+export const REFEREE_REWARD_CREDITS = 2;
+
+/**
+ * Caller IP as seen by Vercel (first X-Forwarded-For hop)
+ */
+export function getClientIp(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) return forwarded.split(',')[0].trim();
+  return req.headers?.['x-real-ip'] || req.socket?.remoteAddress || null;
+}
+
+/**
+ * Why a referral can't be rewarded, or null if it looks genuine
+ */
+async function getRejectionReason(supabase, referrer, { deviceId, ip }) {
+  if (deviceId && referrer.device_id === deviceId) return 'same_device';
+  if (ip && (referrer.signup_ip === ip || referrer.last_ip === ip)) return 'same_ip';
+
+  const { data: earlier } = await supabase
+    .from('referrals')
+    .select('referee_device_id, referee_ip')
+    .eq('referrer_id', referrer.id);
+
+  for (const referral of earlier || []) {
+    if (deviceId && referral.referee_device_id === deviceId) return 'same_device';
+    if (ip && referral.referee_ip === ip) return 'same_ip';
+  }
+  return null;
+}
+
+/**
+ * Link a newly created user to the owner of the referral code they used
+ * Returns the referrals row, or null when the code doesn't exist.
+ */
+export async function recordReferral(supabase, referee, referralCode, { deviceId = null, ip = null } = {}) {
+  const code = String(referralCode).trim().toUpperCase();
+
+  const { data: referrer } = await supabase
+    .from('users')
+    .select('id, device_id, signup_ip, last_ip')
+    .eq('referral_code', code)
+    .single();
+
+  if (!referrer || referrer.id === referee.id) return null;
+
+  const rejectionReason = await getRejectionReason(supabase, referrer, { deviceId, ip });
+
+  const { data: referral, error } = await supabase
+    .from('referrals')
+    .insert({
+      referrer_id: referrer.id,
+      referee_id: referee.id,
+      referral_code: code,
+      status: rejectionReason ? 'rejected' : 'pending',
+      rejection_reason: rejectionReason,
+      referee_device_id: deviceId,
+      referee_ip: ip
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`Failed to record referral ${code} for ${referee.id}:`, error.message);
+    return null;
+  }
+
+  if (rejectionReason) {
+    console.log(`🚫 Referral rejected (${rejectionReason}): ${referrer.id} -> ${referee.id}`);
+    return referral;
+  }
+
+  // Recount rather than increment, so concurrent signups can't lose an update
+  const { count } = await supabase
+    .from('referrals')
+    .select('id', { count: 'exact', head: true })
+    .eq('referrer_id', referrer.id)
+    .neq('status', 'rejected');
+
+  await updatePrivilegedFields(supabase, referrer.id, { referral_count: count || 0 }, {
+    actor: 'system',
+    reason: `referral:${referee.id}`
+  });
+
+  return referral;
+}
+
+/**
+ * Reward the referral of a user once they have a completed generation
+ * Safe to call on every completion - only the first eligible call rewards.
+ */
+export async function grantReferralReward(supabase, refereeId) {
+  const { data, error } = await supabase.rpc('grant_referral_reward', {
+    referee: refereeId,
+    referrer_reward: REFERRER_REWARD_CREDITS,
+    referee_reward: REFEREE_REWARD_CREDITS
+  });
+
+  if (error) {
+    console.error(`Referral reward failed for ${refereeId}:`, error.message);
+    return false;
+  }
+
+  if (data === true) {
+    console.log(`🎁 Referral rewarded for ${refereeId}: +${REFERRER_REWARD_CREDITS} referrer, +${REFEREE_REWARD_CREDITS} referee`);
+  }
+  return data === true;
+}
@@ -0,0 +1,109 @@
+/**
+ * NeoClip 302 - Generation Resubmission
+ * A provider can fail a task after accepting it. Both /api/poll and the
+ * provider callback (/api/webhook) then resubmit the same prompt to the next
+ * provider in the tier's chain (up to MAX_RESUBMITS times) before failing the
+ * generation. The generation keeps its id, so clients just keep polling.
+ *
+ * Only providers that cost at most what was charged are tried, and a cheaper
+ * one lowers the charge (reprice_quota).
+ */
+
+import { createTaskWithFallback } from './providers.js';
+import { repriceGenerationUsage } from './quota.js';
+import { getCreditCost } from './credits.js';
+
+// Statuses a poll or callback may still move forward (a cancelled row must stay cancelled)
+export const ACTIVE_STATUSES = ['pending', 'queued', 'processing'];
+
+// Cross-provider resubmissions per generation after a failed render
+export const MAX_RESUBMITS = 2;
+
+/**
+ * Resubmit a generation whose provider failed mid-render
+ * Returns { providerName, retryCount } when the generation is still in flight
+ * (resubmitted here or by a concurrent poll or callback), or null when it
+ * should fail.
+ */
+export async function resubmitGeneration(supabase, generation, failureError) {
+  const retryCount = generation.retry_count || 0;
+  if (retryCount >= MAX_RESUBMITS) return null;
+
+  const attempted = generation.attempted_providers?.length
+    ? generation.attempted_providers
+    : [generation.provider];
+
+  // Claim this retry - the retry_count check makes concurrent polls and callbacks resubmit once
+  const { data: claimed } = await supabase
+    .from('generations')
+    .update({ retry_count: retryCount + 1 })
+    .eq('id', generation.id)
+    .eq('retry_count', retryCount)
+    .in('status', ACTIVE_STATUSES)
+    .select('id');
+
+  if (!claimed?.length) {
+    return { providerName: generation.model, retryCount: retryCount + 1 };
+  }
+
+  console.log(`[${generation.model}] Failed mid-render (${failureError}), resubmitting ${generation.id} (retry ${retryCount + 1}/${MAX_RESUBMITS})`);
+
+  let taskResult;
+  try {
+    taskResult = await createTaskWithFallback(generation.tier, {
+      prompt: generation.prompt,
+      length: generation.duration,
+      aspectRatio: generation.aspect_ratio,
+      resolution: generation.resolution,
+      strictResolution: false,
+      negativePrompt: generation.negative_prompt,
+      imageUrl: generation.source_image_url
+    }, {
+      exclude: attempted,
+      // The charge was made for the original provider - never resubmit to a pricier one
+      canUse: (providerKey, providerInput) => generation.credits_used == null || getCreditCost({
+        duration: providerInput.length,
+        resolution: providerInput.resolution,
+        provider: providerKey
+      }) <= generation.credits_used
+    });
+  } catch (error) {
+    console.error(`Resubmission failed for ${generation.id}:`, error.message);
+    return null;
+  }
+
+  // Re-price to the new provider; credits_used takes whatever the ledger now debits
+  let creditsUsed = generation.credits_used;
+  if (creditsUsed != null) {
+    const finalCredits = getCreditCost({
+      duration: taskResult.input.length,
+      resolution: taskResult.input.resolution,
+      provider: taskResult.provider
+    });
+    const debited = await repriceGenerationUsage(supabase, generation.id, finalCredits);
+
+    if (debited !== null && debited !== finalCredits) {
+      console.warn(`Credit mismatch after resubmitting ${generation.id}: ledger debits ${debited}, ${taskResult.provider} costs ${finalCredits}`);
+    }
+    creditsUsed = debited ?? creditsUsed;
+  }
+
+  await supabase
+    .from('generations')
+    .update({
+      provider: taskResult.provider,
+      task_id: taskResult.providerTaskId,
+      model: taskResult.providerName,
+      api_key_id: taskResult.apiKeyId,
+      cost: taskResult.cost,
+      resolution: taskResult.input.resolution,
+      credits_used: creditsUsed,
+      attempted_providers: [...attempted, taskResult.provider],
+      status: 'processing',
+      started_at: new Date().toISOString()
+    })
+    .eq('id', generation.id)
+    .in('status', ACTIVE_STATUSES);
+
+  return { providerName: taskResult.providerName, retryCount: retryCount + 1 };
+}
@@ -0,0 +1,204 @@
+/**
+ * NeoClip 302 - Stripe Billing
+ * Minimal Stripe REST client (no SDK) plus webhook signature verification
+ *
+ * Environment:
+ * - STRIPE_SECRET_KEY      sk_live_... / sk_test_...
+ * - STRIPE_WEBHOOK_SECRET  whsec_... for /api/stripe-webhook
+ * - STRIPE_PRICE_BASIC, STRIPE_PRICE_PRO   recurring price ids per plan
+ * - STRIPE_API_BASE        defaults to https://api.stripe.com
+ * - APP_URL                where checkout/portal return to (defaults to the request origin)
+ *
+ * Local testing with stripe-mock (https://github.com/stripe/stripe-mock):
+ *   docker run --rm -p 12111:12111 stripe/stripe-mock
+ *   STRIPE_API_BASE=http://localhost:12111 STRIPE_SECRET_KEY=sk_test_123 vercel dev
+ * stripe-mock doesn't send webhooks - sign a payload with signPayload() and
+ * POST it to /api/stripe-webhook with the Stripe-Signature header it returns.
+ */
+
+import crypto from 'crypto';
+import { PLANS } from './plans.js';
+import { updatePrivilegedFields } from './audit.js';
+
+const STRIPE_API_BASE = process.env.STRIPE_API_BASE || 'https://api.stripe.com';
+
+// Reject webhook signatures older than this (Stripe's default tolerance)
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+function stripeError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Plans that can be bought through Stripe (a price id is configured)
+ */
+export function getPriceId(tier) {
+  return process.env[`STRIPE_PRICE_${String(tier).toUpperCase()}`] || null;
+}
+
+/**
+ * Map a Stripe price id back to a plan tier
+ */
+export function getTierForPrice(priceId) {
+  return Object.keys(PLANS).find(tier => tier !== 'free' && getPriceId(tier) === priceId) || null;
+}
+
+/**
+ * Encode nested params the way the Stripe API expects
+ * ({ line_items: [{ price: 'x' }] } -> line_items[0][price]=x)
+ */
+function encodeForm(params, prefix = '', out = new URLSearchParams()) {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      encodeForm(value, name, out);
+    } else {
+      out.append(name, String(value));
+    }
+  }
+  return out;
+}
+
+/**
+ * Call the Stripe API
+ * Throws with statusCode 503 when Stripe isn't configured or unreachable,
+ * 502 when Stripe rejects the request.
+ */
+export async function stripeRequest(method, path, params = null) {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw stripeError('Billing is not configured', 503);
+  }
+
+  const url = new URL(`${STRIPE_API_BASE}${path}`);
+  const options = {
+    method,
+    headers: { 'Authorization': `Bearer ${secretKey}` }
+  };
+
+  if (params && method === 'GET') {
+    url.search = encodeForm(params).toString();
+  } else if (params) {
+    options.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    options.body = encodeForm(params).toString();
+  }
+
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(15000) });
+  } catch (error) {
+    console.error(`[Stripe] ${method} ${path} failed:`, error.message);
+    throw stripeError('Billing provider unreachable', 503);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    console.error(`[Stripe] ${method} ${path} -> ${response.status}:`, data?.error?.message);
+    throw stripeError(data?.error?.message || `Stripe error ${response.status}`, 502);
+  }
+  return data;
+}
+
+/**
+ * Read the raw request body (signature verification needs the exact bytes)
+ * Reads the request stream directly: on Vercel req.body is a lazy getter that
+ * parses the JSON and consumes the stream, so it must never be accessed first.
+ */
+export async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Verify a Stripe-Signature header against the raw body and parse the event
+ * Throws with statusCode 400 on a missing, stale or mismatched signature.
+ */
+export function constructEvent(rawBody, signatureHeader, secret) {
+  if (!secret) {
+    throw stripeError('Stripe webhook secret not configured', 503);
+  }
+  if (!signatureHeader) {
+    throw stripeError('Missing Stripe-Signature header', 400);
+  }
+
+  const parts = String(signatureHeader).split(',').map(part => part.split('='));
+  const timestamp = parts.find(([key]) => key === 't')?.[1];
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) {
+    throw stripeError('Malformed Stripe-Signature header', 400);
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody.toString('utf8')}`)
+    .digest('hex');
+
+  const matches = signatures.some(signature =>
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+  if (!matches) {
+    throw stripeError('Invalid Stripe signature', 400);
+  }
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw stripeError('Stripe signature timestamp outside tolerance', 400);
+  }
+
+  return JSON.parse(rawBody.toString('utf8'));
+}
+
+/**
+ * Build a Stripe-Signature header for a payload (local testing with stripe-mock)
+ */
+export function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Get the user's Stripe customer, creating it on first checkout
+ */
+export async function ensureCustomer(supabase, user) {
+  if (user.stripe_customer_id) return user.stripe_customer_id;
+
+  const customer = await stripeRequest('POST', '/v1/customers', {
+    email: user.email || undefined,
+    metadata: { user_id: user.id }
+  });
+
+  // Only the first concurrent checkout gets to store its customer
+  const stored = await updatePrivilegedFields(supabase, user.id, { stripe_customer_id: customer.id }, {
+    actor: 'stripe',
+    reason: 'customer_created',
+    expected: { stripe_customer_id: null }
+  });
+
+  if (stored) return customer.id;
+
+  const { data: current } = await supabase
+    .from('users')
+    .select('stripe_customer_id')
+    .eq('id', user.id)
+    .single();
+  return current?.stripe_customer_id || customer.id;
+}
+
+/**
+ * Base URL checkout and the billing portal return to
+ */
+export function getAppUrl(req) {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/$/, '');
+  const proto = req.headers['x-forwarded-proto'] || 'https';
+  return `${proto}://${req.headers.host}`;
+}
@@ -0,0 +1,104 @@
+/**
+ * NeoClip 302 - Subscription Lifecycle
+ * Turns the stored tier + subscription_status + subscription_ends_at into the
+ * tier a user is actually entitled to right now
+ *
+ * - active:    paid plan (ends_at is the renewal date; a late renewal webhook
+ *              gets PAST_DUE_GRACE_DAYS before access ends)
+ * - trialing:  paid plan until ends_at (trial end)
+ * - past_due:  paid plan for PAST_DUE_GRACE_DAYS after ends_at, then downgrade
+ * - cancelled: paid plan until ends_at (already paid for), then downgrade
+ * - paused:    free plan while paused, stored tier kept for resume
+ *
+ * Expired subscriptions are downgraded to free when the user next shows up
+ * (downgradeExpiredSubscription) and in bulk by expire_subscriptions().
+ */
+
+import { PLANS, PLAN_ORDER } from './plans.js';
+import { updatePrivilegedFields } from './audit.js';
+
+export const PAST_DUE_GRACE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve the tier a user row is entitled to
+ * Returns { tier, storedTier, status, expired, accessEndsAt }
+ * expired means the stored paid tier should be downgraded to free.
+ */
+export function resolveSubscription(user, now = new Date()) {
+  const storedTier = PLANS[user?.tier] ? user.tier : 'free';
+  const status = user?.subscription_status || 'active';
+  const endsAt = user?.subscription_ends_at ? new Date(user.subscription_ends_at) : null;
+
+  if (storedTier === 'free') {
+    return { tier: 'free', storedTier, status, expired: false, accessEndsAt: null };
+  }
+
+  if (status === 'paused') {
+    return { tier: 'free', storedTier, status, expired: false, accessEndsAt: null };
+  }
+
+  let accessEndsAt = endsAt;
+  if (endsAt && (status === 'active' || status === 'past_due')) {
+    accessEndsAt = new Date(endsAt.getTime() + PAST_DUE_GRACE_DAYS * DAY_MS);
+  }
+  if (!endsAt && status === 'cancelled') {
+    accessEndsAt = now;
+  }
+
+  const expired = !!accessEndsAt && now >= accessEndsAt;
+  return {
+    tier: expired ? 'free' : storedTier,
+    storedTier,
+    status,
+    expired,
+    accessEndsAt: accessEndsAt ? accessEndsAt.toISOString() : null
+  };
+}
+
+/**
+ * Persist the downgrade of an expired subscription
+ * Guarded on the tier, status and end date that were read, so a concurrent
+ * upgrade or Stripe renewal isn't overwritten.
+ */
+export async function downgradeExpiredSubscription(supabase, user) {
+  let downgraded;
+  try {
+    downgraded = await updatePrivilegedFields(supabase, user.id, {
+      tier: 'free',
+      subscription_status: 'cancelled'
+    }, {
+      actor: 'system',
+      reason: 'subscription_expired',
+      expected: {
+        tier: user.tier,
+        subscription_status: user.subscription_status ?? null,
+        subscription_ends_at: user.subscription_ends_at ?? null
+      }
+    });
+  } catch (error) {
+    console.error(`Failed to downgrade expired subscription for ${user.id}:`, error.message);
+    return false;
+  }
+
+  if (downgraded) {
+    console.log(`⏰ Subscription expired: ${user.id} ${user.tier}/${user.subscription_status} -> free`);
+  }
+  return downgraded;
+}
+
+/**
+ * The plan new users start a trial of (cheapest plan offering one), or null
+ * Only a verified signup - a Supabase Auth account, created directly or by
+ * converting a guest - starts it; anonymous device rows stay on free.
+ */
+export function getSignupTrial() {
+  const tier = PLAN_ORDER.find(id => PLANS[id].trialDays > 0);
+  if (!tier) return null;
+
+  return {
+    tier,
+    endsAt: new Date(Date.now() + PLANS[tier].trialDays * DAY_MS).toISOString()
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * NeoClip 302 - Shared Supabase Client
+ * One service-role client per serverless instance for the api/_lib modules
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+let client = null;
+
+/**
+ * Get the shared Supabase client, or null when credentials are missing
+ */
+export function getSupabase() {
+  if (client) return client;
+
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_KEY;
+
+  if (!url || !key) {
+    console.error('Missing Supabase credentials');
+    return null;
+  }
+
+  client = createClient(url, key);
+  return client;
+}
@@ -0,0 +1,211 @@
+/**
+ * NeoClip 302 - Generation Trash
+ * Deleting a generation moves it to the trash (generations.deleted_at). It
+ * disappears from status, history and library sync, and can be restored for
+ * TRASH_RETENTION_DAYS. After that - or when the user deletes it from the
+ * trash - it is purged: its stored files are removed, then the row.
+ */
+
+import { REFERENCE_IMAGE_BUCKET } from './images.js';
+import { LIBRARY_COLUMNS, formatGeneration } from './library.js';
+import { removeStoredVideo } from './videos.js';
+
+export const TRASH_RETENTION_DAYS = 30;
+
+// In-flight generations must be cancelled before they can be deleted
+const ACTIVE_STATUSES = ['pending', 'queued', 'processing'];
+
+async function removeReferenceImage(supabase, generation) {
+  const path = generation.source_image_path;
+  const { error } = await supabase.storage.from(REFERENCE_IMAGE_BUCKET).remove([path]);
+  if (error) {
+    throw new Error(`Failed to remove ${REFERENCE_IMAGE_BUCKET}/${path}: ${error.message}`);
+  }
+}
+
+// Stored files owned by a generation: the columns locating each (the first
+// holds the object path) and how to remove it
+const GENERATION_FILES = [
+  { columns: ['source_image_path'], remove: removeReferenceImage },
+  { columns: ['video_path', 'video_storage'], remove: removeStoredVideo }
+];
+
+const MAX_TRASH_LIST = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function trashError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const purgeCutoff = () => new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+
+/**
+ * When a generation deleted at `deletedAt` is purged
+ */
+export function getPurgeAt(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+/**
+ * Move one of a user's generations to the trash
+ * Returns the deletedAt timestamp (unchanged if it was already there).
+ */
+export async function trashGeneration(supabase, userId, generationId) {
+  const { data: generation } = await supabase
+    .from('generations')
+    .select('id, status, deleted_at')
+    .eq('id', generationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!generation) {
+    throw trashError('Generation not found', 404);
+  }
+  if (generation.deleted_at) {
+    return generation.deleted_at;
+  }
+  if (ACTIVE_STATUSES.includes(generation.status)) {
+    throw trashError('Cancel the generation before deleting it', 409);
+  }
+
+  const deletedAt = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('generations')
+    .update({ deleted_at: deletedAt })
+    .eq('id', generationId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .not('status', 'in', `(${ACTIVE_STATUSES.join(',')})`)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to delete generation ${generationId}: ${error.message}`);
+  }
+  if (!data?.length) {
+    throw trashError('Generation changed while deleting - try again', 409);
+  }
+
+  return deletedAt;
+}
+
+/**
+ * Take a generation back out of the trash
+ */
+export async function restoreGeneration(supabase, userId, generationId) {
+  const { data, error } = await supabase
+    .from('generations')
+    .update({ deleted_at: null })
+    .eq('id', generationId)
+    .eq('user_id', userId)
+    .gte('deleted_at', purgeCutoff())
+    .select(LIBRARY_COLUMNS);
+
+  if (error) {
+    throw new Error(`Failed to restore generation ${generationId}: ${error.message}`);
+  }
+  if (!data?.length) {
+    throw trashError('Generation is not in the trash', 404);
+  }
+
+  return formatGeneration(data[0]);
+}
+
+/**
+ * A user's trash, most recently deleted first, with the date each item is purged
+ */
+export async function listTrash(supabase, userId) {
+  const { data, error } = await supabase
+    .from('generations')
+    .select(LIBRARY_COLUMNS)
+    .eq('user_id', userId)
+    .not('deleted_at', 'is', null)
+    .order('deleted_at', { ascending: false })
+    .limit(MAX_TRASH_LIST);
+
+  if (error) {
+    throw new Error(`Failed to fetch trash for ${userId}: ${error.message}`);
+  }
+
+  return (data || []).map(row => ({
+    ...formatGeneration(row),
+    purgeAt: getPurgeAt(row.deleted_at)
+  }));
+}
+
+/**
+ * Remove a trashed generation's files, then the row
+ * Files go first: a failed removal keeps the row, so the purge can be retried.
+ */
+async function purgeGeneration(supabase, generation) {
+  for (const { columns, remove } of GENERATION_FILES) {
+    if (generation[columns[0]]) await remove(supabase, generation);
+  }
+
+  const { error } = await supabase
+    .from('generations')
+    .delete()
+    .eq('id', generation.id)
+    .not('deleted_at', 'is', null);
+
+  if (error) {
+    throw new Error(`Failed to purge generation ${generation.id}: ${error.message}`);
+  }
+}
+
+const PURGE_COLUMNS = ['id', 'deleted_at', ...GENERATION_FILES.flatMap(file => file.columns)].join(', ');
+
+/**
+ * Permanently delete one of a user's trashed generations
+ */
+export async function deleteGenerationForever(supabase, userId, generationId) {
+  const { data: generation } = await supabase
+    .from('generations')
+    .select(PURGE_COLUMNS)
+    .eq('id', generationId)
+    .eq('user_id', userId)
+    .not('deleted_at', 'is', null)
+    .maybeSingle();
+
+  if (!generation) {
+    throw trashError('Generation is not in the trash', 404);
+  }
+
+  await purgeGeneration(supabase, generation);
+}
+
+/**
+ * Purge generations that have been in the trash longer than the retention
+ * window (one user's, or everyone's when userId is null)
+ * Returns { purged, failed }.
+ */
+export async function purgeExpiredTrash(supabase, { userId = null, limit = 100 } = {}) {
+  let query = supabase
+    .from('generations')
+    .select(PURGE_COLUMNS)
+    .lt('deleted_at', purgeCutoff())
+    .order('deleted_at', { ascending: true })
+    .limit(limit);
+
+  if (userId) query = query.eq('user_id', userId);
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch expired trash: ${error.message}`);
+  }
+
+  let purged = 0;
+  let failed = 0;
+  for (const generation of data || []) {
+    try {
+      await purgeGeneration(supabase, generation);
+      purged++;
+    } catch (purgeError) {
+      console.error(purgeError.message);
+      failed++;
+    }
+  }
+
+  return { purged, failed };
+}
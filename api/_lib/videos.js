@@ -0,0 +1,383 @@
+/**
+ * NeoClip 302 - Video Storage
+ * Provider delivery URLs (FAL, Replicate, ...) expire, so finished videos are
+ * downloaded once and re-hosted in our own storage. generations.video_url then
+ * points at the permanent copy, and video_path / video_storage locate the object
+ * so it can be deleted with the generation.
+ *
+ * Backends (VIDEO_STORAGE):
+ * - supabase (default): the public `videos` bucket in Supabase Storage
+ * - s3: any S3-compatible store - AWS S3, Cloudflare R2, a local MinIO, ...
+ *     S3_ENDPOINT            e.g. https://s3.us-east-1.amazonaws.com or http://localhost:9000
+ *     S3_REGION              default us-east-1
+ *     S3_BUCKET
+ *     S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+ *     S3_PUBLIC_URL          base URL objects are served from (default S3_ENDPOINT/S3_BUCKET)
+ *
+ * Copying runs in api/rehost-videos.js (Vercel Cron, every few minutes), not
+ * in the poll or webhook that completes a generation: a 100 MB download and
+ * upload doesn't fit their time and memory limits. Until it is copied a
+ * finished video is served from the provider URL.
+ */
+
+import crypto from 'crypto';
+
+export const VIDEO_BUCKET = 'videos';
+
+// Buffered in memory, so well below the function's memory limit
+const MAX_VIDEO_BYTES = 100 * 1024 * 1024;
+// One download plus upload has to fit the job's 60s function limit
+const DOWNLOAD_TIMEOUT_MS = 20000;
+const UPLOAD_TIMEOUT_MS = 15000;
+
+// Failed re-hosts are retried by the cron job this many times in total
+export const MAX_REHOST_ATTEMPTS = 3;
+
+const VIDEO_TYPES = {
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm'
+};
+
+/**
+ * Detect the container from magic bytes - an expired link often returns an HTML error page
+ */
+function sniffVideoType(buffer) {
+  if (buffer.length < 12) return null;
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    return buffer.toString('latin1', 8, 10) === 'qt' ? 'video/quicktime' : 'video/mp4';
+  }
+  if (buffer[0] === 0x1A && buffer[1] === 0x45 && buffer[2] === 0xDF && buffer[3] === 0xA3) {
+    return 'video/webm';
+  }
+  return null;
+}
+
+/**
+ * Duration in seconds from an MP4/MOV movie header (moov > mvhd), or null
+ */
+export function readMp4Duration(buffer) {
+  const findBox = (start, end, type) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+      let size = buffer.readUInt32BE(offset);
+      let header = 8;
+      if (size === 1) {
+        if (offset + 16 > end) return null;
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        header = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < header) return null;
+
+      if (buffer.toString('latin1', offset + 4, offset + 8) === type) {
+        return { start: offset + header, end: Math.min(offset + size, end) };
+      }
+      offset += size;
+    }
+    return null;
+  };
+
+  const moov = findBox(0, buffer.length, 'moov');
+  const mvhd = moov && findBox(moov.start, moov.end, 'mvhd');
+  if (!mvhd || mvhd.end - mvhd.start < 32) return null;
+
+  // version 1 uses 64-bit creation/modification times and duration
+  const version = buffer[mvhd.start];
+  const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+  const duration = version === 1
+    ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+    : buffer.readUInt32BE(mvhd.start + 16);
+
+  return timescale ? Math.round((duration / timescale) * 100) / 100 : null;
+}
+
+/**
+ * Download a finished video with timeout and size limits
+ */
+async function downloadVideo(videoUrl) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(videoUrl, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`Download failed (HTTP ${response.status})`);
+    }
+
+    const declaredSize = parseInt(response.headers.get('content-length') || '0', 10);
+    if (declaredSize > MAX_VIDEO_BYTES) {
+      throw new Error(`Video is too large (${declaredSize} bytes)`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > MAX_VIDEO_BYTES) {
+      throw new Error(`Video is too large (${buffer.length} bytes)`);
+    }
+    return buffer;
+  } catch (error) {
+    if (error.name === 'AbortError') throw new Error('Timed out downloading video');
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Reject if a promise doesn't settle within ms (the work itself isn't cancelled)
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// S3 wants RFC 3986 encoding for each path segment
+const encodeS3Path = (path) => path.split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+/**
+ * AWS Signature Version 4 headers for an S3 request
+ * Every header passed in is signed; host, x-amz-date and x-amz-content-sha256 are added.
+ */
+export function signS3Request({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const parsed = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${region}/s3/aws4_request`;
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: parsed.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const names = Object.keys(signed).sort();
+
+  const canonicalRequest = [
+    method,
+    parsed.pathname,
+    [...parsed.searchParams].sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`).join('&'),
+    names.map(name => `${name}:${signed[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host, ...requestHeaders } = signed;
+  return {
+    ...requestHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+}
+
+function getS3Config() {
+  const {
+    S3_ENDPOINT: endpoint,
+    S3_REGION: region = 'us-east-1',
+    S3_BUCKET: bucket,
+    S3_ACCESS_KEY_ID: accessKeyId,
+    S3_SECRET_ACCESS_KEY: secretAccessKey,
+    S3_PUBLIC_URL: publicUrl
+  } = process.env;
+
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 video storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = endpoint.replace(/\/+$/, '');
+  return {
+    region,
+    accessKeyId,
+    secretAccessKey,
+    objectUrl: (path) => `${base}/${bucket}/${encodeS3Path(path)}`,
+    publicUrl: (path) => `${(publicUrl || `${base}/${bucket}`).replace(/\/+$/, '')}/${encodeS3Path(path)}`
+  };
+}
+
+async function s3Request(method, path, { body = null, contentType = null } = {}) {
+  const config = getS3Config();
+  const url = config.objectUrl(path);
+  const headers = signS3Request({
+    method,
+    url,
+    headers: contentType ? { 'content-type': contentType } : {},
+    payloadHash: sha256(body || ''),
+    region: config.region,
+    accessKeyId: config.accessKeyId,
+    secretAccessKey: config.secretAccessKey
+  });
+
+  const response = await fetch(url, { method, headers, body });
+  // Deleting an object that is already gone is fine
+  if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+    const detail = (await response.text()).match(/<Message>(.*?)<\/Message>/)?.[1] || `HTTP ${response.status}`;
+    throw new Error(`S3 ${method} ${path} failed: ${detail}`);
+  }
+  return config;
+}
+
+// Storage backends: upload returns the public URL
+const BACKENDS = {
+  supabase: {
+    async upload(supabase, path, buffer, contentType) {
+      const { error } = await supabase.storage
+        .from(VIDEO_BUCKET)
+        .upload(path, buffer, { contentType, upsert: true });
+      if (error) {
+        throw new Error(`Upload to ${VIDEO_BUCKET}/${path} failed: ${error.message}`);
+      }
+      return supabase.storage.from(VIDEO_BUCKET).getPublicUrl(path).data.publicUrl;
+    },
+    async remove(supabase, path) {
+      const { error } = await supabase.storage.from(VIDEO_BUCKET).remove([path]);
+      if (error) {
+        throw new Error(`Failed to remove ${VIDEO_BUCKET}/${path}: ${error.message}`);
+      }
+    }
+  },
+  s3: {
+    async upload(supabase, path, buffer, contentType) {
+      const config = await s3Request('PUT', path, { body: buffer, contentType });
+      return config.publicUrl(path);
+    },
+    async remove(supabase, path) {
+      await s3Request('DELETE', path);
+    }
+  }
+};
+
+function getBackendName() {
+  const name = process.env.VIDEO_STORAGE || 'supabase';
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown VIDEO_STORAGE ${name} (use ${Object.keys(BACKENDS).join(' or ')})`);
+  }
+  return name;
+}
+
+/**
+ * Delete a generation's re-hosted video (row needs video_path and video_storage)
+ */
+export async function removeStoredVideo(supabase, generation) {
+  if (!generation.video_path) return;
+
+  const backend = BACKENDS[generation.video_storage || 'supabase'];
+  if (!backend) {
+    throw new Error(`Unknown video storage ${generation.video_storage} for ${generation.id}`);
+  }
+  await backend.remove(supabase, generation.video_path);
+}
+
+/**
+ * Copy a finished generation's video from the provider into our storage and
+ * point the generation at it
+ * Returns { videoUrl, fileSize, actualDuration }. On failure the attempt is
+ * recorded (the cron job retries it) and the error is thrown.
+ */
+export async function rehostVideo(supabase, generation, sourceUrl = generation.video_url) {
+  const backendName = getBackendName();
+  const backend = BACKENDS[backendName];
+
+  try {
+    const buffer = await downloadVideo(sourceUrl);
+    const contentType = sniffVideoType(buffer);
+    if (!contentType) {
+      throw new Error('Download is not a video (link expired?)');
+    }
+
+    const path = `${generation.user_id}/${generation.id}.${VIDEO_TYPES[contentType]}`;
+    const videoUrl = await withTimeout(
+      backend.upload(supabase, path, buffer, contentType),
+      UPLOAD_TIMEOUT_MS,
+      'Timed out uploading video'
+    );
+    const actualDuration = contentType === 'video/webm' ? null : readMp4Duration(buffer);
+
+    // Only if the generation still points at the URL we copied
+    const { data, error } = await supabase
+      .from('generations')
+      .update({
+        video_url: videoUrl,
+        video_path: path,
+        video_storage: backendName,
+        file_size: buffer.length,
+        actual_duration: actualDuration,
+        video_rehost_error: null
+      })
+      .eq('id', generation.id)
+      .eq('video_url', sourceUrl)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to save re-hosted video: ${error.message}`);
+    }
+    if (!data?.length) {
+      await backend.remove(supabase, path).catch(() => {});
+      throw new Error('Generation changed while re-hosting');
+    }
+
+    console.log(`📦 Re-hosted video for ${generation.id} (${buffer.length} bytes, ${backendName})`);
+    return { videoUrl, fileSize: buffer.length, actualDuration };
+  } catch (error) {
+    await supabase
+      .from('generations')
+      .update({
+        video_rehost_attempts: (generation.video_rehost_attempts || 0) + 1,
+        video_rehost_error: error.message.substring(0, 500)
+      })
+      .eq('id', generation.id);
+    throw error;
+  }
+}
+
+const REHOST_COLUMNS = 'id, user_id, video_url, video_rehost_attempts';
+
+/**
+ * Re-host completed videos still served from provider URLs, newest first
+ * (older links are the most likely to have expired already). Trashed
+ * generations are skipped - purge-trash is about to delete them. Stops starting
+ * new downloads once `deadline` (epoch ms) has passed.
+ * Returns { rehosted, failed, remaining }.
+ */
+export async function rehostPendingVideos(supabase, { limit = 10, deadline = Infinity } = {}) {
+  const { data, error } = await supabase
+    .from('generations')
+    .select(REHOST_COLUMNS)
+    .eq('status', 'completed')
+    .not('video_url', 'is', null)
+    .is('video_path', null)
+    .is('deleted_at', null)
+    .lt('video_rehost_attempts', MAX_REHOST_ATTEMPTS)
+    .order('completed_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to fetch videos to re-host: ${error.message}`);
+  }
+
+  let rehosted = 0;
+  let failed = 0;
+  for (const generation of data || []) {
+    if (Date.now() > deadline) break;
+    try {
+      await rehostVideo(supabase, generation);
+      rehosted++;
+    } catch (rehostError) {
+      console.error(`Re-host failed for ${generation.id}:`, rehostError.message);
+      failed++;
+    }
+  }
+
+  return { rehosted, failed, remaining: (data || []).length - rehosted - failed };
+}
@@ -0,0 +1,156 @@
+/**
+ * NeoClip 302 - Admin User API
+ * The admin path for privileged user fields (tier, subscription, identity)
+ * and manual credit grants. Every change is recorded in user_audit_log
+ * (credit grants in credit_ledger) with the operator as actor.
+ *
+ * Headers: X-Admin-Key (ADMIN_API_KEY), X-Admin-Actor (operator name)
+ *
+ * GET   /api/admin-user?userId=xxx - privileged fields and audit log
+ * PATCH /api/admin-user { userId, reason, changes: { tier, subscriptionStatus, ... }, grantCredits }
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import { PLANS, getPlan } from './_lib/plans.js';
+import { getCreditUsage } from './_lib/credits.js';
+import { PRIVILEGED_FIELDS, updatePrivilegedFields, getAuditLog } from './_lib/audit.js';
+import { withAdmin } from './_lib/auth.js';
+
+const SUBSCRIPTION_STATUSES = ['active', 'cancelled', 'past_due', 'trialing', 'paused'];
+const MAX_CREDIT_GRANT = 10000;
+
+const toCamelCase = (field) => field.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+/**
+ * Map { tier, subscriptionStatus, ... } onto users columns, validating values
+ */
+function parseChanges(input = {}) {
+  const changes = {};
+
+  for (const [key, value] of Object.entries(input)) {
+    const field = PRIVILEGED_FIELDS.find(name => name === key || toCamelCase(name) === key);
+    if (!field) {
+      const error = new Error(`${key} cannot be changed here`);
+      error.statusCode = 400;
+      throw error;
+    }
+    changes[field] = value;
+  }
+
+  if (changes.tier !== undefined && !PLANS[changes.tier]) {
+    const error = new Error(`Unknown tier ${changes.tier}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (changes.subscription_status !== undefined && !SUBSCRIPTION_STATUSES.includes(changes.subscription_status)) {
+    const error = new Error(`Unknown subscription status ${changes.subscription_status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return changes;
+}
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Admin-Key, X-Admin-Actor');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'PATCH') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const userId = req.method === 'GET' ? req.query.userId : req.body?.userId;
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select(['id', ...PRIVILEGED_FIELDS].join(', '))
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (req.method === 'PATCH') {
+      const { changes: input, grantCredits, reason } = req.body || {};
+
+      if (typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ error: 'reason is required' });
+      }
+
+      const changes = parseChanges(input);
+      const credits = grantCredits === undefined ? 0 : Number(grantCredits);
+      if (!Number.isInteger(credits) || credits < 0 || credits > MAX_CREDIT_GRANT) {
+        return res.status(400).json({ error: `grantCredits must be an integer from 0 to ${MAX_CREDIT_GRANT}` });
+      }
+
+      if (!Object.keys(changes).length && !credits) {
+        return res.status(400).json({ error: 'No changes provided' });
+      }
+
+      const { actor } = req.admin;
+
+      if (Object.keys(changes).length) {
+        await updatePrivilegedFields(supabase, user.id, changes, { actor, reason: reason.trim() });
+        Object.assign(user, changes);
+        console.log(`🛡️ ${actor} updated ${user.id}: ${Object.keys(changes).join(', ')} (${reason.trim()})`);
+      }
+
+      if (credits) {
+        const usage = await getCreditUsage(supabase, user.id, getPlan(user.tier));
+        const { error: grantError } = await supabase
+          .from('credit_ledger')
+          .insert({
+            user_id: user.id,
+            entry_type: 'grant',
+            amount: credits,
+            reason: 'admin_grant',
+            period_start: usage.periodStart,
+            metadata: { actor, reason: reason.trim() }
+          });
+
+        if (grantError) {
+          return res.status(500).json({ error: 'Failed to grant credits', message: grantError.message });
+        }
+        console.log(`🛡️ ${actor} granted ${credits} credits to ${user.id} (${reason.trim()})`);
+      }
+    }
+
+    const usage = await getCreditUsage(supabase, user.id, getPlan(user.tier));
+    const auditLog = await getAuditLog(supabase, user.id);
+
+    return res.status(200).json({
+      success: true,
+      user: Object.fromEntries(
+        ['id', ...PRIVILEGED_FIELDS].map(field => [toCamelCase(field), user[field]])
+      ),
+      creditBalance: usage.balance,
+      auditLog
+    });
+
+  } catch (error) {
+    console.error('Admin user error:', error);
+    return res.status(error.statusCode || 500).json({
+      error: 'Admin request failed',
+      message: error.message
+    });
+  }
+}
+
+export default withAdmin(handler);
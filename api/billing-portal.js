@@ -0,0 +1,71 @@
+/**
+ * NeoClip 302 - Stripe Billing Portal API
+ * Lets subscribers change plan, update payment details or cancel
+ *
+ * POST /api/billing-portal (authenticated)
+ * Returns { url } for a Stripe-hosted portal session.
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import { stripeRequest, getAppUrl } from './_lib/stripe.js';
+import { withAuth } from './_lib/auth.js';
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const userId = req.auth.userId;
+
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, stripe_customer_id')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.stripe_customer_id) {
+      return res.status(409).json({
+        error: 'No billing account',
+        message: 'Subscribe to a plan first'
+      });
+    }
+
+    const session = await stripeRequest('POST', '/v1/billing_portal/sessions', {
+      customer: user.stripe_customer_id,
+      return_url: `${getAppUrl(req)}/`
+    });
+
+    return res.status(200).json({
+      success: true,
+      url: session.url
+    });
+
+  } catch (error) {
+    console.error('Billing portal error:', error);
+    return res.status(error.statusCode || 500).json({
+      error: 'Billing portal failed',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,94 @@
+/**
+ * NeoClip 302 - Stripe Checkout API
+ * Starts a subscription checkout for a paid plan
+ *
+ * POST /api/checkout { tier: 'basic' | 'pro' } (authenticated)
+ * Returns { url } - the client redirects (web) or opens it in a browser (mobile).
+ * The tier only changes once /api/stripe-webhook sees the subscription.
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import { getPlan } from './_lib/plans.js';
+import { stripeRequest, getPriceId, ensureCustomer, getAppUrl } from './_lib/stripe.js';
+import { withAuth } from './_lib/auth.js';
+
+// Subscriptions in these states must be changed through the billing portal
+const LIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const userId = req.auth.userId;
+    const { tier } = req.body || {};
+
+    const priceId = getPriceId(tier);
+    if (!priceId) {
+      return res.status(400).json({ error: `Plan "${tier}" can't be purchased online` });
+    }
+
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, email, tier, stripe_customer_id, stripe_subscription_id, subscription_status')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.stripe_subscription_id && LIVE_SUBSCRIPTION_STATUSES.includes(user.subscription_status)) {
+      return res.status(409).json({
+        error: 'Subscription already active',
+        message: 'Use the billing portal to change or cancel your plan'
+      });
+    }
+
+    const customerId = await ensureCustomer(supabase, user);
+    const appUrl = getAppUrl(req);
+
+    const session = await stripeRequest('POST', '/v1/checkout/sessions', {
+      mode: 'subscription',
+      customer: customerId,
+      client_reference_id: user.id,
+      line_items: [{ price: priceId, quantity: 1 }],
+      success_url: `${appUrl}/?checkout=success&session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${appUrl}/?checkout=cancelled`,
+      metadata: { user_id: user.id, tier },
+      subscription_data: { metadata: { user_id: user.id, tier } }
+    });
+
+    console.log(`💳 Checkout started: user ${user.id} -> ${getPlan(tier).name} (${session.id})`);
+
+    return res.status(200).json({
+      success: true,
+      sessionId: session.id,
+      url: session.url
+    });
+
+  } catch (error) {
+    console.error('Checkout error:', error);
+    return res.status(error.statusCode || 500).json({
+      error: 'Checkout failed',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler);
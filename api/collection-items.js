@@ -0,0 +1,75 @@
+/**
+ * NeoClip 302 - Collection Items API
+ * Add the caller's generations to a collection and take them out again
+ *
+ * POST   /api/collection-items { collectionId, generationIds }  - append, in the order given
+ * DELETE /api/collection-items?collectionId=xxx&generationId=yyy - remove one
+ *
+ * Generations already in the collection, trashed ones and ones the caller
+ * doesn't own are skipped; `added` says how many went in.
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import { isUuid } from './_lib/library.js';
+import { parseIdList, addToCollection, removeFromCollection } from './_lib/collections.js';
+import { withAuth } from './_lib/auth.js';
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const userId = req.auth.userId;
+    const params = req.method === 'DELETE' ? req.query : (req.body || {});
+    const { collectionId } = params;
+
+    if (!collectionId) {
+      return res.status(400).json({ error: 'collectionId is required' });
+    }
+    if (!isUuid(collectionId)) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    if (req.method === 'DELETE') {
+      const { generationId } = params;
+      if (!generationId) {
+        return res.status(400).json({ error: 'generationId is required' });
+      }
+
+      const removed = isUuid(generationId)
+        && await removeFromCollection(supabase, userId, collectionId, generationId);
+
+      return res.status(200).json({ success: true, collectionId, generationId, removed });
+    }
+
+    const generationIds = parseIdList(params.generationIds, 'generationIds');
+    const added = await addToCollection(supabase, userId, collectionId, generationIds);
+    console.log(`📁 ${added} generation(s) added to collection ${collectionId}`);
+
+    return res.status(200).json({ success: true, collectionId, added });
+
+  } catch (error) {
+    console.error('Collection items error:', error);
+    return res.status(error.statusCode || 500).json({
+      error: 'Collection items request failed',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler);
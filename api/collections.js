@@ -0,0 +1,133 @@
+/**
+ * NeoClip 302 - Collections API
+ * The caller's named, ordered collections of generations
+ *
+ * GET    /api/collections                                 - collections in order, with item counts
+ * GET    /api/collections?collectionId=xxx&cursor=&limit= - a collection's generations in order
+ * POST   /api/collections { name }                        - create (added at the end)
+ * PATCH  /api/collections { collectionId, name }          - rename
+ * PATCH  /api/collections { collectionId, generationIds } - reorder a collection's generations
+ * PATCH  /api/collections { collectionIds }               - reorder the collection list
+ * DELETE /api/collections?collectionId=xxx                - delete (its generations are kept)
+ *
+ * Reordering takes the ids in their new order; any left out keep their
+ * relative order after them. Adding and removing generations is
+ * /api/collection-items.
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import { isUuid } from './_lib/library.js';
+import {
+  MAX_COLLECTION_PAGE,
+  parseIdList,
+  listCollections,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  reorderCollection,
+  reorderCollections,
+  getCollectionItems
+} from './_lib/collections.js';
+import { withAuth } from './_lib/auth.js';
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const userId = req.auth.userId;
+
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    if (req.method === 'POST') {
+      const collection = await createCollection(supabase, userId, req.body?.name);
+      console.log(`📁 Collection created: ${collection.id}`);
+
+      return res.status(200).json({ success: true, collection });
+    }
+
+    if (req.method === 'PATCH' && req.body?.collectionIds !== undefined) {
+      await reorderCollections(supabase, userId, parseIdList(req.body.collectionIds, 'collectionIds'));
+
+      return res.status(200).json({
+        success: true,
+        collections: await listCollections(supabase, userId)
+      });
+    }
+
+    const collectionId = ['GET', 'DELETE'].includes(req.method) ? req.query.collectionId : req.body?.collectionId;
+
+    if (req.method === 'GET' && !collectionId) {
+      return res.status(200).json({
+        success: true,
+        collections: await listCollections(supabase, userId)
+      });
+    }
+
+    if (!collectionId) {
+      return res.status(400).json({ error: 'collectionId is required' });
+    }
+    if (!isUuid(collectionId)) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    if (req.method === 'GET') {
+      const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_COLLECTION_PAGE) {
+        return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_COLLECTION_PAGE}` });
+      }
+
+      const page = await getCollectionItems(supabase, userId, collectionId, {
+        cursor: req.query.cursor || null,
+        limit
+      });
+
+      return res.status(200).json({ success: true, ...page });
+    }
+
+    if (req.method === 'DELETE') {
+      await deleteCollection(supabase, userId, collectionId);
+      console.log(`📁 Collection deleted: ${collectionId}`);
+
+      return res.status(200).json({ success: true, collectionId, deleted: true });
+    }
+
+    const { name, generationIds } = req.body;
+    if (name === undefined && generationIds === undefined) {
+      return res.status(400).json({ error: 'name or generationIds is required' });
+    }
+
+    if (generationIds !== undefined) {
+      await reorderCollection(supabase, userId, collectionId, parseIdList(generationIds, 'generationIds'));
+    }
+
+    if (name !== undefined) {
+      const collection = await renameCollection(supabase, userId, collectionId, name);
+      return res.status(200).json({ success: true, collectionId, collection });
+    }
+
+    return res.status(200).json({ success: true, collectionId, reordered: true });
+
+  } catch (error) {
+    console.error('Collections error:', error);
+    return res.status(error.statusCode || 500).json({
+      error: 'Collections request failed',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler);
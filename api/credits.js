@@ -0,0 +1,98 @@
+/**
+ * NeoClip 302 - Credits API
+ * Credit balance, current period and recent ledger entries for a user
+ *
+ * GET /api/credits?limit=20 (authenticated)
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import { getPlan, getPlanUsage } from './_lib/plans.js';
+import { resolveSubscription } from './_lib/subscriptions.js';
+import { getCreditUsage } from './_lib/credits.js';
+import { withAuth } from './_lib/auth.js';
+
+const DEFAULT_ENTRY_LIMIT = 20;
+const MAX_ENTRY_LIMIT = 100;
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const userId = req.auth.userId;
+    const limit = Math.min(MAX_ENTRY_LIMIT, parseInt(req.query.limit, 10) || DEFAULT_ENTRY_LIMIT);
+
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, tier, subscription_status, subscription_ends_at')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const subscription = resolveSubscription(user);
+    const plan = getPlan(subscription.tier);
+    const credits = await getCreditUsage(supabase, user.id, plan);
+    const usage = getPlanUsage(credits, plan.id);
+
+    const { data: entries, error: entriesError } = await supabase
+      .from('credit_ledger')
+      .select('id, entry_type, amount, reason, generation_id, period_start, expires_at, created_at')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (entriesError) {
+      return res.status(500).json({ error: 'Failed to fetch credit history' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      tier: plan.id,
+      balance: credits.balance,
+      unlimited: plan.monthlyAllowance === null,
+      period: {
+        start: credits.periodStart,
+        resetsAt: credits.resetsAt,
+        allowance: plan.monthlyAllowance,
+        used: usage.used
+      },
+      entries: (entries || []).map(entry => ({
+        id: entry.id,
+        type: entry.entry_type,
+        amount: entry.amount,
+        reason: entry.reason,
+        generationId: entry.generation_id,
+        periodStart: entry.period_start,
+        expiresAt: entry.expires_at,
+        createdAt: entry.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Credits error:', error);
+    return res.status(error.statusCode || 500).json({
+      error: 'Failed to fetch credits',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -2,14 +2,23 @@
  * NeoClip 302 - Debug Endpoint
  * Test provider connections and see response formats
  * 
+ * Headers: X-Admin-Key (ADMIN_API_KEY), X-Admin-Actor (operator name) - it
+ * shows provider configuration and breaker state, and spends provider credit
+ *
  * GET /api/debug - Show configured providers
  * POST /api/debug - Test a specific provider
+ *
+ * Provider keys match api/_lib/providers.js (fal, wan, luma)
  */
 
-export default async function handler(req, res) {
+import { PROVIDERS } from './_lib/providers.js';
+import { getProviderHealth } from './_lib/health.js';
+import { withAdmin } from './_lib/auth.js';
+
+async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Admin-Key, X-Admin-Actor');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -17,32 +26,44 @@ export default async function handler(req, res) {
 
   // GET - Show configuration status
   if (req.method === 'GET') {
-    const providers = {
-      replicate: {
-        configured: !!process.env.REPLICATE_KEY,
-        keyPrefix: process.env.REPLICATE_KEY?.slice(0, 8) + '...',
-        endpoint: 'https://api.replicate.com/v1/predictions'
-      },
-      fal: {
-        configured: !!process.env.FAL_KEY,
-        keyPrefix: process.env.FAL_KEY?.slice(0, 8) + '...',
-        endpoint: 'https://queue.fal.run/fal-ai/minimax/video-01'
-      },
-      piapi: {
-        configured: !!process.env.PIAPI_KEY,
-        keyPrefix: process.env.PIAPI_KEY?.slice(0, 8) + '...',
-        endpoint: 'https://api.piapi.ai/api/v1/task'
-      },
-      supabase: {
-        url: !!process.env.SUPABASE_URL,
-        key: !!process.env.SUPABASE_KEY
-      }
+    const health = await getProviderHealth();
+
+    const providers = {};
+    for (const [providerKey, provider] of Object.entries(PROVIDERS)) {
+      const apiKey = provider.getKey();
+      providers[providerKey] = {
+        name: provider.name,
+        tier: provider.tier,
+        configured: !!apiKey,
+        keyPool: provider.keyProvider,
+        envKey: provider.envKey,
+        keyPrefix: apiKey?.slice(0, 8) + '...',
+        endpoint: provider.createUrl,
+        capabilities: provider.capabilities,
+        cancellable: !!provider.getCancelUrl,
+        breaker: health.find(h => h.provider === providerKey) || { state: 'closed' }
+      };
+    }
+
+    const supabase = {
+      url: !!process.env.SUPABASE_URL,
+      key: !!process.env.SUPABASE_KEY,
+      jwtSecret: !!process.env.SUPABASE_JWT_SECRET,
+      deviceTokenSecret: !!process.env.DEVICE_TOKEN_SECRET,
+      cronSecret: !!process.env.CRON_SECRET
+    };
+
+    const storage = {
+      videos: process.env.VIDEO_STORAGE || 'supabase',
+      s3: !!(process.env.S3_ENDPOINT && process.env.S3_BUCKET && process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY)
     };
 
     return res.status(200).json({
       message: 'NeoClip 302 Debug Info',
       timestamp: new Date().toISOString(),
       providers,
+      supabase,
+      storage,
       environment: process.env.NODE_ENV || 'production'
     });
   }
@@ -52,46 +73,35 @@ export default async function handler(req, res) {
     const { provider, prompt = 'A beautiful sunset over mountains' } = req.body;
 
     if (!provider) {
-      return res.status(400).json({ error: 'Provider is required (replicate, fal, piapi)' });
+      return res.status(400).json({
+        error: `Provider is required (${Object.keys(PROVIDERS).join(', ')})`
+      });
     }
 
-    const configs = {
-      replicate: {
-        url: 'https://api.replicate.com/v1/predictions',
-        key: process.env.REPLICATE_KEY,
-        authHeader: `Token ${process.env.REPLICATE_KEY}`,
-        body: {
-          version: 'wan-lab/wan-2.1:e8c37be16be5e3bb950f55e0d73d1e87e4be5a47',
-          input: { prompt, num_frames: 240, guidance_scale: 7.5 }
-        }
-      },
-      fal: {
-        url: 'https://queue.fal.run/fal-ai/minimax/video-01',
-        key: process.env.FAL_KEY,
-        authHeader: `Key ${process.env.FAL_KEY}`,
-        body: { prompt, prompt_optimizer: true }
-      },
-      piapi: {
-        url: 'https://api.piapi.ai/api/v1/task',
-        key: process.env.PIAPI_KEY,
-        authHeader: `Bearer ${process.env.PIAPI_KEY}`,
-        body: {
-          model: 'luma',
-          task_type: 'video_generation',
-          input: { prompt, expand_prompt: true, aspect_ratio: '16:9' }
-        }
-      }
-    };
-
-    const config = configs[provider];
-    if (!config) {
+    const adapter = PROVIDERS[provider];
+    if (!adapter) {
       return res.status(400).json({ error: `Unknown provider: ${provider}` });
     }
 
-    if (!config.key) {
-      return res.status(400).json({ error: `${provider} API key not configured` });
+    // Tested with the environment key only - debug never touches the
+    // api_keys rotation pool (see api/_lib/keys.js)
+    const apiKey = adapter.getKey();
+    if (!apiKey) {
+      return res.status(400).json({ error: `${adapter.envKey} not configured` });
     }
 
+    const config = {
+      url: adapter.createUrl,
+      authHeader: adapter.authHeader(apiKey),
+      body: adapter.buildBody({
+        prompt,
+        length: 10,
+        aspectRatio: adapter.capabilities.aspectRatios[0],
+        resolution: adapter.capabilities.resolutions[0],
+        negativePrompt: null
+      })
+    };
+
     try {
       console.log(`[DEBUG] Testing ${provider}...`);
       console.log(`[DEBUG] URL: ${config.url}`);
@@ -128,6 +138,7 @@ export default async function handler(req, res) {
         status,
         headers,
         data,
+        taskId: adapter.extractTaskId(data) || null,
         analysis: {
           hasId: !!data?.id,
           hasRequestId: !!data?.request_id,
@@ -150,3 +161,5 @@ export default async function handler(req, res) {
 
   return res.status(405).json({ error: 'Method not allowed' });
 }
+
+export default withAdmin(handler);
@@ -0,0 +1,57 @@
+/**
+ * NeoClip 302 - Favorites API
+ * Star and unstar the caller's generations
+ *
+ * POST   /api/favorites { generationId }   - add to favorites
+ * DELETE /api/favorites?generationId=xxx   - remove from favorites
+ *
+ * Favorites are listed with GET /api/history?favorite=true.
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import { isUuid } from './_lib/library.js';
+import { setFavorite } from './_lib/collections.js';
+import { withAuth } from './_lib/auth.js';
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const generationId = req.method === 'DELETE' ? req.query.generationId : req.body?.generationId;
+    if (!generationId) {
+      return res.status(400).json({ error: 'generationId is required' });
+    }
+    if (!isUuid(generationId)) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    const generation = await setFavorite(supabase, req.auth.userId, generationId, req.method === 'POST');
+
+    return res.status(200).json({ success: true, generation });
+
+  } catch (error) {
+    console.error('Favorites error:', error);
+    return res.status(error.statusCode || 500).json({
+      error: 'Favorites request failed',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -5,16 +5,50 @@
  * ARCHITECTURE:
  * 1. /api/generate - Creates task, starts generation, returns taskId immediately
  * 2. /api/poll - Client polls this to check generation status
+ * 3. DELETE /api/generate?generationId=xxx - Cancels an in-flight generation
+ * 
+ * Requests are authenticated (see api/_lib/auth.js); the user is the token's.
  * 
  * This avoids Vercel's 300s timeout by not blocking on video completion.
  * 
- * Providers:
+ * Clients may send an Idempotency-Key header - a retried POST with the same key
+ * returns the original response instead of starting (and charging) a new clip.
+ * 
+ * MODES:
+ * - text-to-video (default) - prompt only
+ * - image-to-video - prompt plus a reference image (imageData upload or imageUrl),
+ *   stored in Supabase Storage and sent only to providers with image conditioning
+ * 
+ * Providers (see api/_lib/providers.js):
  * - FAL.ai MiniMax (free tier) - Fast, good quality
  * - Replicate Wan-2.1 (backup) - Cheap, reliable
  * - PiAPI Luma (paid tier) - Highest quality
+ * 
+ * PLANS: credit allowance, max length, max resolution, provider chain and ads
+ * come from the plan of the user's stored tier (see api/_lib/plans.js), as long
+ * as the subscription behind it is still valid (see api/_lib/subscriptions.js).
+ * 
+ * CREDITS: each generation costs credits by duration, resolution and provider
+ * (see api/_lib/credits.js), debited from the user's credit ledger.
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { createTaskWithFallback, cancelProviderTask, ASPECT_RATIOS, RESOLUTIONS } from './_lib/providers.js';
+import { storeReferenceImage } from './_lib/images.js';
+import { getPlan, capResolution } from './_lib/plans.js';
+import { resolveSubscription, downgradeExpiredSubscription } from './_lib/subscriptions.js';
+import { reserveGenerationUsage, commitGenerationUsage, refundGenerationUsage } from './_lib/quota.js';
+import { getCreditCost, getMaxCreditCost, getMinCreditCost } from './_lib/credits.js';
+import {
+  getIdempotencyKey,
+  hashRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+} from './_lib/idempotency.js';
+import { withAuth } from './_lib/auth.js';
+
+const GENERATION_MODES = ['text-to-video', 'image-to-video'];
 
 // Initialize Supabase
 const supabase = createClient(
@@ -22,283 +56,173 @@ const supabase = createClient(
   process.env.SUPABASE_KEY || ''
 );
 
-/**
- * Provider Configurations with improved API handling
- */
-const PROVIDERS = {
-  // FAL.ai - MiniMax Video (Primary for free tier)
-  fal: {
-    name: 'MiniMax-FAL',
-    tier: 'free',
-    createUrl: 'https://queue.fal.run/fal-ai/minimax/video-01',
-    getKey: () => process.env.FAL_KEY,
-    authHeader: (key) => `Key ${key}`,
-    cost: 0,
-    buildBody: (prompt, length) => ({
-      prompt: prompt,
-      prompt_optimizer: true
-    }),
-    extractTaskId: (response) => response?.request_id,
-    getStatusUrl: (taskId) => `https://queue.fal.run/fal-ai/minimax/video-01/requests/${taskId}/status`,
-    getResultUrl: (taskId) => `https://queue.fal.run/fal-ai/minimax/video-01/requests/${taskId}`,
-    parseStatus: (response) => {
-      const status = response?.status?.toLowerCase?.() || '';
-      if (status === 'completed' || status === 'succeeded' || response?.video?.url) {
-        return 'completed';
-      }
-      if (status === 'failed' || status === 'error') {
-        return 'failed';
-      }
-      return 'processing';
-    },
-    extractVideoUrl: (response) => {
-      return response?.video?.url || 
-             response?.output?.video_url ||
-             response?.video_url ||
-             response?.result?.video?.url;
-    },
-    extractError: (response) => response?.error || response?.message
-  },
-
-  // Replicate - Wan 2.1 (Backup provider)
-  wan: {
-    name: 'Wan-2.1',
-    tier: 'free',
-    createUrl: 'https://api.replicate.com/v1/predictions',
-    getKey: () => process.env.REPLICATE_KEY,
-    authHeader: (key) => `Token ${key}`,
-    cost: 0.0008,
-    buildBody: (prompt, length) => ({
-      version: 'wan-lab/wan-2.1:e8c37be16be5e3bb950f55e0d73d1e87e4be5a47',
-      input: {
-        prompt: prompt,
-        num_frames: Math.min(length || 10, 10) * 24,
-        guidance_scale: 7.5
-      }
-    }),
-    extractTaskId: (response) => response?.id,
-    getStatusUrl: (taskId) => `https://api.replicate.com/v1/predictions/${taskId}`,
-    getResultUrl: (taskId) => `https://api.replicate.com/v1/predictions/${taskId}`,
-    parseStatus: (response) => {
-      const status = response?.status?.toLowerCase?.() || '';
-      if (status === 'succeeded') return 'completed';
-      if (status === 'failed' || status === 'canceled') return 'failed';
-      return 'processing';
-    },
-    extractVideoUrl: (response) => {
-      const output = response?.output;
-      return Array.isArray(output) ? output[0] : output;
-    },
-    extractError: (response) => response?.error
-  },
-
-  // PiAPI - Luma Dream Machine (Paid tier)
-  luma: {
-    name: 'Luma',
-    tier: 'paid',
-    createUrl: 'https://api.piapi.ai/api/v1/task',
-    getKey: () => process.env.PIAPI_KEY,
-    authHeader: (key) => `Bearer ${key}`,
-    cost: 0.20,
-    buildBody: (prompt, length) => ({
-      model: 'luma',
-      task_type: 'video_generation',
-      input: {
-        prompt: prompt,
-        expand_prompt: true,
-        aspect_ratio: '16:9'
-      }
-    }),
-    extractTaskId: (response) => response?.data?.task_id || response?.task_id,
-    getStatusUrl: (taskId) => `https://api.piapi.ai/api/v1/task/${taskId}`,
-    getResultUrl: (taskId) => `https://api.piapi.ai/api/v1/task/${taskId}`,
-    parseStatus: (response) => {
-      const status = (response?.data?.status || response?.status || '').toLowerCase();
-      if (status === 'completed' || status === 'succeeded' || status === 'success') return 'completed';
-      if (status === 'failed' || status === 'error') return 'failed';
-      return 'processing';
-    },
-    extractVideoUrl: (response) => {
-      return response?.data?.output?.video_url ||
-             response?.data?.video_url ||
-             response?.output?.video_url ||
-             response?.video_url;
-    },
-    extractError: (response) => response?.data?.error || response?.error || response?.message
-  }
-};
-
-/**
- * Provider fallback chains by tier
- */
-const FALLBACK_CHAINS = {
-  free: ['fal', 'wan'],
-  paid: ['luma', 'fal', 'wan']
-};
+// Generations in these states can still be cancelled
+const CANCELLABLE_STATUSES = ['pending', 'queued', 'processing'];
 
 /**
- * Make HTTP request with timeout and error handling
+ * Cancel an in-flight generation
+ * Asks the provider to stop (where it has a cancel API), marks the row
+ * cancelled and refunds the clip exactly like a provider failure.
  */
-async function makeRequest(url, options, timeoutMs = 30000) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers
-      }
-    });
-
-    const text = await response.text();
-    let data = {};
-    
-    try {
-      if (text) data = JSON.parse(text);
-    } catch (e) {
-      console.warn('Response not JSON:', text.slice(0, 200));
-    }
+async function handleCancel(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const generationId = url.searchParams.get('generationId') || req.query?.generationId || req.body?.generationId;
+  const userId = req.auth.userId;
 
-    return { 
-      status: response.status, 
-      data, 
-      ok: response.ok,
-      error: !response.ok ? (data.error || data.message || `HTTP ${response.status}`) : null
-    };
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      return { status: 408, data: {}, ok: false, error: 'Request timeout' };
-    }
-    return { status: 0, data: {}, ok: false, error: error.message };
-  } finally {
-    clearTimeout(timeout);
+  if (!generationId) {
+    return res.status(400).json({ error: 'generationId is required' });
   }
-}
 
-/**
- * Create generation task with a provider
- */
-async function createProviderTask(providerKey, prompt, length) {
-  const provider = PROVIDERS[providerKey];
-  if (!provider) throw new Error(`Unknown provider: ${providerKey}`);
+  const { data: generation, error: dbError } = await supabase
+    .from('generations')
+    .select('id, user_id, status, tier, provider, task_id, api_key_id')
+    .eq('id', generationId)
+    .single();
 
-  const apiKey = provider.getKey();
-  if (!apiKey) {
-    throw new Error(`No API key configured for ${provider.name}`);
+  if (dbError || !generation || generation.user_id !== userId) {
+    return res.status(404).json({ error: 'Generation not found', generationId });
   }
 
-  console.log(`[${provider.name}] Creating task...`);
-
-  const body = provider.buildBody(prompt, length);
-  const { status, data, ok, error } = await makeRequest(provider.createUrl, {
-    method: 'POST',
-    headers: { 'Authorization': provider.authHeader(apiKey) },
-    body: JSON.stringify(body)
-  });
-
-  console.log(`[${provider.name}] Response: ${status}`, JSON.stringify(data).slice(0, 500));
-
-  // Handle errors
-  if (status === 401 || status === 403) {
-    throw new Error(`Auth error for ${provider.name}: ${error || 'Unauthorized'}`);
-  }
-  if (status === 429) {
-    throw new Error(`Rate limited on ${provider.name}`);
-  }
-  if (!ok) {
-    throw new Error(`${provider.name} error (${status}): ${error || JSON.stringify(data)}`);
+  if (!CANCELLABLE_STATUSES.includes(generation.status)) {
+    return res.status(409).json({
+      error: 'Generation cannot be cancelled',
+      message: `Generation is already ${generation.status}`,
+      status: generation.status
+    });
   }
 
-  // Extract task ID
-  const taskId = provider.extractTaskId(data);
-  if (!taskId) {
-    console.error(`[${provider.name}] No task ID in response:`, data);
-    throw new Error(`No task ID from ${provider.name}`);
+  // Best effort - a provider without a cancel API just finishes in the background
+  const providerCancel = await cancelProviderTask(generation.provider, generation.task_id, generation.api_key_id);
+  if (providerCancel.supported && !providerCancel.ok) {
+    console.warn(`Provider cancel failed for ${generationId}:`, providerCancel.error);
   }
 
-  console.log(`[${provider.name}] Task created: ${taskId}`);
-
-  return {
-    providerTaskId: taskId,
-    provider: providerKey,
-    providerName: provider.name,
-    cost: provider.cost
-  };
-}
-
-/**
- * Try to create task with fallback chain
- */
-async function createTaskWithFallback(prompt, tier, length) {
-  const chain = FALLBACK_CHAINS[tier] || FALLBACK_CHAINS.free;
-  
-  console.log(`Creating task: tier=${tier}, chain=[${chain.join(', ')}]`);
-
-  let lastError = null;
+  // Only cancel if poll hasn't finished it in the meantime
+  const { data: cancelledRows, error: updateError } = await supabase
+    .from('generations')
+    .update({
+      status: 'cancelled',
+      error: 'Cancelled by user',
+      completed_at: new Date().toISOString()
+    })
+    .eq('id', generationId)
+    .in('status', CANCELLABLE_STATUSES)
+    .select('id');
+
+  if (updateError) {
+    console.error('Failed to cancel generation:', updateError);
+    return res.status(500).json({ error: 'Cancel failed', message: updateError.message });
+  }
 
-  for (const providerKey of chain) {
-    const provider = PROVIDERS[providerKey];
-    const apiKey = provider?.getKey();
+  if (!cancelledRows?.length) {
+    return res.status(409).json({
+      error: 'Generation cannot be cancelled',
+      message: 'Generation finished before it could be cancelled'
+    });
+  }
 
-    if (!apiKey) {
-      console.warn(`[${provider?.name || providerKey}] Skipping - no API key`);
-      continue;
-    }
+  const refunded = await refundGenerationUsage(supabase, generation);
 
-    try {
-      return await createProviderTask(providerKey, prompt, length);
-    } catch (error) {
-      console.error(`[${provider?.name || providerKey}] Failed:`, error.message);
-      lastError = error;
-      // Continue to next provider
-    }
-  }
+  console.log(`🛑 Generation cancelled: ${generationId} (provider cancel: ${providerCancel.supported ? providerCancel.ok : 'unsupported'})`);
 
-  throw lastError || new Error('All providers failed to create task');
+  return res.status(200).json({
+    success: true,
+    status: 'cancelled',
+    generationId,
+    providerCancelled: providerCancel.ok,
+    refunded
+  });
 }
 
 /**
  * Main Handler - Creates task and returns immediately
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
+  if (req.method === 'DELETE') {
+    try {
+      return await handleCancel(req, res);
+    } catch (error) {
+      console.error('Cancel error:', error);
+      return res.status(500).json({ error: 'Cancel failed', message: error.message });
+    }
+  }
+
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   const startTime = Date.now();
+  // Set once this request owns its Idempotency-Key, so failures can release it
+  let claimedKey = null;
+  // Set once credits are reserved, so failures can refund them
+  let reservedGenerationId = null;
 
   try {
-    const { prompt, userId, tier = 'free', length = 10 } = req.body || {};
+    const {
+      prompt,
+      length: requestedLength,
+      aspectRatio,
+      resolution,
+      negativePrompt,
+      imageData,
+      imageUrl
+    } = req.body || {};
+    const mode = req.body?.mode || (imageData || imageUrl ? 'image-to-video' : 'text-to-video');
+    const userId = req.auth.userId;
 
     // Validate input
     if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
 
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
+    if (requestedLength !== undefined && !(Number.isInteger(requestedLength) && requestedLength > 0)) {
+      return res.status(400).json({ error: 'length must be a positive whole number of seconds' });
     }
 
-    console.log(`\n========== New Generation Request ==========`);
-    console.log(`User: ${userId}, Tier: ${tier}, Length: ${length}s`);
-    console.log(`Prompt: ${prompt.slice(0, 100)}...`);
+    if (aspectRatio && !ASPECT_RATIOS.includes(aspectRatio)) {
+      return res.status(400).json({
+        error: `Invalid aspectRatio. Supported: ${ASPECT_RATIOS.join(', ')}`
+      });
+    }
+
+    if (resolution && !RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({
+        error: `Invalid resolution. Supported: ${RESOLUTIONS.join(', ')}`
+      });
+    }
+
+    if (negativePrompt !== undefined && negativePrompt !== null && typeof negativePrompt !== 'string') {
+      return res.status(400).json({ error: 'negativePrompt must be a string' });
+    }
+
+    if (!GENERATION_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `Invalid mode. Supported: ${GENERATION_MODES.join(', ')}`
+      });
+    }
+
+    if (mode === 'image-to-video') {
+      if (!imageData && !imageUrl) {
+        return res.status(400).json({ error: 'imageData or imageUrl is required for image-to-video' });
+      }
+      if ((imageData && typeof imageData !== 'string') || (imageUrl && typeof imageUrl !== 'string')) {
+        return res.status(400).json({ error: 'imageData and imageUrl must be strings' });
+      }
+    }
 
     // Check user in database
     const { data: user, error: userError } = await supabase
       .from('users')
-      .select('id, free_used, paid_used, tier, resets_at')
+      .select('id, tier, subscription_status, subscription_ends_at, preferred_aspect_ratio, preferred_quality')
       .eq('id', userId)
       .single();
 
@@ -307,40 +231,132 @@ export default async function handler(req, res) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Check monthly reset
-    const now = new Date();
-    const resetsAt = new Date(user.resets_at);
-    if (now >= resetsAt) {
-      const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-      await supabase
-        .from('users')
-        .update({ 
-          free_used: 0, 
-          paid_used: 0,
-          resets_at: nextMonth.toISOString().split('T')[0] 
-        })
-        .eq('id', userId);
-      user.free_used = 0;
-      user.paid_used = 0;
+    // The stored tier decides everything - a tier sent by the client is ignored -
+    // but only while its subscription is trialing, paid, or in its grace period
+    const subscription = resolveSubscription(user);
+    if (subscription.expired) {
+      await downgradeExpiredSubscription(supabase, user);
+    }
+
+    const plan = getPlan(subscription.tier);
+    const tier = plan.id;
+    const length = requestedLength ?? plan.maxLength;
+
+    console.log(`\n========== New Generation Request ==========`);
+    console.log(`User: ${userId}, Tier: ${tier}, Length: ${length}s, Mode: ${mode}`);
+    console.log(`Prompt: ${prompt.slice(0, 100)}...`);
+
+    if (length > plan.maxLength) {
+      return res.status(403).json({
+        error: 'Length not included in plan',
+        message: `${plan.name} clips can be up to ${plan.maxLength}s. Upgrade for longer videos!`,
+        maxLength: plan.maxLength
+      });
+    }
+
+    if (resolution && capResolution(plan, resolution) !== resolution) {
+      return res.status(403).json({
+        error: 'Resolution not included in plan',
+        message: `${plan.name} clips can be up to ${plan.resolution}. Upgrade for higher resolution!`,
+        maxResolution: plan.resolution
+      });
     }
 
-    // Check free tier quota
-    const FREE_LIMIT = 10;
-    if (tier === 'free' && user.free_used >= FREE_LIMIT) {
+    // Replay a retried request instead of creating a second task
+    const idempotencyKey = getIdempotencyKey(req);
+    if (idempotencyKey) {
+      const claim = await claimIdempotencyKey(supabase, userId, idempotencyKey, hashRequest(req.body));
+      if (claim.replay) {
+        console.log(`🔁 Idempotent replay for key ${idempotencyKey}`);
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(claim.replay.status).json(claim.replay.body);
+      }
+      if (claim.claimed) claimedKey = idempotencyKey;
+    }
+
+    const generationId = crypto.randomUUID ? crypto.randomUUID() : `gen-${Date.now()}`;
+
+    // Explicit options win, otherwise fall back to the user's preferences.
+    // Only an explicitly requested resolution is strict - a preferred one is
+    // matched as closely as each provider allows.
+    const preferredRatio = ASPECT_RATIOS.includes(user.preferred_aspect_ratio)
+      ? user.preferred_aspect_ratio
+      : '9:16';
+    const preferredResolution = capResolution(plan, RESOLUTIONS.includes(user.preferred_quality)
+      ? user.preferred_quality
+      : plan.resolution);
+
+    const input = {
+      prompt,
+      length,
+      aspectRatio: aspectRatio || preferredRatio,
+      resolution: resolution || preferredResolution,
+      strictResolution: !!resolution,
+      negativePrompt: negativePrompt?.trim().slice(0, 500) || null,
+      imageUrl: null
+    };
+
+    // Reserve the most the plan's fallback chain could charge (period
+    // rollover + allowance top-up + balance check + debit in one database
+    // call), so concurrent requests can't overspend the balance. A balance
+    // that doesn't cover the priciest provider reserves the priciest one it
+    // covers instead, and only providers within that are tried.
+    const costInput = { ...input, imageUrl: mode === 'image-to-video' };
+    const reserve = (credits) => reserveGenerationUsage(supabase, {
+      userId,
+      generationId,
+      tier,
+      credits,
+      allowance: plan.monthlyAllowance
+    });
+
+    let maxCredits = getMaxCreditCost(plan, costInput);
+    let reservation = await reserve(maxCredits);
+    if (!reservation.reserved) {
+      const affordable = getMaxCreditCost(plan, costInput, reservation.balance);
+      if (affordable) {
+        maxCredits = affordable;
+        reservation = await reserve(maxCredits);
+      }
+    }
+
+    if (!reservation.reserved) {
+      const minCredits = getMinCreditCost(plan, costInput);
+      if (claimedKey) await releaseIdempotencyKey(supabase, userId, claimedKey);
       return res.status(402).json({ 
-        error: 'Free limit reached',
-        message: `You've used all ${FREE_LIMIT} free clips this month. Upgrade to Pro!`,
-        freeUsed: user.free_used,
-        freeLimit: FREE_LIMIT
+        error: 'Not enough credits',
+        message: tier === 'free'
+          ? `This clip costs ${minCredits} credits and you have ${reservation.balance} left. Upgrade to Pro!`
+          : `This clip costs ${minCredits} credits and you have ${reservation.balance} left.`,
+        plan: plan.id,
+        creditCost: minCredits,
+        creditBalance: reservation.balance,
+        monthlyAllowance: plan.monthlyAllowance
       });
     }
+    reservedGenerationId = generationId;
+
+    // Validate and store the reference image before any provider sees it
+    const sourceImage = mode === 'image-to-video'
+      ? await storeReferenceImage(supabase, userId, { imageData, imageUrl })
+      : null;
+    input.imageUrl = sourceImage?.url || null;
 
     // Create task with provider (with fallback)
-    const taskResult = await createTaskWithFallback(prompt, tier, length);
+    const taskResult = await createTaskWithFallback(tier, input, {
+      canUse: (providerKey, providerInput) => getCreditCost({
+        duration: providerInput.length,
+        resolution: providerInput.resolution,
+        provider: providerKey
+      }) <= maxCredits
+    });
+    const creditsUsed = Math.min(maxCredits, getCreditCost({
+      duration: taskResult.input.length,
+      resolution: taskResult.input.resolution,
+      provider: taskResult.provider
+    }));
 
     // Create generation record in database
-    const generationId = crypto.randomUUID ? crypto.randomUUID() : `gen-${Date.now()}`;
-    
     const { error: insertError } = await supabase
       .from('generations')
       .insert({
@@ -348,39 +364,43 @@ export default async function handler(req, res) {
         user_id: userId,
         task_id: taskResult.providerTaskId,
         prompt: prompt.slice(0, 500),
+        negative_prompt: taskResult.input.negativePrompt,
+        aspect_ratio: taskResult.input.aspectRatio,
+        resolution: taskResult.input.resolution,
+        mode,
+        source_image_url: sourceImage?.url || null,
+        source_image_path: sourceImage?.path || null,
         tier,
         model: taskResult.providerName,
         provider: taskResult.provider,
+        api_key_id: taskResult.apiKeyId,
+        attempted_providers: [taskResult.provider],
         duration: length,
         status: 'processing',
         cost: taskResult.cost,
+        credits_used: creditsUsed,
         created_at: new Date().toISOString(),
         started_at: new Date().toISOString()
       });
 
     if (insertError) {
       console.error('Failed to insert generation record:', insertError);
-      // Continue anyway - generation is running
-    }
 
-    // Increment usage counter
-    if (tier === 'free') {
-      await supabase
-        .from('users')
-        .update({ free_used: user.free_used + 1 })
-        .eq('id', userId);
-    } else {
-      await supabase
-        .from('users')
-        .update({ paid_used: (user.paid_used || 0) + 1 })
-        .eq('id', userId);
+      // Without a row the clip can't be polled or delivered - stop the task
+      // (best effort) and let the catch below refund the reservation
+      await cancelProviderTask(taskResult.provider, taskResult.providerTaskId, taskResult.apiKeyId).catch(() => {});
+      throw new Error('Failed to save the generation, your credits were not charged');
     }
 
+    // The task is running - settle the reservation at the provider's actual cost
+    await commitGenerationUsage(supabase, generationId, creditsUsed);
+    const creditBalance = reservation.balance + maxCredits - creditsUsed;
+
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log(`✅ Task created in ${elapsed}s: ${generationId}`);
 
     // Return immediately with task info for client polling
-    return res.status(200).json({
+    const responseBody = {
       success: true,
       status: 'processing',
       generationId: generationId,
@@ -388,21 +408,49 @@ export default async function handler(req, res) {
       provider: taskResult.provider,
       providerName: taskResult.providerName,
       tier,
-      needsAd: tier === 'free',
-      remainingFree: tier === 'free' ? FREE_LIMIT - (user.free_used + 1) : null,
+      aspectRatio: taskResult.input.aspectRatio,
+      resolution: taskResult.input.resolution,
+      mode,
+      sourceImageUrl: sourceImage?.url || null,
+      needsAd: plan.requiresAds,
+      creditsUsed,
+      creditBalance: plan.monthlyAllowance === null ? null : creditBalance,
+      remainingFree: tier === 'free' ? creditBalance : null,
+      subscriptionStatus: subscription.expired ? 'cancelled' : subscription.status,
+      accessEndsAt: subscription.accessEndsAt,
       message: 'Video generation started. Poll /api/poll for status.',
       pollUrl: `/api/poll?generationId=${generationId}`,
       estimatedTime: '30-90 seconds'
-    });
+    };
+
+    if (claimedKey) {
+      await completeIdempotencyKey(supabase, userId, claimedKey, {
+        status: 200,
+        body: responseBody,
+        generationId
+      });
+    }
+
+    return res.status(200).json(responseBody);
 
   } catch (error) {
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     console.error(`\n❌ FAILED after ${elapsed}s:`, error.message);
 
-    return res.status(500).json({ 
+    if (reservedGenerationId) {
+      await refundGenerationUsage(supabase, { id: reservedGenerationId });
+    }
+
+    if (claimedKey) {
+      await releaseIdempotencyKey(supabase, req.auth.userId, claimedKey).catch(() => {});
+    }
+
+    return res.status(error.statusCode || 500).json({ 
       error: 'Generation failed',
       message: error.message || 'Failed to start video generation',
       duration: `${elapsed}s`
     });
   }
 }
+
+export default withAuth(handler);
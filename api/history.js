@@ -0,0 +1,144 @@
+/**
+ * NeoClip 302 - Generation History API
+ * The caller's generations, filtered, searched and paged
+ *
+ * GET /api/history (authenticated)
+ *   q         full-text search over prompts ("neon city", -rain, "exact phrase")
+ *   status    comma-separated statuses (completed,failed,...)
+ *   tier      comma-separated tiers
+ *   provider  comma-separated providers
+ *   from, to  created_at range - ISO timestamps or dates; a date for `to`
+ *             includes that whole day
+ *   favorite  true for favorites only
+ *   collection a collection id - only generations in that collection
+ *   sort      newest (default) | oldest | longest | shortest
+ *   limit     page size (default 20, max 100)
+ *   cursor    from the previous page
+ *
+ * Returns { generations, total, hasMore, cursor } - total counts every match,
+ * for "showing X of Y".
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import { PLAN_ORDER } from './_lib/plans.js';
+import {
+  GENERATION_STATUSES,
+  HISTORY_SORTS,
+  MAX_HISTORY_PAGE,
+  isUuid,
+  searchGenerations
+} from './_lib/library.js';
+import { withAuth } from './_lib/auth.js';
+
+const MAX_SEARCH_LENGTH = 200;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Parse a comma-separated filter, rejecting values outside `allowed`
+ */
+function parseList(value, name, allowed = null) {
+  if (!value) return null;
+
+  const values = [...new Set(String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean))];
+  const invalid = values.filter(item => allowed ? !allowed.includes(item) : !/^[a-z0-9_-]+$/.test(item));
+  if (invalid.length) {
+    throw badRequest(`Unknown ${name}: ${invalid.join(', ')}`);
+  }
+  return values.length ? values : null;
+}
+
+function parseDate(value, name, { endOfDay = false } = {}) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`${name} must be an ISO date`);
+  }
+  if (endOfDay && DATE_ONLY.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString();
+}
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { q, status, tier, provider, from, to, favorite, collection, cursor } = req.query;
+    const sort = req.query.sort || 'newest';
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    if (!HISTORY_SORTS[sort]) {
+      return res.status(400).json({ error: `sort must be one of ${Object.keys(HISTORY_SORTS).join(', ')}` });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_PAGE) {
+      return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_HISTORY_PAGE}` });
+    }
+
+    const search = typeof q === 'string' ? q.trim() : '';
+    if (search.length > MAX_SEARCH_LENGTH) {
+      return res.status(400).json({ error: `q must be at most ${MAX_SEARCH_LENGTH} characters` });
+    }
+
+    if (favorite !== undefined && !['true', 'false'].includes(favorite)) {
+      return res.status(400).json({ error: 'favorite must be true or false' });
+    }
+    if (collection && !isUuid(collection)) {
+      return res.status(400).json({ error: 'collection must be a collection id' });
+    }
+
+    const filters = {
+      statuses: parseList(status, 'status', GENERATION_STATUSES),
+      tiers: parseList(tier, 'tier', PLAN_ORDER),
+      providers: parseList(provider, 'provider'),
+      from: parseDate(from, 'from'),
+      to: parseDate(to, 'to', { endOfDay: true }),
+      search: search || null,
+      favorite: favorite === 'true',
+      collectionId: collection || null
+    };
+
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    const page = await searchGenerations(supabase, req.auth.userId, filters, {
+      sort,
+      cursor: cursor || null,
+      limit
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...page
+    });
+
+  } catch (error) {
+    console.error('History error:', error);
+    return res.status(error.statusCode || 500).json({
+      error: 'History request failed',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,63 @@
+/**
+ * NeoClip 302 - Library Sync API
+ * The caller's generations (every status), for clients that keep a local
+ * copy of the library and sync it incrementally
+ *
+ * GET /api/library?cursor=xxx&limit=50 (authenticated)
+ *
+ * Without a cursor the whole library is returned, page by page. Each response
+ * carries a cursor: request again with it while hasMore is true, then keep the
+ * last one for the next sync to get only generations created or changed since.
+ * Clients merge by id - a generation can be sent again after it changes.
+ * Generations moved to the trash come back only as ids in `deleted`.
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import { MAX_LIBRARY_PAGE, getLibraryChanges } from './_lib/library.js';
+import { withAuth } from './_lib/auth.js';
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIBRARY_PAGE) {
+      return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_LIBRARY_PAGE}` });
+    }
+
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    const page = await getLibraryChanges(supabase, req.auth.userId, {
+      cursor: req.query.cursor || null,
+      limit
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...page
+    });
+
+  } catch (error) {
+    console.error('Library sync error:', error);
+    return res.status(error.statusCode || 500).json({
+      error: 'Library sync failed',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,166 @@
+/**
+ * NeoClip 302 - Account Linking API
+ * Moves a guest (anonymous device) account onto the signed-in account, so
+ * generations, credits, referrals and promo codes survive signing in
+ *
+ * POST /api/link { deviceToken }   (Supabase Auth session)
+ *   deviceToken is the guest's token from POST /api/user - proof the caller
+ *   owns the guest account. Without a NeoClip account yet, the guest account
+ *   becomes the signed-in account ('converted', starting the signup trial);
+ *   otherwise it is merged into it and deleted ('merged').
+ *
+ * GET /api/link (authenticated) - devices linked to the account
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import { withAuth, verifyDeviceToken } from './_lib/auth.js';
+import {
+  AUTH_PROVIDERS,
+  MERGE_ERRORS,
+  findAuthAccount,
+  convertGuestAccount,
+  mergeGuestAccount,
+  trackDevice
+} from './_lib/accounts.js';
+
+async function listDevices(supabase, userId, currentDeviceId) {
+  const { data, error } = await supabase
+    .from('user_devices')
+    .select('device_id, device_platform, device_model, app_version, linked_at, last_seen_at')
+    .eq('user_id', userId)
+    .order('last_seen_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to fetch devices: ${error.message}`);
+  }
+
+  return (data || []).map(device => ({
+    deviceId: device.device_id,
+    platform: device.device_platform,
+    model: device.device_model,
+    appVersion: device.app_version,
+    linkedAt: device.linked_at,
+    lastSeenAt: device.last_seen_at,
+    current: device.device_id === currentDeviceId
+  }));
+}
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    if (req.method === 'GET') {
+      if (!req.auth.userId) {
+        return res.status(403).json({ error: 'Account not registered', message: 'Call POST /api/user first' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        devices: await listDevices(supabase, req.auth.userId, req.auth.deviceId)
+      });
+    }
+
+    if (req.auth.type !== 'supabase') {
+      return res.status(403).json({ error: 'Sign in to link a guest account' });
+    }
+
+    let claims;
+    try {
+      claims = verifyDeviceToken(req.body?.deviceToken);
+    } catch (error) {
+      return res.status(error.statusCode === 503 ? 503 : 400).json({
+        error: 'Invalid device token',
+        message: error.message
+      });
+    }
+
+    const { data: guest } = await supabase
+      .from('users')
+      .select('id, device_id, auth_user_id, tier, stripe_subscription_id, device_platform, device_model, os_version, app_version, last_ip')
+      .eq('id', claims.userId)
+      .maybeSingle();
+
+    if (!guest || (guest.device_id && guest.device_id !== claims.deviceId)) {
+      const [status, message] = MERGE_ERRORS.not_found;
+      return res.status(status).json({ error: 'Guest account not found', message });
+    }
+
+    if (guest.auth_user_id) {
+      if (guest.auth_user_id === req.auth.authUserId) {
+        return res.status(200).json({ success: true, result: 'already_linked', userId: guest.id });
+      }
+      const [status, message] = MERGE_ERRORS.not_anonymous;
+      return res.status(status).json({ error: 'Cannot link account', message });
+    }
+
+    const authProvider = AUTH_PROVIDERS.includes(req.auth.provider) ? req.auth.provider : 'email';
+    const account = await findAuthAccount(supabase, req.auth, authProvider);
+
+    // First sign-in: the guest account becomes the signed-in account
+    if (!account) {
+      if (!await convertGuestAccount(supabase, guest, req.auth, authProvider)) {
+        return res.status(409).json({
+          error: 'Cannot link account',
+          message: 'This guest account was just linked or changed - please try again'
+        });
+      }
+      await trackDevice(supabase, guest.id, {
+        deviceId: guest.device_id,
+        devicePlatform: guest.device_platform,
+        deviceModel: guest.device_model,
+        osVersion: guest.os_version,
+        appVersion: guest.app_version,
+        ip: guest.last_ip
+      });
+
+      console.log(`🔗 Guest ${guest.id} converted to ${authProvider} account ${req.auth.authUserId}`);
+      return res.status(200).json({
+        success: true,
+        result: 'converted',
+        userId: guest.id,
+        generationsMoved: 0,
+        creditsMoved: 0
+      });
+    }
+
+    const merge = await mergeGuestAccount(supabase, guest.id, account.id, `user:${account.id}`);
+    if (merge.result !== 'merged') {
+      const [status, message] = MERGE_ERRORS[merge.result] || MERGE_ERRORS.not_found;
+      return res.status(status).json({ error: 'Cannot link account', reason: merge.result, message });
+    }
+
+    console.log(`🔗 Guest ${guest.id} merged into ${account.id}: ${merge.generationsMoved} generations, ${merge.creditsMoved} credits`);
+    return res.status(200).json({
+      success: true,
+      result: 'merged',
+      userId: account.id,
+      generationsMoved: merge.generationsMoved,
+      creditsMoved: merge.creditsMoved
+    });
+
+  } catch (error) {
+    console.error('Link error:', error);
+    return res.status(error.statusCode || 500).json({
+      error: 'Account linking failed',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler, { allowUnregistered: true });
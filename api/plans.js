@@ -0,0 +1,47 @@
+/**
+ * NeoClip 302 - Plans API
+ * Publishes the server-side plan catalog so the web and mobile clients
+ * render exactly what /api/generate enforces
+ *
+ * GET /api/plans
+ */
+
+import { PLANS, PLAN_ORDER } from './_lib/plans.js';
+import { PROVIDERS } from './_lib/providers.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // The catalog only changes with a deploy
+  res.setHeader('Cache-Control', 'public, max-age=300');
+
+  return res.status(200).json({
+    success: true,
+    plans: PLAN_ORDER.map(id => {
+      const plan = PLANS[id];
+      return {
+        id: plan.id,
+        name: plan.name,
+        price: plan.price,
+        monthlyAllowance: plan.monthlyAllowance,
+        maxLength: plan.maxLength,
+        resolution: plan.resolution,
+        providers: plan.providers.map(key => PROVIDERS[key]?.name || key),
+        requiresAds: plan.requiresAds,
+        trialDays: plan.trialDays,
+        features: plan.features
+      };
+    })
+  });
+}
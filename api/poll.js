@@ -2,16 +2,30 @@
  * NeoClip 302 - Polling API v3.3.0
  * Client polls this endpoint to check video generation status
  * 
- * GET /api/poll?generationId=xxx
+ * GET /api/poll?generationId=xxx (authenticated, own generations only)
  * 
  * Returns:
- * - status: 'processing' | 'completed' | 'failed'
+ * - status: 'queued' | 'processing' | 'completed' | 'failed' | 'cancelled'
  * - videoUrl: (when completed)
  * - progress: estimated progress (0-100)
  * - error: (when failed)
+ * 
+ * If a provider fails after accepting the task, the same prompt is resubmitted
+ * to the next provider in the tier's chain (api/_lib/resubmit.js). The
+ * generation keeps its id, so clients just keep polling.
+ *
+ * A completed generation is returned with the provider's video URL; the
+ * api/rehost-videos.js cron copies it into our own storage within minutes
+ * (api/_lib/videos.js) - too slow and memory-hungry to do inside a poll.
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { pollProviderTask } from './_lib/providers.js';
+import { refundGenerationUsage } from './_lib/quota.js';
+import { getPlan } from './_lib/plans.js';
+import { grantReferralReward } from './_lib/referrals.js';
+import { ACTIVE_STATUSES, resubmitGeneration } from './_lib/resubmit.js';
+import { withAuth } from './_lib/auth.js';
 
 // Initialize Supabase
 const supabase = createClient(
@@ -19,244 +33,14 @@ const supabase = createClient(
   process.env.SUPABASE_KEY || ''
 );
 
-/**
- * Provider configurations for polling
- */
-const PROVIDERS = {
-  fal: {
-    name: 'MiniMax-FAL',
-    getKey: () => process.env.FAL_KEY,
-    authHeader: (key) => `Key ${key}`,
-    getStatusUrl: (taskId) => `https://queue.fal.run/fal-ai/minimax/video-01/requests/${taskId}/status`,
-    getResultUrl: (taskId) => `https://queue.fal.run/fal-ai/minimax/video-01/requests/${taskId}`,
-    parseStatus: (response) => {
-      const status = response?.status?.toLowerCase?.() || '';
-      if (status === 'completed' || status === 'succeeded' || response?.video?.url) {
-        return 'completed';
-      }
-      if (status === 'failed' || status === 'error') {
-        return 'failed';
-      }
-      if (status === 'in_queue') {
-        return 'queued';
-      }
-      return 'processing';
-    },
-    extractVideoUrl: (response) => {
-      return response?.video?.url || 
-             response?.output?.video_url ||
-             response?.video_url ||
-             response?.result?.video?.url;
-    },
-    extractError: (response) => response?.error || response?.message,
-    extractProgress: (response) => {
-      const status = response?.status?.toLowerCase?.() || '';
-      if (status === 'completed') return 100;
-      if (status === 'in_queue') return 10;
-      if (response?.logs) return 50;
-      return 30;
-    }
-  },
-
-  wan: {
-    name: 'Wan-2.1',
-    getKey: () => process.env.REPLICATE_KEY,
-    authHeader: (key) => `Token ${key}`,
-    getStatusUrl: (taskId) => `https://api.replicate.com/v1/predictions/${taskId}`,
-    getResultUrl: (taskId) => `https://api.replicate.com/v1/predictions/${taskId}`,
-    parseStatus: (response) => {
-      const status = response?.status?.toLowerCase?.() || '';
-      if (status === 'succeeded') return 'completed';
-      if (status === 'failed' || status === 'canceled') return 'failed';
-      if (status === 'starting') return 'queued';
-      return 'processing';
-    },
-    extractVideoUrl: (response) => {
-      const output = response?.output;
-      return Array.isArray(output) ? output[0] : output;
-    },
-    extractError: (response) => response?.error,
-    extractProgress: (response) => {
-      const status = response?.status?.toLowerCase?.() || '';
-      if (status === 'succeeded') return 100;
-      if (status === 'starting') return 10;
-      if (status === 'processing') {
-        // Try to extract from logs
-        const logs = response?.logs || '';
-        const match = logs.match(/(\d+)%/);
-        if (match) return parseInt(match[1], 10);
-        return 50;
-      }
-      return 30;
-    }
-  },
-
-  luma: {
-    name: 'Luma',
-    getKey: () => process.env.PIAPI_KEY,
-    authHeader: (key) => `Bearer ${key}`,
-    getStatusUrl: (taskId) => `https://api.piapi.ai/api/v1/task/${taskId}`,
-    getResultUrl: (taskId) => `https://api.piapi.ai/api/v1/task/${taskId}`,
-    parseStatus: (response) => {
-      const status = (response?.data?.status || response?.status || '').toLowerCase();
-      if (status === 'completed' || status === 'succeeded' || status === 'success') return 'completed';
-      if (status === 'failed' || status === 'error') return 'failed';
-      if (status === 'pending' || status === 'queued') return 'queued';
-      return 'processing';
-    },
-    extractVideoUrl: (response) => {
-      return response?.data?.output?.video_url ||
-             response?.data?.video_url ||
-             response?.output?.video_url ||
-             response?.video_url;
-    },
-    extractError: (response) => response?.data?.error || response?.error || response?.message,
-    extractProgress: (response) => {
-      const status = (response?.data?.status || response?.status || '').toLowerCase();
-      if (status === 'completed' || status === 'succeeded') return 100;
-      if (status === 'pending' || status === 'queued') return 15;
-      const progress = response?.data?.progress || response?.progress;
-      if (progress) return Math.min(progress, 95);
-      return 45;
-    }
-  }
-};
-
-/**
- * Make HTTP request with timeout
- */
-async function makeRequest(url, options, timeoutMs = 15000) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers
-      }
-    });
-
-    const text = await response.text();
-    let data = {};
-    
-    try {
-      if (text) data = JSON.parse(text);
-    } catch (e) {
-      console.warn('Response not JSON:', text.slice(0, 100));
-    }
-
-    return { 
-      status: response.status, 
-      data, 
-      ok: response.ok 
-    };
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      return { status: 408, data: {}, ok: false };
-    }
-    return { status: 0, data: {}, ok: false };
-  } finally {
-    clearTimeout(timeout);
-  }
-}
-
-/**
- * Poll provider for task status
- */
-async function pollProvider(provider, taskId) {
-  const config = PROVIDERS[provider];
-  if (!config) {
-    return { status: 'failed', error: `Unknown provider: ${provider}` };
-  }
-
-  const apiKey = config.getKey();
-  if (!apiKey) {
-    return { status: 'failed', error: `No API key for ${config.name}` };
-  }
-
-  try {
-    // First try status URL
-    const statusUrl = config.getStatusUrl(taskId);
-    let { status: httpStatus, data, ok } = await makeRequest(statusUrl, {
-      method: 'GET',
-      headers: { 'Authorization': config.authHeader(apiKey) }
-    });
-
-    console.log(`[${config.name}] Status check: HTTP ${httpStatus}`, JSON.stringify(data).slice(0, 300));
-
-    if (httpStatus === 401 || httpStatus === 403) {
-      return { status: 'failed', error: 'Authentication error' };
-    }
-
-    // Parse status
-    const taskStatus = config.parseStatus(data);
-    const progress = config.extractProgress(data);
-
-    if (taskStatus === 'completed') {
-      // Try to get video URL from status response first
-      let videoUrl = config.extractVideoUrl(data);
-      
-      // If not in status, fetch full result
-      if (!videoUrl && config.getResultUrl) {
-        const resultUrl = config.getResultUrl(taskId);
-        const resultResponse = await makeRequest(resultUrl, {
-          method: 'GET',
-          headers: { 'Authorization': config.authHeader(apiKey) }
-        });
-        
-        if (resultResponse.ok) {
-          videoUrl = config.extractVideoUrl(resultResponse.data);
-        }
-      }
-
-      if (videoUrl) {
-        return { 
-          status: 'completed', 
-          videoUrl,
-          progress: 100
-        };
-      } else {
-        return { 
-          status: 'failed', 
-          error: 'Video completed but URL not found'
-        };
-      }
-    }
-
-    if (taskStatus === 'failed') {
-      return { 
-        status: 'failed', 
-        error: config.extractError(data) || 'Generation failed'
-      };
-    }
-
-    // Still processing
-    return { 
-      status: taskStatus === 'queued' ? 'queued' : 'processing',
-      progress
-    };
-
-  } catch (error) {
-    console.error(`[${config.name}] Poll error:`, error.message);
-    return { 
-      status: 'processing',  // Don't fail on poll errors, let client retry
-      progress: 20,
-      warning: error.message
-    };
-  }
-}
-
 /**
  * Main Handler
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -283,7 +67,8 @@ export default async function handler(req, res) {
       .eq('id', generationId)
       .single();
 
-    if (dbError || !generation) {
+    // Someone else's generation looks exactly like a missing one
+    if (dbError || !generation || generation.user_id !== req.auth.userId) {
       return res.status(404).json({ 
         error: 'Generation not found',
         generationId 
@@ -311,8 +96,17 @@ export default async function handler(req, res) {
       });
     }
 
+    if (generation.status === 'cancelled') {
+      return res.status(200).json({
+        success: false,
+        status: 'cancelled',
+        message: 'Generation was cancelled',
+        progress: 0
+      });
+    }
+
     // Poll the provider
-    const pollResult = await pollProvider(generation.provider, generation.task_id);
+    const pollResult = await pollProviderTask(generation.provider, generation.task_id, generation.api_key_id);
 
     // Update database based on poll result
     if (pollResult.status === 'completed' && pollResult.videoUrl) {
@@ -328,17 +122,20 @@ export default async function handler(req, res) {
           completed_at: completedAt,
           total_time_ms: totalTimeMs
         })
-        .eq('id', generationId);
+        .eq('id', generationId)
+        .in('status', ACTIVE_STATUSES);
 
-      // Update user stats
+      // Update user stats (total_videos_generated is counted by a trigger)
       await supabase
         .from('users')
-        .update({
-          total_videos_generated: supabase.raw ? undefined : generation.user_id ? 1 : 0, // Will use trigger instead
-          last_active_at: completedAt
-        })
+        .update({ last_active_at: completedAt })
         .eq('id', generation.user_id);
 
+      // A referred user's first finished clip pays out the referral
+      if (generation.user_id) {
+        await grantReferralReward(supabase, generation.user_id);
+      }
+
       return res.status(200).json({
         success: true,
         status: 'completed',
@@ -346,39 +143,39 @@ export default async function handler(req, res) {
         progress: 100,
         model: generation.model,
         generationTime: `${(totalTimeMs / 1000).toFixed(1)}s`,
-        needsAd: generation.tier === 'free'
+        needsAd: getPlan(generation.tier).requiresAds
       });
     }
 
     if (pollResult.status === 'failed') {
-      await supabase
+      const resubmitted = await resubmitGeneration(supabase, generation, pollResult.error);
+
+      if (resubmitted) {
+        return res.status(200).json({
+          success: true,
+          status: 'processing',
+          progress: 5,
+          model: resubmitted.providerName,
+          retryCount: resubmitted.retryCount,
+          message: `Retrying with ${resubmitted.providerName}...`
+        });
+      }
+
+      const { data: failedRows } = await supabase
         .from('generations')
         .update({
           status: 'failed',
           error: pollResult.error,
           completed_at: new Date().toISOString()
         })
-        .eq('id', generationId);
-
-      // Rollback usage counter
-      const { data: user } = await supabase
-        .from('users')
-        .select('free_used, paid_used')
-        .eq('id', generation.user_id)
-        .single();
-
-      if (user) {
-        if (generation.tier === 'free' && user.free_used > 0) {
-          await supabase
-            .from('users')
-            .update({ free_used: user.free_used - 1 })
-            .eq('id', generation.user_id);
-        } else if (generation.tier !== 'free' && user.paid_used > 0) {
-          await supabase
-            .from('users')
-            .update({ paid_used: user.paid_used - 1 })
-            .eq('id', generation.user_id);
-        }
+        .eq('id', generationId)
+        .in('status', ACTIVE_STATUSES)
+        .select('id');
+
+      // Rollback usage counter - only if this request made the transition
+      // (refund_quota also refuses a second refund for the same generation)
+      if (failedRows?.length) {
+        await refundGenerationUsage(supabase, generation);
       }
 
       return res.status(200).json({
@@ -413,3 +210,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withAuth(handler);
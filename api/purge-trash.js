@@ -0,0 +1,41 @@
+/**
+ * NeoClip 302 - Trash Purge Job
+ * Permanently deletes generations that have been in the trash longer than
+ * TRASH_RETENTION_DAYS, files first (see api/_lib/trash.js)
+ *
+ * GET /api/purge-trash - run daily by Vercel Cron (Authorization: Bearer CRON_SECRET)
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import { purgeExpiredTrash } from './_lib/trash.js';
+import { withCron } from './_lib/auth.js';
+
+// Per run, to stay inside the function timeout; the rest go in the next run
+const PURGE_BATCH = 200;
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    const result = await purgeExpiredTrash(supabase, { limit: PURGE_BATCH });
+    console.log(`🗑️ Trash purge: ${result.purged} purged, ${result.failed} failed`);
+
+    return res.status(200).json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Trash purge error:', error);
+    return res.status(500).json({
+      error: 'Trash purge failed',
+      message: error.message
+    });
+  }
+}
+
+export default withCron(handler);
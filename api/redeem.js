@@ -0,0 +1,159 @@
+/**
+ * NeoClip 302 - Promo Code Redemption API
+ * Applies a marketing code: bonus credits, trial days and/or a temporary tier
+ *
+ * POST /api/redeem { code } (authenticated)
+ *
+ * Codes live in promo_codes; redeem_promo_code() enforces the usage cap,
+ * expiry and single use per user atomically and records the redemption
+ * (with its utm_campaign) in promo_redemptions.
+ *
+ * Trial days grant access to the code's tier (or extend the user's current
+ * trial / start the signup trial plan when the code has no tier). Users on a
+ * live Stripe subscription (paid or trialing) or a better plan keep their plan
+ * and only get the credits.
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import { getPlan, PLAN_ORDER } from './_lib/plans.js';
+import { resolveSubscription, getSignupTrial } from './_lib/subscriptions.js';
+import { getCreditUsage } from './_lib/credits.js';
+import { withAuth } from './_lib/auth.js';
+
+// Stripe-managed subscriptions (including Stripe trials) aren't overridden by
+// promo trials - the next Stripe webhook would overwrite the promo anyway
+const STRIPE_MANAGED_STATUSES = ['active', 'trialing', 'past_due'];
+
+// redeem_promo_code() result -> HTTP status + message
+const REDEEM_ERRORS = {
+  inactive: [404, 'This code is not valid'],
+  expired: [410, 'This code has expired'],
+  exhausted: [410, 'This code has reached its redemption limit'],
+  already_redeemed: [409, 'You have already used this code']
+};
+
+/**
+ * Tier a code's trial days should grant this user, or null for none
+ */
+function getAccessTier(promo, user, subscription) {
+  if (!promo.trial_days) return null;
+
+  // Paying through Stripe - the webhook owns the tier
+  if (user.stripe_subscription_id && subscription.storedTier !== 'free' &&
+      STRIPE_MANAGED_STATUSES.includes(subscription.status) && !subscription.expired) {
+    return null;
+  }
+
+  const currentTier = subscription.tier;
+  const tier = promo.tier ||
+    (subscription.status === 'trialing' && currentTier !== 'free' ? currentTier : getSignupTrial()?.tier);
+  if (!tier) return null;
+
+  // Never swap a better plan for a trial of a lesser one
+  if (PLAN_ORDER.indexOf(tier) < PLAN_ORDER.indexOf(currentTier)) return null;
+
+  return tier;
+}
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const userId = req.auth.userId;
+    const { code } = req.body || {};
+
+    const normalizedCode = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    if (!normalizedCode || normalizedCode.length > 64) {
+      return res.status(400).json({ error: 'Promo code is required' });
+    }
+
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, tier, subscription_status, subscription_ends_at, stripe_subscription_id')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { data: promo } = await supabase
+      .from('promo_codes')
+      .select('id, code, description, bonus_credits, trial_days, tier')
+      .eq('code', normalizedCode)
+      .single();
+
+    if (!promo) {
+      return res.status(404).json({ error: 'Invalid code', message: REDEEM_ERRORS.inactive[1] });
+    }
+
+    const subscription = resolveSubscription(user);
+    const accessTier = getAccessTier(promo, user, subscription);
+
+    if (!promo.bonus_credits && !accessTier) {
+      return res.status(409).json({
+        error: 'Code not applicable',
+        message: 'Your current plan already includes everything this code offers'
+      });
+    }
+
+    const { data, error: redeemError } = await supabase.rpc('redeem_promo_code', {
+      target_user_id: user.id,
+      promo_id: promo.id,
+      access_tier: accessTier
+    });
+
+    if (redeemError) {
+      console.error(`Promo redemption failed for ${user.id} (${promo.code}):`, redeemError.message);
+      return res.status(503).json({ error: 'Could not redeem code, please try again' });
+    }
+
+    const result = Array.isArray(data) ? data[0] : data;
+    if (result?.result !== 'redeemed') {
+      const [status, message] = REDEEM_ERRORS[result?.result] || REDEEM_ERRORS.inactive;
+      return res.status(status).json({ error: 'Code not redeemed', message });
+    }
+
+    console.log(`🎟️ Promo ${promo.code} redeemed by ${user.id}: +${result.credits_granted} credits` +
+      (result.tier_granted ? `, ${result.tier_granted} until ${result.access_ends_at}` : ''));
+
+    const tier = result.tier_granted || subscription.tier;
+    const credits = await getCreditUsage(supabase, user.id, getPlan(tier));
+
+    return res.status(200).json({
+      success: true,
+      code: promo.code,
+      description: promo.description,
+      creditsGranted: result.credits_granted,
+      tierGranted: result.tier_granted,
+      accessEndsAt: result.access_ends_at,
+      tier,
+      creditBalance: credits.balance
+    });
+
+  } catch (error) {
+    console.error('Redeem error:', error);
+    return res.status(error.statusCode || 500).json({
+      error: 'Redemption failed',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler);
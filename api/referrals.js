@@ -0,0 +1,119 @@
+/**
+ * NeoClip 302 - Referrals API
+ * Referral status for a user: their code, the people they referred and the
+ * credits earned, plus the referral that brought them in (if any)
+ *
+ * GET /api/referrals (authenticated)
+ *
+ * Pending referrals whose referee has since finished a generation are
+ * rewarded here too, in case the completion was never seen by /api/poll
+ * or /api/webhook.
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import {
+  REFERRER_REWARD_CREDITS,
+  REFEREE_REWARD_CREDITS,
+  grantReferralReward
+} from './_lib/referrals.js';
+import { withAuth } from './_lib/auth.js';
+
+const MAX_REFERRALS = 50;
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const userId = req.auth.userId;
+
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    // Catch up on rewards whose completion was missed
+    const { data: pending } = await supabase
+      .from('referrals')
+      .select('referee_id')
+      .eq('status', 'pending')
+      .eq('referrer_id', userId);
+
+    for (const referee of [userId, ...(pending || []).map(referral => referral.referee_id)]) {
+      await grantReferralReward(supabase, referee);
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, referral_code, referral_count, referral_rewards_claimed')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { data: referrals, error: referralsError } = await supabase
+      .from('referrals')
+      .select('id, status, rejection_reason, referrer_credits, created_at, rewarded_at, referee:users!referee_id(display_name)')
+      .eq('referrer_id', user.id)
+      .order('created_at', { ascending: false })
+      .limit(MAX_REFERRALS);
+
+    if (referralsError) {
+      return res.status(500).json({ error: 'Failed to fetch referrals' });
+    }
+
+    const { data: ownReferral } = await supabase
+      .from('referrals')
+      .select('status, referee_credits, created_at, rewarded_at')
+      .eq('referee_id', user.id)
+      .maybeSingle();
+
+    const creditsEarned = (referrals || []).reduce((total, referral) => total + (referral.referrer_credits || 0), 0);
+
+    return res.status(200).json({
+      success: true,
+      referralCode: user.referral_code,
+      referralCount: user.referral_count || 0,
+      rewardsClaimed: user.referral_rewards_claimed || 0,
+      creditsEarned,
+      rewardPerReferral: REFERRER_REWARD_CREDITS,
+      welcomeBonus: REFEREE_REWARD_CREDITS,
+      referredBy: ownReferral ? {
+        status: ownReferral.status,
+        creditsEarned: ownReferral.referee_credits || 0,
+        createdAt: ownReferral.created_at,
+        rewardedAt: ownReferral.rewarded_at
+      } : null,
+      referrals: (referrals || []).map(referral => ({
+        id: referral.id,
+        name: referral.referee?.display_name?.split(' ')[0] || 'Friend',
+        status: referral.status,
+        rejectionReason: referral.rejection_reason,
+        creditsEarned: referral.referrer_credits || 0,
+        createdAt: referral.created_at,
+        rewardedAt: referral.rewarded_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Referrals error:', error);
+    return res.status(error.statusCode || 500).json({
+      error: 'Failed to fetch referrals',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,53 @@
+/**
+ * NeoClip 302 - Video Re-host Job
+ * Copies completed videos still served from provider URLs into our own
+ * storage (see api/_lib/videos.js): newly finished generations, ones from
+ * before re-hosting existed and earlier failed copies. Each video is tried
+ * MAX_REHOST_ATTEMPTS times; links that have already expired stay as they are.
+ *
+ * GET /api/rehost-videos - run every 5 minutes by Vercel Cron (Authorization: Bearer CRON_SECRET)
+ *
+ * The function stays within the 60s limit every Vercel plan allows, but a
+ * cron schedule more frequent than daily needs a Pro or Enterprise plan (on
+ * Hobby the job runs once a day and videos wait that long for their copy).
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import { rehostPendingVideos } from './_lib/videos.js';
+import { withCron } from './_lib/auth.js';
+
+// Per run: downloads stop starting after REHOST_BUDGET_MS so the run (plus
+// one last download and upload) ends inside the 60s function timeout; the
+// rest go in the next run
+const REHOST_BATCH = 20;
+const REHOST_BUDGET_MS = 20000;
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    const result = await rehostPendingVideos(supabase, {
+      limit: REHOST_BATCH,
+      deadline: Date.now() + REHOST_BUDGET_MS
+    });
+    console.log(`📦 Video re-host: ${result.rehosted} re-hosted, ${result.failed} failed, ${result.remaining} left for next run`);
+
+    return res.status(200).json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Video re-host error:', error);
+    return res.status(500).json({
+      error: 'Video re-host failed',
+      message: error.message
+    });
+  }
+}
+
+export default withCron(handler);
@@ -2,10 +2,20 @@
  * NeoClip Production - Generation Status API
  * Check the status of a video generation task
  * 
+ * GET /api/status?taskId=xxx - one of the caller's generations
+ * GET /api/status            - the caller's usage and recent generations
+ *                              (the full, searchable list is GET /api/history)
+ * 
+ * Requests are authenticated (see api/_lib/auth.js); the user is the token's.
+ * 
  * SECURITY: All sensitive keys are stored in Vercel Environment Variables
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { PLANS, getPlan, getPlanUsage } from './_lib/plans.js';
+import { resolveSubscription } from './_lib/subscriptions.js';
+import { getCreditUsage } from './_lib/credits.js';
+import { withAuth } from './_lib/auth.js';
 
 // Environment variables
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -15,7 +25,7 @@ const getSupabaseClient = () => {
   return createClient(SUPABASE_URL, SUPABASE_KEY);
 };
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -30,13 +40,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { taskId, userId } = req.query;
-
-    if (!taskId && !userId) {
-      return res.status(400).json({ 
-        error: 'Either taskId or userId is required' 
-      });
-    }
+    const { taskId } = req.query;
+    const userId = req.auth.userId;
 
     const supabase = getSupabaseClient();
 
@@ -46,6 +51,8 @@ export default async function handler(req, res) {
         .from('generations')
         .select('*')
         .eq('task_id', taskId)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
         .single();
 
       if (error || !generation) {
@@ -61,6 +68,8 @@ export default async function handler(req, res) {
           videoUrl: generation.video_url,
           tier: generation.tier,
           prompt: generation.prompt,
+          mode: generation.mode,
+          sourceImageUrl: generation.source_image_url,
           createdAt: generation.created_at,
           completedAt: generation.completed_at,
           error: generation.error
@@ -68,56 +77,67 @@ export default async function handler(req, res) {
       });
     }
 
-    // If userId provided, get user's recent generations
-    if (userId) {
-      const { data: user, error: userError } = await supabase
-        .from('users')
-        .select('id, tier, free_used, resets_at')
-        .eq('id', userId)
-        .single();
-
-      if (userError || !user) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-
-      const { data: generations, error: genError } = await supabase
-        .from('generations')
-        .select('id, task_id, status, video_url, tier, prompt, created_at')
-        .eq('user_id', userId)
-        .order('created_at', { ascending: false })
-        .limit(20);
+    // Otherwise the user's usage and recent generations
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, tier, resets_at, subscription_status, subscription_ends_at')
+      .eq('id', userId)
+      .single();
 
-      if (genError) {
-        return res.status(500).json({ error: 'Failed to fetch generations' });
-      }
+    if (userError || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-      // Calculate remaining days until reset
-      const resetsAt = new Date(user.resets_at);
-      const now = new Date();
-      const daysUntilReset = Math.ceil((resetsAt - now) / (1000 * 60 * 60 * 24));
+    const { data: generations, error: genError } = await supabase
+      .from('generations')
+      .select('id, task_id, status, video_url, tier, prompt, mode, source_image_url, created_at')
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false })
+      .limit(20);
 
-      return res.status(200).json({
-        success: true,
-        user: {
-          id: user.id,
-          tier: user.tier,
-          freeUsed: user.free_used,
-          freeRemaining: 10 - user.free_used,
-          resetsAt: user.resets_at,
-          daysUntilReset: Math.max(0, daysUntilReset)
-        },
-        generations: generations.map(g => ({
-          id: g.id,
-          taskId: g.task_id,
-          status: g.status,
-          videoUrl: g.video_url,
-          tier: g.tier,
-          prompt: g.prompt,
-          createdAt: g.created_at
-        }))
-      });
+    if (genError) {
+      return res.status(500).json({ error: 'Failed to fetch generations' });
     }
 
+    const subscription = resolveSubscription(user);
+    const credits = await getCreditUsage(supabase, user.id, getPlan(subscription.tier));
+    const usage = getPlanUsage(credits, subscription.tier);
+
+    // Calculate remaining days until reset
+    const resetsAt = new Date(credits.resetsAt || user.resets_at);
+    const now = new Date();
+    const daysUntilReset = Math.ceil((resetsAt - now) / (1000 * 60 * 60 * 24));
+
+    return res.status(200).json({
+      success: true,
+      user: {
+        id: user.id,
+        tier: subscription.tier,
+        subscriptionStatus: subscription.expired ? 'cancelled' : subscription.status,
+        accessEndsAt: subscription.accessEndsAt,
+        freeUsed: credits.freeUsed,
+        freeRemaining: Math.max(0, PLANS.free.monthlyAllowance - credits.freeUsed),
+        paidUsed: credits.paidUsed,
+        monthlyAllowance: usage.monthlyAllowance,
+        creditsUsed: usage.used,
+        creditBalance: usage.balance,
+        resetsAt: credits.resetsAt || user.resets_at,
+        daysUntilReset: Math.max(0, daysUntilReset)
+      },
+      generations: generations.map(g => ({
+        id: g.id,
+        taskId: g.task_id,
+        status: g.status,
+        videoUrl: g.video_url,
+        tier: g.tier,
+        prompt: g.prompt,
+        mode: g.mode,
+        sourceImageUrl: g.source_image_url,
+        createdAt: g.created_at
+      }))
+    });
+
   } catch (error) {
     console.error('Status check error:', error);
     return res.status(500).json({ 
@@ -126,3 +146,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withAuth(handler);
@@ -0,0 +1,166 @@
+/**
+ * NeoClip 302 - Stripe Webhook Handler
+ * Drives users.tier and users.subscription_status from Stripe subscription events
+ *
+ * The Stripe-Signature header is verified against the raw request body, so
+ * this handler reads the body stream itself (readRawBody) and never touches
+ * req.body - on Vercel even reading req.body parses and consumes the stream.
+ *
+ * Handled events:
+ * - checkout.session.completed          - links the new subscription to the user
+ * - customer.subscription.created/updated/deleted
+ * - invoice.payment_failed / invoice.paid
+ *
+ * Events can arrive out of order or more than once, so every event re-reads
+ * the subscription from Stripe and applies its current state.
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import { stripeRequest, readRawBody, constructEvent, getTierForPrice } from './_lib/stripe.js';
+import { updatePrivilegedFields } from './_lib/audit.js';
+
+// Stripe subscription status -> users.subscription_status
+const STATUS_MAP = {
+  active: 'active',
+  trialing: 'trialing',
+  past_due: 'past_due',
+  unpaid: 'past_due',
+  paused: 'paused',
+  canceled: 'cancelled',
+  incomplete_expired: 'cancelled'
+};
+
+// Statuses that keep the paid plan
+const PAID_STATUSES = ['active', 'trialing', 'past_due'];
+
+/**
+ * Find the subscription id an event refers to
+ */
+function getSubscriptionId(event) {
+  const object = event.data?.object || {};
+  if (event.type.startsWith('customer.subscription.')) return object.id;
+  if (typeof object.subscription === 'string') return object.subscription;
+  return object.subscription?.id || object.parent?.subscription_details?.subscription || null;
+}
+
+/**
+ * Apply a subscription's current state to its user
+ * The event type is recorded as the reason in the user audit log.
+ * Returns a short outcome for the webhook log.
+ */
+async function applySubscription(supabase, subscription, eventType, userIdHint = null) {
+  const subscriptionStatus = STATUS_MAP[subscription.status];
+  if (!subscriptionStatus) {
+    // incomplete - the first payment hasn't gone through yet
+    return `ignored (${subscription.status})`;
+  }
+
+  const userId = subscription.metadata?.user_id || userIdHint;
+  const findUser = (column, value) => supabase
+    .from('users')
+    .select('id, tier, stripe_subscription_id, subscription_status')
+    .eq(column, value)
+    .maybeSingle();
+
+  // A guest account merged into a signed-in one no longer exists under the
+  // user_id in the subscription metadata, but its Stripe customer moved over
+  let { data: user } = userId ? await findUser('id', userId) : { data: null };
+  if (!user) ({ data: user } = await findUser('stripe_customer_id', subscription.customer));
+  if (!user) {
+    throw new Error(`No user for subscription ${subscription.id}`);
+  }
+
+  // An old subscription ending must not downgrade a newer one
+  if (user.stripe_subscription_id && user.stripe_subscription_id !== subscription.id &&
+      !PAID_STATUSES.includes(subscriptionStatus)) {
+    return `ignored (superseded ${subscription.id})`;
+  }
+
+  const item = subscription.items?.data?.[0];
+  const planTier = getTierForPrice(item?.price?.id) || subscription.metadata?.tier;
+  if (PAID_STATUSES.includes(subscriptionStatus) && !planTier) {
+    throw new Error(`Unknown price ${item?.price?.id} on subscription ${subscription.id}`);
+  }
+
+  const tier = PAID_STATUSES.includes(subscriptionStatus) ? planTier : 'free';
+  const periodEnd = subscription.cancel_at || subscription.current_period_end || item?.current_period_end;
+  const endedAt = subscription.ended_at;
+
+  await updatePrivilegedFields(supabase, user.id, {
+    tier,
+    subscription_status: subscriptionStatus,
+    stripe_customer_id: subscription.customer,
+    stripe_subscription_id: subscription.id,
+    subscription_ends_at: (endedAt || periodEnd) ? new Date((endedAt || periodEnd) * 1000).toISOString() : null
+  }, { actor: 'stripe', reason: eventType });
+
+  if (user.tier !== tier || user.subscription_status !== subscriptionStatus) {
+    console.log(`💳 User ${user.id}: ${user.tier}/${user.subscription_status} -> ${tier}/${subscriptionStatus}`);
+  }
+  return `${tier}/${subscriptionStatus}`;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const startTime = Date.now();
+  const supabase = getSupabase();
+  if (!supabase) {
+    return res.status(500).json({ error: 'Database connection failed' });
+  }
+
+  let event;
+  try {
+    const rawBody = await readRawBody(req);
+    event = constructEvent(rawBody, req.headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    console.error('Stripe webhook rejected:', error.message);
+    return res.status(error.statusCode || 400).json({ error: error.message });
+  }
+
+  let outcome = 'ignored';
+  let processingError = null;
+
+  try {
+    const subscriptionId = getSubscriptionId(event);
+
+    if (subscriptionId && (
+      event.type === 'checkout.session.completed' ||
+      event.type.startsWith('customer.subscription.') ||
+      event.type.startsWith('invoice.')
+    )) {
+      const subscription = await stripeRequest('GET', `/v1/subscriptions/${subscriptionId}`);
+      const userIdHint = event.type === 'checkout.session.completed'
+        ? event.data.object.client_reference_id
+        : null;
+      outcome = await applySubscription(supabase, subscription, event.type, userIdHint);
+    }
+  } catch (error) {
+    console.error(`Stripe ${event.type} (${event.id}) failed:`, error.message);
+    processingError = error;
+    outcome = 'failed';
+  }
+
+  // Log webhook event
+  await supabase
+    .from('webhook_logs')
+    .insert({
+      task_id: event.id,
+      source: 'stripe',
+      event_type: event.type,
+      status: outcome,
+      payload: event,
+      response_code: processingError ? 500 : 200,
+      processing_time_ms: Date.now() - startTime,
+      error_message: processingError?.message || null
+    });
+
+  if (processingError) {
+    // Non-2xx makes Stripe retry the event
+    return res.status(500).json({ error: 'Webhook processing failed', message: processingError.message });
+  }
+
+  return res.status(200).json({ received: true, outcome });
+}
@@ -0,0 +1,105 @@
+/**
+ * NeoClip 302 - Trash API
+ * Delete, restore and permanently delete the caller's generations
+ *
+ * GET    /api/trash                                   - trashed generations, with purgeAt
+ * POST   /api/trash { generationId }                  - move a generation to the trash
+ * POST   /api/trash { generationId, action: 'restore' } - take it back out
+ * DELETE /api/trash?generationId=xxx                  - delete a trashed generation for good
+ *
+ * Trashed generations are purged automatically after TRASH_RETENTION_DAYS
+ * (api/purge-trash.js). In-flight generations must be cancelled first.
+ */
+
+import { getSupabase } from './_lib/supabase.js';
+import {
+  TRASH_RETENTION_DAYS,
+  getPurgeAt,
+  trashGeneration,
+  restoreGeneration,
+  listTrash,
+  deleteGenerationForever,
+  purgeExpiredTrash
+} from './_lib/trash.js';
+import { withAuth } from './_lib/auth.js';
+
+async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const userId = req.auth.userId;
+
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database connection failed' });
+    }
+
+    if (req.method === 'GET') {
+      // Expired items may still be waiting for the scheduled purge
+      await purgeExpiredTrash(supabase, { userId }).catch(error => {
+        console.error(`Trash purge failed for ${userId}:`, error.message);
+      });
+
+      return res.status(200).json({
+        success: true,
+        retentionDays: TRASH_RETENTION_DAYS,
+        generations: await listTrash(supabase, userId)
+      });
+    }
+
+    const generationId = req.method === 'DELETE' ? req.query.generationId : req.body?.generationId;
+    if (!generationId) {
+      return res.status(400).json({ error: 'generationId is required' });
+    }
+
+    if (req.method === 'DELETE') {
+      await deleteGenerationForever(supabase, userId, generationId);
+      console.log(`🗑️ Generation purged by user: ${generationId}`);
+
+      return res.status(200).json({ success: true, generationId, deleted: true });
+    }
+
+    const action = req.body?.action || 'trash';
+
+    if (action === 'restore') {
+      const generation = await restoreGeneration(supabase, userId, generationId);
+      console.log(`♻️ Generation restored: ${generationId}`);
+
+      return res.status(200).json({ success: true, generation });
+    }
+
+    if (action !== 'trash') {
+      return res.status(400).json({ error: "action must be 'trash' or 'restore'" });
+    }
+
+    const deletedAt = await trashGeneration(supabase, userId, generationId);
+    console.log(`🗑️ Generation moved to trash: ${generationId}`);
+
+    return res.status(200).json({
+      success: true,
+      generationId,
+      deletedAt,
+      purgeAt: getPurgeAt(deletedAt)
+    });
+
+  } catch (error) {
+    console.error('Trash error:', error);
+    return res.status(error.statusCode || 500).json({
+      error: 'Trash request failed',
+      message: error.message
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -8,9 +8,34 @@
  * - POST: Create/register user with full data collection
  * - GET: Retrieve user info
  * - PATCH: Update user profile
+ * 
+ * Identity comes from the bearer token (see api/_lib/auth.js), never from ids
+ * in the request:
+ * - Supabase Auth session: the users row linked to the auth user (created or
+ *   linked by email on first POST)
+ * - Device token: the anonymous users row it was issued for
+ * - No token: POST only - creates the anonymous row for deviceId and returns
+ *   its deviceToken. A token is issued once per row (device_token_issued_at):
+ *   a deviceId that already has one is refused (409), so knowing a device id
+ *   is never enough to get its token. Rows registered before device tokens
+ *   existed get theirs on their first tokenless POST. Rows linked to a
+ *   Supabase Auth account (or devices linked to one) are refused with 401.
+ *
+ * New Supabase Auth accounts start on the signup trial (getSignupTrial);
+ * anonymous rows start on free and get it when they sign in (POST /api/link).
+ *
+ * Guest accounts are moved onto a signed-in account with POST /api/link.
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { PLANS, getPlan, getPlanUsage, capResolution } from './_lib/plans.js';
+import { PROVIDERS, ASPECT_RATIOS, RESOLUTIONS } from './_lib/providers.js';
+import { resolveSubscription, downgradeExpiredSubscription, getSignupTrial } from './_lib/subscriptions.js';
+import { getCreditUsage } from './_lib/credits.js';
+import { getClientIp, recordReferral } from './_lib/referrals.js';
+import { withAuth, signDeviceToken } from './_lib/auth.js';
+import { PRIVILEGED_FIELDS } from './_lib/audit.js';
+import { AUTH_PROVIDERS, findAuthAccount, trackDevice, getLinkedAccount } from './_lib/accounts.js';
 
 // Initialize Supabase client
 const getSupabase = () => {
@@ -42,8 +67,41 @@ const generateReferralCode = () => {
   return code;
 };
 
+// Fields users may change on their own profile (PATCH). Tier, subscription,
+// billing and identity fields are privileged - see api/_lib/audit.js
+const PROFILE_FIELDS = [
+  'full_name', 'display_name', 'avatar_url', 'locale', 'timezone',
+  'has_seen_onboarding', 'onboarding_completed_at',
+  'notifications_enabled', 'marketing_emails_enabled',
+  'dark_mode', 'preferred_quality', 'preferred_aspect_ratio',
+];
+
+/**
+ * Generation defaults a user may pick on their plan: resolutions up to the
+ * plan's that one of its providers renders, and aspect ratios one of them supports
+ */
+const getPreferenceOptions = (plan) => {
+  const capabilities = plan.providers.map(key => PROVIDERS[key]?.capabilities).filter(Boolean);
+  return {
+    preferred_quality: RESOLUTIONS.filter(resolution =>
+      capResolution(plan, resolution) === resolution &&
+      capabilities.some(caps => caps.resolutions.includes(resolution))
+    ),
+    preferred_aspect_ratio: ASPECT_RATIOS.filter(ratio =>
+      capabilities.some(caps => caps.aspectRatios.includes(ratio))
+    ),
+  };
+};
+
+const toCamelCase = (field) => field.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+// Device token for anonymous rows (signed-in users use their Supabase session)
+const getDeviceToken = (user) => (
+  user.auth_user_id ? null : signDeviceToken(user.id, user.device_id)
+);
+
 // Main handler
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
     return res.status(200).json({ message: 'OK' });
@@ -67,9 +125,6 @@ export default async function handler(req, res) {
     if (req.method === 'POST') {
       const {
         deviceId,
-        email,
-        authProvider = 'anonymous',
-        authProviderId,
         fullName,
         displayName,
         avatarUrl,
@@ -86,35 +141,70 @@ export default async function handler(req, res) {
         referredBy,
       } = req.body;
       
-      if (!deviceId && !email) {
+      const auth = req.auth;
+      
+      if (!auth && !deviceId) {
         return res.status(400).json({
           success: false,
-          error: 'Either deviceId or email is required'
+          error: 'deviceId is required'
         });
       }
       
+      const clientIp = getClientIp(req);
+      const email = auth?.type === 'supabase' ? auth.email : null;
+      const authProvider = auth?.type === 'supabase'
+        ? (AUTH_PROVIDERS.includes(auth.provider) ? auth.provider : 'email')
+        : 'anonymous';
+      
       // Check if user already exists
       let existingUser = null;
       
-      if (email) {
+      if (auth?.type === 'supabase') {
+        existingUser = await findAuthAccount(supabase, auth, authProvider);
+      } else if (auth?.userId) {
         const { data } = await supabase
           .from('users')
           .select('*')
-          .eq('email', email)
+          .eq('id', auth.userId)
           .single();
         existingUser = data;
-      }
-      
-      if (!existingUser && deviceId) {
+      } else if (!auth) {
         const { data } = await supabase
           .from('users')
           .select('*')
           .eq('device_id', deviceId)
           .single();
+        
+        if (data?.auth_user_id || (!data && await getLinkedAccount(supabase, deviceId))) {
+          return res.status(401).json({
+            success: false,
+            error: 'This account is signed in - authenticate with its session'
+          });
+        }
+        
+        // Only a row that never had a token gets one here, and only once
+        if (data) {
+          const { data: claimed } = await supabase
+            .from('users')
+            .update({ device_token_issued_at: new Date().toISOString() })
+            .eq('id', data.id)
+            .is('device_token_issued_at', null)
+            .select('id');
+          
+          if (!claimed?.length) {
+            return res.status(409).json({
+              success: false,
+              error: 'This device is already registered - authenticate with its device token'
+            });
+          }
+        }
         existingUser = data;
       }
       
+      const device = { deviceId, devicePlatform, deviceModel, osVersion, appVersion, ip: clientIp };
+      
       if (existingUser) {
+        await trackDevice(supabase, existingUser.id, device);
         await supabase
           .from('users')
           .update({
@@ -125,14 +215,19 @@ export default async function handler(req, res) {
             device_model: deviceModel || existingUser.device_model,
             os_version: osVersion || existingUser.os_version,
             app_version: appVersion || existingUser.app_version,
+            last_ip: clientIp || existingUser.last_ip,
           })
           .eq('id', existingUser.id);
         
-        const freeRemaining = Math.max(0, 10 - (existingUser.free_used || 0));
+        const subscription = resolveSubscription(existingUser);
+        if (subscription.expired) await downgradeExpiredSubscription(supabase, existingUser);
+        const credits = await getCreditUsage(supabase, existingUser.id, getPlan(subscription.tier));
+        const usage = getPlanUsage(credits, subscription.tier);
         
         return res.status(200).json({
           success: true,
           isNewUser: false,
+          deviceToken: getDeviceToken(existingUser),
           user: {
             id: existingUser.id,
             deviceId: existingUser.device_id,
@@ -141,34 +236,54 @@ export default async function handler(req, res) {
             displayName: existingUser.display_name,
             avatarUrl: existingUser.avatar_url,
             authProvider: existingUser.auth_provider,
-            tier: existingUser.tier,
-            freeUsed: existingUser.free_used,
-            freeRemaining,
-            paidUsed: existingUser.paid_used,
+            tier: subscription.tier,
+            freeUsed: credits.freeUsed,
+            freeRemaining: Math.max(0, PLANS.free.monthlyAllowance - credits.freeUsed),
+            paidUsed: credits.paidUsed,
+            monthlyAllowance: usage.monthlyAllowance,
+            creditsUsed: usage.used,
+            creditBalance: usage.balance,
             referralCode: existingUser.referral_code,
             referralCount: existingUser.referral_count,
             totalVideosGenerated: existingUser.total_videos_generated,
-            subscriptionStatus: existingUser.subscription_status,
-            resetsAt: existingUser.resets_at,
+            subscriptionStatus: subscription.expired ? 'cancelled' : existingUser.subscription_status,
+            subscriptionEndsAt: existingUser.subscription_ends_at,
+            resetsAt: credits.resetsAt || existingUser.resets_at,
             createdAt: existingUser.created_at,
           }
         });
       }
       
-      // Create new user
+      // A signed-in user can't take over a device id another row already owns
+      let newDeviceId = deviceId || null;
+      if (auth && newDeviceId) {
+        const { data: deviceOwner } = await supabase
+          .from('users')
+          .select('id')
+          .eq('device_id', newDeviceId)
+          .maybeSingle();
+        if (deviceOwner) newDeviceId = null;
+      }
+      
+      // Create new user - a verified signup starts on a trial when a plan
+      // offers one, an anonymous device row always starts on free
+      const trial = auth?.type === 'supabase' ? getSignupTrial() : null;
       const newUserData = {
-        device_id: deviceId,
+        device_id: newDeviceId,
         email: email || null,
+        email_verified: !!email,
         auth_provider: authProvider,
-        auth_provider_id: authProviderId || null,
+        auth_provider_id: auth?.authUserId || null,
+        auth_user_id: auth?.authUserId || null,
+        device_token_issued_at: auth?.type === 'supabase' ? null : new Date().toISOString(),
         full_name: fullName || null,
         display_name: displayName || fullName || null,
         avatar_url: avatarUrl || null,
         locale: locale || 'en',
         timezone: timezone || null,
-        tier: 'free',
-        free_used: 0,
-        paid_used: 0,
+        tier: trial ? trial.tier : 'free',
+        subscription_status: trial ? 'trialing' : 'active',
+        subscription_ends_at: trial ? trial.endsAt : null,
         total_videos_generated: 0,
         referral_code: generateReferralCode(),
         referred_by: referredBy || null,
@@ -177,6 +292,8 @@ export default async function handler(req, res) {
         device_model: deviceModel || null,
         os_version: osVersion || null,
         app_version: appVersion || null,
+        signup_ip: clientIp,
+        last_ip: clientIp,
         utm_source: utmSource || null,
         utm_medium: utmMedium || null,
         utm_campaign: utmCampaign || null,
@@ -185,7 +302,7 @@ export default async function handler(req, res) {
         notifications_enabled: true,
         marketing_emails_enabled: true,
         dark_mode: true,
-        preferred_quality: '1080p',
+        preferred_quality: '720p',
         preferred_aspect_ratio: '9:16',
         last_login_at: new Date().toISOString(),
         last_active_at: new Date().toISOString(),
@@ -206,25 +323,16 @@ export default async function handler(req, res) {
         });
       }
       
-      // Process referral
+      const newCredits = await getCreditUsage(supabase, newUser.id, getPlan(newUser.tier));
+      const newUsage = getPlanUsage(newCredits, newUser.tier);
+      if (trial) console.log(`🎁 Trial started: ${newUser.id} on ${trial.tier} until ${trial.endsAt}`);
+      
+      await trackDevice(supabase, newUser.id, device);
+      
+      // Link the referral - rewarded after the new user's first generation
       if (referredBy) {
         try {
-          const { data: referrer } = await supabase
-            .from('users')
-            .select('id, referral_count, tier')
-            .eq('referral_code', referredBy)
-            .single();
-          
-          if (referrer) {
-            const newCount = (referrer.referral_count || 0) + 1;
-            await supabase
-              .from('users')
-              .update({
-                referral_count: newCount,
-                tier: newCount % 3 === 0 && referrer.tier === 'free' ? 'pro' : referrer.tier,
-              })
-              .eq('id', referrer.id);
-          }
+          await recordReferral(supabase, newUser, referredBy, { deviceId, ip: clientIp });
         } catch (refError) {
           console.error('Referral processing error:', refError);
         }
@@ -233,6 +341,7 @@ export default async function handler(req, res) {
       return res.status(201).json({
         success: true,
         isNewUser: true,
+        deviceToken: getDeviceToken(newUser),
         user: {
           id: newUser.id,
           deviceId: newUser.device_id,
@@ -242,41 +351,38 @@ export default async function handler(req, res) {
           avatarUrl: newUser.avatar_url,
           authProvider: newUser.auth_provider,
           tier: newUser.tier,
-          freeUsed: newUser.free_used,
-          freeRemaining: 10,
-          paidUsed: newUser.paid_used,
+          freeUsed: newCredits.freeUsed,
+          freeRemaining: PLANS.free.monthlyAllowance,
+          paidUsed: newCredits.paidUsed,
+          monthlyAllowance: newUsage.monthlyAllowance,
+          creditsUsed: newUsage.used,
+          creditBalance: newUsage.balance,
           referralCode: newUser.referral_code,
           referralCount: newUser.referral_count,
           totalVideosGenerated: newUser.total_videos_generated,
           subscriptionStatus: newUser.subscription_status,
-          resetsAt: newUser.resets_at,
+          subscriptionEndsAt: newUser.subscription_ends_at,
+          resetsAt: newCredits.resetsAt || newUser.resets_at,
           createdAt: newUser.created_at,
         }
       });
     }
     
+    // Everything but registration needs a registered caller
+    if ((req.method === 'GET' || req.method === 'PATCH') && !req.auth?.userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+    
     // GET - Retrieve User
     if (req.method === 'GET') {
-      const { userId, deviceId, email } = req.query;
-      
-      if (!userId && !deviceId && !email) {
-        return res.status(400).json({
-          success: false,
-          error: 'userId, deviceId, or email is required'
-        });
-      }
-      
-      let query = supabase.from('users').select('*');
-      
-      if (userId) {
-        query = query.eq('id', userId);
-      } else if (email) {
-        query = query.eq('email', email);
-      } else if (deviceId) {
-        query = query.eq('device_id', deviceId);
-      }
-      
-      const { data: user, error } = await query.single();
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', req.auth.userId)
+        .single();
       
       if (error || !user) {
         return res.status(404).json({
@@ -285,7 +391,10 @@ export default async function handler(req, res) {
         });
       }
       
-      const freeRemaining = Math.max(0, 10 - (user.free_used || 0));
+      const subscription = resolveSubscription(user);
+      if (subscription.expired) await downgradeExpiredSubscription(supabase, user);
+      const credits = await getCreditUsage(supabase, user.id, getPlan(subscription.tier));
+      const usage = getPlanUsage(credits, subscription.tier);
       
       return res.status(200).json({
         success: true,
@@ -297,15 +406,19 @@ export default async function handler(req, res) {
           displayName: user.display_name,
           avatarUrl: user.avatar_url,
           authProvider: user.auth_provider,
-          tier: user.tier,
-          freeUsed: user.free_used,
-          freeRemaining,
-          paidUsed: user.paid_used,
+          tier: subscription.tier,
+          freeUsed: credits.freeUsed,
+          freeRemaining: Math.max(0, PLANS.free.monthlyAllowance - credits.freeUsed),
+          paidUsed: credits.paidUsed,
+          monthlyAllowance: usage.monthlyAllowance,
+          creditsUsed: usage.used,
+          creditBalance: usage.balance,
           totalVideosGenerated: user.total_videos_generated,
           referralCode: user.referral_code,
           referralCount: user.referral_count,
-          subscriptionStatus: user.subscription_status,
-          resetsAt: user.resets_at,
+          subscriptionStatus: subscription.expired ? 'cancelled' : user.subscription_status,
+          subscriptionEndsAt: user.subscription_ends_at,
+          resetsAt: credits.resetsAt || user.resets_at,
           hasSeenOnboarding: user.has_seen_onboarding,
           createdAt: user.created_at,
           lastActiveAt: user.last_active_at,
@@ -315,31 +428,29 @@ export default async function handler(req, res) {
     
     // PATCH - Update User
     if (req.method === 'PATCH') {
-      const { userId, deviceId } = req.body;
+      const body = req.body || {};
       
-      if (!userId && !deviceId) {
-        return res.status(400).json({
+      // Privileged fields only change through billing, promo codes or the admin API
+      const privileged = PRIVILEGED_FIELDS.filter(field =>
+        body[field] !== undefined || body[toCamelCase(field)] !== undefined
+      );
+      if (privileged.length) {
+        console.warn(`🔒 User ${req.auth.userId} tried to update ${privileged.join(', ')}`);
+        return res.status(403).json({
           success: false,
-          error: 'userId or deviceId is required'
+          error: 'These fields cannot be changed from the app',
+          fields: privileged.map(toCamelCase)
         });
       }
       
-      const allowedUpdates = [
-        'email', 'full_name', 'display_name', 'avatar_url',
-        'tier', 'locale', 'timezone',
-        'has_seen_onboarding', 'onboarding_completed_at',
-        'notifications_enabled', 'marketing_emails_enabled',
-        'dark_mode', 'preferred_quality', 'preferred_aspect_ratio',
-      ];
-      
       const updates = {};
-      allowedUpdates.forEach(field => {
-        const camelField = field.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
-        if (req.body[camelField] !== undefined) {
-          updates[field] = req.body[camelField];
+      PROFILE_FIELDS.forEach(field => {
+        const camelField = toCamelCase(field);
+        if (body[camelField] !== undefined) {
+          updates[field] = body[camelField];
         }
-        if (req.body[field] !== undefined) {
-          updates[field] = req.body[field];
+        if (body[field] !== undefined) {
+          updates[field] = body[field];
         }
       });
       
@@ -350,17 +461,35 @@ export default async function handler(req, res) {
         });
       }
       
-      updates.updated_at = new Date().toISOString();
-      
-      let query = supabase.from('users').update(updates);
-      
-      if (userId) {
-        query = query.eq('id', userId);
-      } else {
-        query = query.eq('device_id', deviceId);
+      // Generation defaults must be something /api/generate can honor on the user's plan
+      if (updates.preferred_quality !== undefined || updates.preferred_aspect_ratio !== undefined) {
+        const { data: account } = await supabase
+          .from('users')
+          .select('tier, subscription_status, subscription_ends_at')
+          .eq('id', req.auth.userId)
+          .single();
+        const options = getPreferenceOptions(getPlan(resolveSubscription(account).tier));
+        
+        for (const [field, allowed] of Object.entries(options)) {
+          if (updates[field] !== undefined && !allowed.includes(updates[field])) {
+            return res.status(400).json({
+              success: false,
+              error: `${toCamelCase(field)} must be one of: ${allowed.join(', ')}`,
+              field: toCamelCase(field),
+              allowed
+            });
+          }
+        }
       }
       
-      const { data: updated, error } = await query.select().single();
+      updates.updated_at = new Date().toISOString();
+      
+      const { data: updated, error } = await supabase
+        .from('users')
+        .update(updates)
+        .eq('id', req.auth.userId)
+        .select()
+        .single();
       
       if (error) {
         return res.status(500).json({
@@ -395,3 +524,6 @@ export default async function handler(req, res) {
     });
   }
 }
+
+// Registration works without a token; GET and PATCH check req.auth themselves
+export default withAuth(handler, { optional: true, allowUnregistered: true });
@@ -7,12 +7,18 @@
 
 import { createClient } from '@supabase/supabase-js';
 import crypto from 'crypto';
+import { refundGenerationUsage } from './_lib/quota.js';
+import { grantReferralReward } from './_lib/referrals.js';
+import { ACTIVE_STATUSES, resubmitGeneration } from './_lib/resubmit.js';
 
 // Environment variables
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_KEY;
 const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
 
+// Statuses a callback may set
+const CALLBACK_STATUSES = ['completed', 'failed'];
+
 const getSupabaseClient = () => {
   return createClient(SUPABASE_URL, SUPABASE_KEY);
 };
@@ -60,7 +66,6 @@ export default async function handler(req, res) {
       status, 
       videoUrl, 
       error: webhookError,
-      userId,
       source = 'unknown'
     } = req.body;
 
@@ -68,13 +73,21 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Task ID is required' });
     }
 
+    if (!CALLBACK_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${CALLBACK_STATUSES.join(', ')}` });
+    }
+
+    if (status === 'completed' && !videoUrl) {
+      return res.status(400).json({ error: 'videoUrl is required for a completed task' });
+    }
+
     // Update generation record
     const updateData = {
       status,
       updated_at: new Date().toISOString()
     };
 
-    if (status === 'completed' && videoUrl) {
+    if (status === 'completed') {
       updateData.video_url = videoUrl;
       updateData.completed_at = new Date().toISOString();
     }
@@ -83,29 +96,54 @@ export default async function handler(req, res) {
       updateData.error = webhookError;
     }
 
-    const { error: updateError } = await supabase
-      .from('generations')
-      .update(updateData)
-      .eq('task_id', taskId);
+    // A failed task is resubmitted to the next provider first, as in /api/poll;
+    // only the generations that can't be resubmitted are failed
+    let failingIds = null;
+    if (status === 'failed') {
+      const { data: inFlight } = await supabase
+        .from('generations')
+        .select('*')
+        .eq('task_id', taskId)
+        .in('status', ACTIVE_STATUSES);
+
+      failingIds = [];
+      for (const generation of inFlight || []) {
+        const resubmitted = await resubmitGeneration(supabase, generation, webhookError || 'Provider reported a failure');
+        if (!resubmitted) failingIds.push(generation.id);
+      }
+    }
 
-    if (updateError) {
-      console.error('Failed to update generation:', updateError);
-      return res.status(500).json({ error: 'Database update failed' });
+    let updatedRows = [];
+    if (!failingIds || failingIds.length) {
+      let query = supabase
+        .from('generations')
+        .update(updateData)
+        .eq('task_id', taskId)
+        .in('status', ACTIVE_STATUSES);
+      if (failingIds) query = query.in('id', failingIds);
+
+      const { data, error: updateError } = await query.select('id, user_id');
+      if (updateError) {
+        console.error('Failed to update generation:', updateError);
+        return res.status(500).json({ error: 'Database update failed' });
+      }
+      updatedRows = data || [];
+    }
+
+    // If generation failed, give the clip back - only for rows this callback
+    // moved from in flight to failed, so a late 'failed' after completion or
+    // cancellation never refunds (refund_quota also refuses a second refund)
+    if (status === 'failed') {
+      for (const generation of updatedRows) {
+        await refundGenerationUsage(supabase, generation);
+      }
     }
 
-    // If generation failed, rollback user's free usage
-    if (status === 'failed' && userId) {
-      const { data: user } = await supabase
-        .from('users')
-        .select('free_used')
-        .eq('id', userId)
-        .single();
-
-      if (user && user.free_used > 0) {
-        await supabase
-          .from('users')
-          .update({ free_used: user.free_used - 1 })
-          .eq('id', userId);
+    // A referred user's first finished clip pays out the referral (the video
+    // is copied out of the provider's storage by api/rehost-videos.js)
+    if (status === 'completed') {
+      for (const generation of updatedRows) {
+        if (generation.user_id) await grantReferralReward(supabase, generation.user_id);
       }
     }
 
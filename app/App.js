@@ -3,9 +3,11 @@
  * 
  * Features:
  * - Glassmorphism UI with neon glow effects
- * - Supabase OAuth (Google, Apple, Email)
+ * - Supabase Auth (Google, Apple, email/password, magic link) with the
+ *   session kept in secure storage; guest accounts are linked on sign-in
  * - Full user data collection during registration
  * - Multi-provider video generation
+ * - Video library synced from the server, cached on the device
  * - Beautiful bottom tab navigation
  */
 
@@ -27,6 +29,9 @@ import {
   KeyboardAvoidingView,
   Modal,
   Share,
+  Linking,
+  AppState,
+  RefreshControl,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
@@ -36,6 +41,7 @@ import * as Localization from 'expo-localization';
 import * as Clipboard from 'expo-clipboard';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { StatusBar as ExpoStatusBar } from 'expo-status-bar';
+import { supabase, signInWithOAuth, completeAuthRedirect, AUTH_REDIRECT_URL } from './supabase';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
@@ -63,11 +69,13 @@ const GRADIENTS = {
   neon: ['rgba(0,217,255,0.2)', 'rgba(168,85,247,0.2)'],
 };
 
+// Offline defaults - the live catalog comes from /api/plans
 const PRICING = {
-  free: { name: 'Free', price: 0, gensPerMonth: 10, maxLength: 10, resolution: '768p', model: 'Wan-2.1', icon: '⚡', features: ['10 clips/month', '10s max', '768p', 'Watermark'] },
-  basic: { name: 'Basic', price: 4.99, gensPerMonth: 120, maxLength: 15, resolution: '1080p', model: 'Pika-2.2', icon: '⭐', features: ['120 clips/month', '15s max', '1080p HD', 'No watermark', 'No ads'] },
-  pro: { name: 'Pro', price: 9.99, gensPerMonth: 300, maxLength: 30, resolution: '1080p', model: 'Luma Dream', icon: '👑', features: ['300 clips/month', '30s max', '1080p HD', 'All models', 'API access'] },
+  free: { name: 'Free', price: 0, gensPerMonth: 10, maxLength: 10, resolution: '720p', model: 'Wan-2.1', icon: '⚡', features: ['10 credits/month', '10s max', '720p', 'Watermark'] },
+  basic: { name: 'Basic', price: 4.99, gensPerMonth: 120, maxLength: 15, resolution: '720p', model: 'Pika-2.2', icon: '⭐', features: ['120 credits/month', '15s max', '720p HD', 'No watermark', 'No ads'] },
+  pro: { name: 'Pro', price: 9.99, gensPerMonth: 300, maxLength: 30, resolution: '720p', model: 'Luma Dream', icon: '👑', features: ['300 credits/month', '30s max', '720p HD', 'All models', 'API access'] },
 };
+const PLAN_ORDER = ['free', 'basic', 'pro', 'enterprise'];
 
 const PROMPT_IDEAS = [
   { emoji: '🦁', text: 'A majestic lion walking through golden savanna at sunset' },
@@ -77,19 +85,47 @@ const PROMPT_IDEAS = [
   { emoji: '🌃', text: 'Neon city streets at night with rain reflections' },
 ];
 
-const STORAGE_KEYS = { user: '@neoclip_user_v3', videos: '@neoclip_videos_v3', onboarding: '@neoclip_onboarding' };
+const STORAGE_KEYS = { user: '@neoclip_user_v3', videos: '@neoclip_videos_v3', onboarding: '@neoclip_onboarding', deviceId: '@neoclip_device_id', generation: '@neoclip_generation', library: '@neoclip_library_sync' };
 const API_CONFIG = { baseUrl: 'https://neoclip302.vercel.app' };
+const POLL_INTERVAL_MS = 3000;  // Poll every 3 seconds
+const MAX_POLL_TIME_MS = 300000; // Give up after 5 minutes
+
+// A /api/library generation as a Library screen video
+const toLocalVideo = (generation) => ({
+  id: generation.id,
+  url: generation.videoUrl,
+  prompt: generation.prompt,
+  tier: generation.tier,
+  duration: generation.duration,
+  model: generation.model,
+  isFavorite: Boolean(generation.isFavorite),
+  collectionIds: generation.collectionIds || [],
+  timestamp: Date.parse(generation.createdAt),
+});
 
 export default function App() {
   const [currentView, setCurrentView] = useState('splash');
   const [user, setUser] = useState(null);
+  const [session, setSession] = useState(null);
   const [prompt, setPrompt] = useState('');
+  const [plans, setPlans] = useState(PRICING);
   const [selectedTier, setSelectedTier] = useState('free');
   const [duration, setDuration] = useState(10);
   const [isGenerating, setIsGenerating] = useState(false);
   const [generatingProgress, setGeneratingProgress] = useState(0);
+  const [generationMessage, setGenerationMessage] = useState('');
+  const [activeGenerationId, setActiveGenerationId] = useState(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [promoCode, setPromoCode] = useState('');
+  const [isRedeeming, setIsRedeeming] = useState(false);
+  const [referralStats, setReferralStats] = useState(null);
   const [videos, setVideos] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
   const [selectedVideo, setSelectedVideo] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [libraryFilter, setLibraryFilter] = useState('all');  // 'all' | 'favorites' | collection id
+  const [collectionVideos, setCollectionVideos] = useState(null);  // The open collection, in its order
+  const [newCollectionName, setNewCollectionName] = useState(null);  // null while the name field is hidden
   const [authMode, setAuthMode] = useState('signup');
   const [authForm, setAuthForm] = useState({ email: '', password: '', fullName: '', referralCode: '' });
   const [authLoading, setAuthLoading] = useState(false);
@@ -97,11 +133,112 @@ export default function App() {
   const [showVideoModal, setShowVideoModal] = useState(false);
   
   const fadeAnim = useRef(new Animated.Value(0)).current;
+  const pollTimer = useRef(null);
+  const pollingId = useRef(null);
+  const syncInFlight = useRef(false);
+  // Poll timers and listeners outlive renders, so they read state through this ref
+  const liveState = useRef({});
+  liveState.current = { user, session, videos };
 
   useEffect(() => {
     initializeApp();
+    loadPlans();
+  }, []);
+
+  // Keep the session current and finish OAuth / magic link sign-ins arriving as deep links
+  useEffect(() => {
+    if (!supabase) return;
+    
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event, authSession) => {
+      setSession(authSession);
+    });
+    
+    const handleUrl = async (url) => {
+      try {
+        const authSession = await completeAuthRedirect(url);
+        if (!authSession) return;
+        
+        await completeSignIn(authSession);
+        showToast('Welcome to NeoClip! 🎬', 'success');
+      } catch (error) {
+        showToast(error.message || 'Sign-in link failed', 'error');
+      }
+    };
+    
+    Linking.getInitialURL().then(handleUrl);
+    const linkSubscription = Linking.addEventListener('url', ({ url }) => handleUrl(url));
+    
+    return () => {
+      subscription.unsubscribe();
+      linkSubscription.remove();
+    };
+  }, []);
+
+  // Polling pauses in the background and picks the generation up again on return
+  useEffect(() => {
+    const appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        resumeGeneration();
+        syncLibrary();
+      } else {
+        stopPolling();
+      }
+    });
+    return () => {
+      appStateSubscription.remove();
+      stopPolling();
+    };
   }, []);
 
+  useEffect(() => {
+    if (currentView === 'settings' && user?.id) loadReferralStats();
+  }, [currentView, user?.id]);
+
+  // Runs on launch, after registering and after switching accounts
+  useEffect(() => {
+    if (user?.id) {
+      syncLibrary();
+      loadCollections();
+    }
+  }, [user?.id]);
+
+  const loadPlans = async () => {
+    try {
+      const response = await fetch(`${API_CONFIG.baseUrl}/api/plans`);
+      const result = await response.json();
+      if (!result.success) return;
+      
+      const merged = { ...PRICING };
+      result.plans.filter(plan => PRICING[plan.id]).forEach(plan => {
+        merged[plan.id] = {
+          ...PRICING[plan.id],
+          name: plan.name,
+          price: plan.price,
+          gensPerMonth: plan.monthlyAllowance,
+          maxLength: plan.maxLength,
+          resolution: plan.resolution,
+          features: plan.features,
+        };
+      });
+      setPlans(merged);
+    } catch (error) {
+      console.log('Using built-in plans');
+    }
+  };
+
+  const getPlan = (tier) => plans[tier] || plans.free;
+
+  // The server enforces the account's plan, so higher tiers lead to the upgrade screen
+  const handleSelectTier = (tier) => {
+    if (PLAN_ORDER.indexOf(tier) > PLAN_ORDER.indexOf(user?.tier || 'free')) {
+      showToast(`Upgrade to ${getPlan(tier).name} to unlock this`, 'info');
+      setCurrentView('upgrade');
+      return;
+    }
+    setSelectedTier(tier);
+    setDuration(prev => Math.min(prev, getPlan(tier).maxLength));
+  };
+
   const initializeApp = async () => {
     try {
       await new Promise(resolve => setTimeout(resolve, 2000));
@@ -112,9 +249,37 @@ export default function App() {
       
       if (storedVideos) setVideos(JSON.parse(storedVideos));
       
-      if (storedUser) {
-        setUser(JSON.parse(storedUser));
+      const { data: { session: authSession } } = supabase ? await supabase.auth.getSession() : { data: {} };
+      
+      if (authSession) {
+        setSession(authSession);
+        if (storedUser) setUser(JSON.parse(storedUser));
         setCurrentView('create');
+        // Refresh tier and credits from the server account
+        fetchAccount(authSession).then(account => {
+          setUser(account);
+          AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(account));
+        }).catch(error => console.log('Account refresh deferred:', error.message));
+        resumeGeneration();
+      } else if (storedUser) {
+        const parsedUser = JSON.parse(storedUser);
+        // A signed-in account whose session ended signs in again
+        if (parsedUser.authProvider && parsedUser.authProvider !== 'anonymous' && !parsedUser.deviceToken) {
+          await AsyncStorage.removeItem(STORAGE_KEYS.user);
+          setCurrentView('auth');
+          Animated.timing(fadeAnim, { toValue: 1, duration: 500, useNativeDriver: true }).start();
+          return;
+        }
+        setUser(parsedUser);
+        setCurrentView('create');
+        // Accounts saved before API authentication have no device token yet
+        if (!parsedUser.deviceToken) {
+          registerUser(parsedUser).then(registered => {
+            setUser(registered);
+            AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(registered));
+          });
+        }
+        resumeGeneration();
       } else if (hasSeenOnboarding) {
         setCurrentView('auth');
       } else {
@@ -133,8 +298,18 @@ export default function App() {
     setTimeout(() => setToast(null), 3000);
   };
 
-  const collectDeviceInfo = () => ({
-    deviceId: Device.deviceName || `device-${Math.random().toString(36).substr(2, 9)}`,
+  // One id per install; a new one after signing out, so the next guest starts fresh
+  const getDeviceId = async () => {
+    let deviceId = await AsyncStorage.getItem(STORAGE_KEYS.deviceId);
+    if (!deviceId) {
+      deviceId = `${Platform.OS}-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+      await AsyncStorage.setItem(STORAGE_KEYS.deviceId, deviceId);
+    }
+    return deviceId;
+  };
+
+  const collectDeviceInfo = async () => ({
+    deviceId: await getDeviceId(),
     devicePlatform: Platform.OS,
     deviceModel: Device.modelName,
     osVersion: Device.osVersion,
@@ -143,41 +318,111 @@ export default function App() {
     timezone: Localization.timezone,
   });
 
-  const handleOAuthLogin = async (provider) => {
-    setAuthLoading(true);
+  // API requests carry the Supabase session when signed in, the guest's device token otherwise
+  const authHeaders = (headers = {}) => {
+    const { session, user } = liveState.current;
+    const token = session?.access_token || user?.deviceToken;
+    return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+  };
+
+  // Register the device with the backend, keeping its user id and device token
+  const registerUser = async (localUser) => {
     try {
-      showToast(`Connecting to ${provider}...`, 'info');
-      await new Promise(resolve => setTimeout(resolve, 1500));
+      const response = await fetch(`${API_CONFIG.baseUrl}/api/user`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(localUser.deviceToken && { Authorization: `Bearer ${localUser.deviceToken}` }),
+        },
+        body: JSON.stringify(localUser),
+      });
+      // The guest account on this device already had a token and this install
+      // lost it - keep the local account and say how to start over
+      if (response.status === 409) {
+        showToast('Your guest session expired - sign out to start a new one', 'error');
+        return localUser;
+      }
+      const result = await response.json();
+      if (!result.success) return localUser;
       
-      const deviceInfo = collectDeviceInfo();
-      const newUser = {
-        id: `user-${Math.random().toString(36).substr(2, 9)}`,
-        ...deviceInfo,
-        email: `user@${provider.toLowerCase()}.com`,
-        fullName: 'NeoClip User',
-        authProvider: provider.toLowerCase(),
-        tier: 'free',
-        freeUsed: 0,
-        freeRemaining: 10,
-        referralCode: 'NC' + Math.random().toString(36).substr(2, 6).toUpperCase(),
-        createdAt: new Date().toISOString(),
+      return {
+        ...localUser,
+        id: result.user.id,
+        tier: result.user.tier,
+        creditBalance: result.user.creditBalance,
+        referralCode: result.user.referralCode,
+        deviceToken: result.deviceToken || localUser.deviceToken,
       };
-      
-      await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(newUser));
-      setUser(newUser);
-      
+    } catch (e) {
+      console.log('Backend registration deferred');
+      return localUser;
+    }
+  };
+
+  // Load (or create) the account of a Supabase session from /api/user
+  const fetchAccount = async (authSession, profile = {}) => {
+    const metadata = authSession.user.user_metadata || {};
+    const response = await fetch(`${API_CONFIG.baseUrl}/api/user`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authSession.access_token}` },
+      body: JSON.stringify({
+        ...(await collectDeviceInfo()),
+        fullName: profile.fullName || metadata.full_name || metadata.name,
+        avatarUrl: metadata.avatar_url,
+        referredBy: profile.referralCode || undefined,
+      }),
+    });
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error || 'Could not load your account');
+    
+    return { ...result.user, deviceToken: null };
+  };
+
+  // Finish signing in: bring the guest account along, then switch to the server account
+  const completeSignIn = async (authSession, profile = {}) => {
+    setSession(authSession);
+    
+    const storedUser = JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.user) || 'null');
+    if (storedUser?.deviceToken) {
       try {
-        await fetch(`${API_CONFIG.baseUrl}/api/user`, {
+        const response = await fetch(`${API_CONFIG.baseUrl}/api/link`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(newUser),
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authSession.access_token}` },
+          body: JSON.stringify({ deviceToken: storedUser.deviceToken }),
         });
-      } catch (e) { console.log('Backend registration deferred'); }
+        const result = await response.json();
+        if (result.result === 'merged' && result.generationsMoved > 0) {
+          showToast(`${result.generationsMoved} guest videos moved to your account`, 'success');
+        } else if (!response.ok) {
+          console.log('Guest account not linked:', result.message || result.error);
+        }
+      } catch (e) {
+        console.log('Guest account not linked');
+      }
+    }
+    
+    const account = await fetchAccount(authSession, profile);
+    await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(account));
+    setUser(account);
+    setCurrentView('create');
+    return account;
+  };
+
+  const handleOAuthLogin = async (provider) => {
+    if (!supabase) {
+      showToast('Sign-in is not available in this build', 'error');
+      return;
+    }
+    
+    setAuthLoading(true);
+    try {
+      const authSession = await signInWithOAuth(provider.toLowerCase());
+      if (!authSession) return;
       
+      await completeSignIn(authSession, { referralCode: authForm.referralCode });
       showToast('Welcome to NeoClip! 🎬', 'success');
-      setCurrentView('create');
     } catch (error) {
-      showToast('Authentication failed', 'error');
+      showToast(error.message || 'Authentication failed', 'error');
     } finally {
       setAuthLoading(false);
     }
@@ -188,42 +433,92 @@ export default function App() {
       showToast('Please fill in all fields', 'error');
       return;
     }
+    if (!supabase) {
+      showToast('Sign-in is not available in this build', 'error');
+      return;
+    }
     
     setAuthLoading(true);
     try {
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      const deviceInfo = collectDeviceInfo();
-      const newUser = {
-        id: `user-${Math.random().toString(36).substr(2, 9)}`,
-        ...deviceInfo,
-        email: authForm.email,
-        fullName: authForm.fullName || 'NeoClip User',
-        authProvider: 'email',
-        tier: 'free',
-        freeUsed: 0,
-        freeRemaining: 10,
-        referralCode: 'NC' + Math.random().toString(36).substr(2, 6).toUpperCase(),
-        referredBy: authForm.referralCode || null,
-        createdAt: new Date().toISOString(),
-      };
+      const email = authForm.email.trim();
+      const { data, error } = authMode === 'signup'
+        ? await supabase.auth.signUp({
+            email,
+            password: authForm.password,
+            options: { data: { full_name: authForm.fullName || undefined }, emailRedirectTo: AUTH_REDIRECT_URL },
+          })
+        : await supabase.auth.signInWithPassword({ email, password: authForm.password });
+      if (error) throw error;
       
-      await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(newUser));
-      setUser(newUser);
+      // Projects with email confirmation sign in from the link in the email
+      if (!data.session) {
+        showToast('Check your email to confirm your account 📧', 'info');
+        return;
+      }
       
+      await completeSignIn(data.session, authForm);
       showToast(authMode === 'signup' ? 'Account created! 🎉' : 'Welcome back! 🎬', 'success');
-      setCurrentView('create');
     } catch (error) {
-      showToast('Authentication failed', 'error');
+      showToast(error.message || 'Authentication failed', 'error');
+    } finally {
+      setAuthLoading(false);
+    }
+  };
+
+  const handleMagicLink = async () => {
+    if (!authForm.email) {
+      showToast('Enter your email first', 'error');
+      return;
+    }
+    if (!supabase) {
+      showToast('Sign-in is not available in this build', 'error');
+      return;
+    }
+    
+    setAuthLoading(true);
+    try {
+      const { error } = await supabase.auth.signInWithOtp({
+        email: authForm.email.trim(),
+        options: { emailRedirectTo: AUTH_REDIRECT_URL, data: { full_name: authForm.fullName || undefined } },
+      });
+      if (error) throw error;
+      
+      showToast('Check your email for a sign-in link 📧', 'success');
+    } catch (error) {
+      showToast(error.message || 'Could not send the link', 'error');
     } finally {
       setAuthLoading(false);
     }
   };
 
+  const handleSignOut = async () => {
+    try {
+      if (session) await supabase.auth.signOut();
+    } catch (e) {
+      console.log('Sign-out request failed');
+    }
+    await finishGeneration();
+    await AsyncStorage.multiRemove([STORAGE_KEYS.user, STORAGE_KEYS.videos, STORAGE_KEYS.deviceId, STORAGE_KEYS.library]);
+    setSession(null);
+    setUser(null);
+    setVideos([]);
+    setCollections([]);
+    setLibraryFilter('all');
+    setCollectionVideos(null);
+    setCurrentView('auth');
+    showToast('Signed out', 'info');
+  };
+
   const handleGuestContinue = async () => {
+    // Guests who opened sign-in from settings go back to their account
+    if (user) {
+      setCurrentView('create');
+      return;
+    }
+    
     setAuthLoading(true);
     try {
-      const deviceInfo = collectDeviceInfo();
+      const deviceInfo = await collectDeviceInfo();
       const newUser = {
         id: `guest-${Math.random().toString(36).substr(2, 9)}`,
         ...deviceInfo,
@@ -235,8 +530,9 @@ export default function App() {
         createdAt: new Date().toISOString(),
       };
       
-      await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(newUser));
-      setUser(newUser);
+      const registeredUser = await registerUser(newUser);
+      await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(registeredUser));
+      setUser(registeredUser);
       
       showToast('Welcome! Create your first video 🎬', 'success');
       setCurrentView('create');
@@ -247,6 +543,196 @@ export default function App() {
     }
   };
 
+  const saveUser = async (changes) => {
+    const current = liveState.current.user;
+    if (!current) return;
+    
+    const updatedUser = { ...current, ...changes };
+    setUser(updatedUser);
+    await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(updatedUser));
+  };
+
+  // Credits come back when a generation fails or is cancelled server-side
+  const refundCredits = (credits) => {
+    const current = liveState.current.user;
+    if (!credits || typeof current?.creditBalance !== 'number') return;
+    return saveUser({ creditBalance: current.creditBalance + credits });
+  };
+
+  const stopPolling = () => {
+    clearTimeout(pollTimer.current);
+    pollTimer.current = null;
+    pollingId.current = null;
+  };
+
+  const finishGeneration = async () => {
+    stopPolling();
+    await AsyncStorage.removeItem(STORAGE_KEYS.generation);
+    setIsGenerating(false);
+    setGeneratingProgress(0);
+    setGenerationMessage('');
+    setActiveGenerationId(null);
+  };
+
+  // The server library is the source of truth - AsyncStorage only caches it for offline use.
+  // The first sync for an account replaces the cache, later ones apply changes since the saved cursor.
+  const syncLibrary = async () => {
+    const account = liveState.current.user;
+    if (!account?.id || syncInFlight.current) return;
+    
+    syncInFlight.current = true;
+    setIsSyncing(true);
+    try {
+      const saved = JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.library) || 'null');
+      let cursor = saved?.userId === account.id ? saved.cursor : null;
+      const fullSync = !cursor;
+      const changes = [];
+      
+      let hasMore = true;
+      while (hasMore) {
+        const query = cursor ? `&cursor=${encodeURIComponent(cursor)}` : '';
+        const response = await fetch(`${API_CONFIG.baseUrl}/api/library?limit=100${query}`, {
+          headers: authHeaders(),
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+          throw new Error(result.message || result.error || 'Library sync failed');
+        }
+        
+        changes.push(...result.generations, ...result.deleted.map(id => ({ id, deleted: true })));
+        cursor = result.cursor;
+        hasMore = result.hasMore;
+      }
+      
+      // Signed out or switched accounts while syncing
+      if (liveState.current.user?.id !== account.id) return;
+      
+      const library = new Map((fullSync ? [] : liveState.current.videos).map(video => [video.id, video]));
+      changes.forEach(generation => {
+        if (!generation.deleted && generation.status === 'completed' && generation.videoUrl) library.set(generation.id, toLocalVideo(generation));
+        else library.delete(generation.id);
+      });
+      
+      const updatedVideos = [...library.values()].sort((a, b) => b.timestamp - a.timestamp);
+      setVideos(updatedVideos);
+      await AsyncStorage.setItem(STORAGE_KEYS.videos, JSON.stringify(updatedVideos));
+      await AsyncStorage.setItem(STORAGE_KEYS.library, JSON.stringify({ userId: account.id, cursor }));
+    } catch (error) {
+      console.log('Library sync deferred:', error.message);
+    } finally {
+      syncInFlight.current = false;
+      setIsSyncing(false);
+    }
+  };
+
+  const addVideo = async (pending, result) => {
+    const newVideo = {
+      id: pending.generationId,
+      url: result.videoUrl,
+      prompt: pending.prompt,
+      tier: pending.tier,
+      duration: pending.duration,
+      model: result.model || pending.model || getPlan(pending.tier).model,
+      timestamp: Date.now(),
+    };
+    
+    const updatedVideos = [newVideo, ...liveState.current.videos.filter(video => video.id !== newVideo.id)];
+    setVideos(updatedVideos);
+    await AsyncStorage.setItem(STORAGE_KEYS.videos, JSON.stringify(updatedVideos));
+    return newVideo;
+  };
+
+  // Poll /api/poll until the generation settles (the saved generation lets this resume after a restart)
+  const pollGeneration = (pending) => {
+    stopPolling();
+    pollingId.current = pending.generationId;
+    setIsGenerating(true);
+    setActiveGenerationId(pending.generationId);
+    
+    const poll = async () => {
+      let result = null;
+      try {
+        const response = await fetch(`${API_CONFIG.baseUrl}/api/poll?generationId=${pending.generationId}`, {
+          headers: authHeaders(),
+        });
+        result = await response.json();
+        if (response.status === 404) result = { status: 'failed', error: 'Generation not found' };
+        else if (!response.ok) result = null;
+      } catch (error) {
+        console.log('Poll failed, retrying:', error.message);
+      }
+      
+      // Cancelled, backgrounded or replaced while the request was in flight
+      if (pollingId.current !== pending.generationId) return;
+      
+      if (result?.status === 'completed' && result.videoUrl) {
+        setGeneratingProgress(100);
+        const newVideo = await addVideo(pending, result);
+        await finishGeneration();
+        showToast('Video generated! 🎬', 'success');
+        setTimeout(() => {
+          setSelectedVideo(newVideo);
+          setShowVideoModal(true);
+        }, 500);
+        return;
+      }
+      
+      if (result?.status === 'failed') {
+        await finishGeneration();
+        await refundCredits(pending.creditsUsed);
+        showToast(result.error || 'Generation failed', 'error');
+        return;
+      }
+      
+      if (result?.status === 'cancelled') {
+        await finishGeneration();
+        showToast('Generation cancelled', 'info');
+        return;
+      }
+      
+      if (Date.now() - pending.startedAt > MAX_POLL_TIME_MS) {
+        await handleGenerationTimeout(pending);
+        return;
+      }
+      
+      if (result) {
+        setGeneratingProgress(prev => Math.max(prev, Math.min(result.progress || 0, 95)));
+        setGenerationMessage(result.status === 'queued' ? 'Queued for processing...' : result.message || 'Video is being generated...');
+      }
+      
+      pollTimer.current = setTimeout(poll, POLL_INTERVAL_MS);
+    };
+    
+    poll();
+  };
+
+  // Give up on a generation that never settled, cancelling it so its credits come back
+  const handleGenerationTimeout = async (pending) => {
+    await finishGeneration();
+    try {
+      const response = await fetch(`${API_CONFIG.baseUrl}/api/generate?generationId=${pending.generationId}`, {
+        method: 'DELETE',
+        headers: authHeaders(),
+      });
+      const result = await response.json();
+      if (result.refunded) await refundCredits(pending.creditsUsed);
+      showToast(result.refunded ? 'Generation timed out – credits refunded' : 'Generation timed out. Please try again.', 'error');
+    } catch (error) {
+      showToast('Generation timed out. Please try again.', 'error');
+    }
+  };
+
+  const resumeGeneration = async () => {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.generation);
+    if (!stored) return;
+    
+    const pending = JSON.parse(stored);
+    if (pollingId.current === pending.generationId) return;
+    
+    setGenerationMessage('Checking on your video...');
+    pollGeneration(pending);
+  };
+
   const handleGenerate = async () => {
     if (!prompt.trim()) {
       showToast('Please describe your video', 'error');
@@ -261,68 +747,329 @@ export default function App() {
     
     setIsGenerating(true);
     setGeneratingProgress(0);
+    setGenerationMessage('Starting video generation...');
     
     try {
-      const progressInterval = setInterval(() => {
-        setGeneratingProgress(prev => Math.min(prev + Math.random() * 15, 90));
-      }, 1500);
-      
+      // One Idempotency-Key per tap, so a retried request is never charged twice
+      const idempotencyKey = `gen-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
       const response = await fetch(`${API_CONFIG.baseUrl}/api/generate`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({
+          'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey,
+        }),
         body: JSON.stringify({
           prompt: prompt.trim(),
-          userId: user?.id,
-          tier: selectedTier,
           length: duration,
         }),
       });
       
       const result = await response.json();
       
-      clearInterval(progressInterval);
-      setGeneratingProgress(100);
+      if (response.status === 402) {
+        await finishGeneration();
+        showToast(result.message || 'Not enough credits! Upgrade for more 👑', 'error');
+        setCurrentView('upgrade');
+        return;
+      }
       
-      if (result.success && result.videoUrl) {
-        const newVideo = {
-          id: Date.now().toString(),
-          url: result.videoUrl,
-          prompt: prompt.trim(),
-          tier: selectedTier,
-          duration,
-          model: result.model || PRICING[selectedTier].model,
-          timestamp: Date.now(),
-        };
-        
-        const updatedVideos = [newVideo, ...videos];
-        setVideos(updatedVideos);
-        await AsyncStorage.setItem(STORAGE_KEYS.videos, JSON.stringify(updatedVideos));
-        
-        if (selectedTier === 'free' && user) {
-          const updatedUser = {
-            ...user,
-            freeUsed: (user.freeUsed || 0) + 1,
-            freeRemaining: Math.max(0, (user.freeRemaining || 10) - 1),
-          };
-          setUser(updatedUser);
-          await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(updatedUser));
-        }
-        
-        showToast('Video generated! 🎬', 'success');
-        setPrompt('');
-        
-        setTimeout(() => {
-          setSelectedVideo(newVideo);
-          setShowVideoModal(true);
-        }, 500);
-      } else {
-        throw new Error(result.error || 'Generation failed');
+      if (!response.ok || !result.generationId) {
+        throw new Error(result.message || result.error || 'Generation failed');
       }
+      
+      const pending = {
+        generationId: result.generationId,
+        prompt: prompt.trim(),
+        tier: result.tier || selectedTier,
+        duration,
+        model: result.providerName,
+        creditsUsed: result.creditsUsed || 0,
+        startedAt: Date.now(),
+      };
+      await AsyncStorage.setItem(STORAGE_KEYS.generation, JSON.stringify(pending));
+      
+      await saveUser({
+        creditBalance: result.creditBalance ?? user?.creditBalance,
+        freeRemaining: result.remainingFree ?? user?.freeRemaining,
+      });
+      
+      setPrompt('');
+      setGeneratingProgress(5);
+      setGenerationMessage(`Generating with ${result.providerName || 'AI'}...`);
+      pollGeneration(pending);
     } catch (error) {
+      await finishGeneration();
       showToast(error.message || 'Generation failed', 'error');
+    }
+  };
+
+  const libraryRequest = async (path, method = 'GET', body = null) => {
+    const response = await fetch(`${API_CONFIG.baseUrl}${path}`, {
+      method,
+      headers: authHeaders(body ? { 'Content-Type': 'application/json' } : {}),
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || result.error || 'Request failed');
+    }
+    return result;
+  };
+
+  const loadCollections = async () => {
+    try {
+      const result = await libraryRequest('/api/collections');
+      setCollections(result.collections);
+    } catch (error) {
+      console.log('Collections not loaded:', error.message);
+    }
+  };
+
+  // All videos or favorites are filtered from the synced library
+  const showLibrary = (filter) => {
+    setLibraryFilter(filter);
+    setCollectionVideos(null);
+  };
+
+  // A collection's videos come from the server in the collection's order
+  const openCollection = async (collectionId) => {
+    setLibraryFilter(collectionId);
+    setCollectionVideos(null);
+    try {
+      const items = [];
+      let cursor = null;
+      do {
+        const query = cursor ? `&cursor=${encodeURIComponent(cursor)}` : '';
+        const result = await libraryRequest(`/api/collections?collectionId=${collectionId}&limit=100${query}`);
+        items.push(...result.generations);
+        cursor = result.hasMore ? result.cursor : null;
+      } while (cursor);
+      
+      setCollectionVideos(items.filter(item => item.status === 'completed' && item.videoUrl).map(toLocalVideo));
+    } catch (error) {
+      showToast(error.message || 'Could not open collection', 'error');
+      setLibraryFilter('all');
+    }
+  };
+
+  const refreshLibrary = () => {
+    syncLibrary();
+    loadCollections();
+    if (!['all', 'favorites'].includes(libraryFilter)) openCollection(libraryFilter);
+  };
+
+  // Apply a change to a video everywhere it is shown (library sync confirms it later)
+  const updateLocalVideo = async (videoId, changes) => {
+    const update = (video) => video.id === videoId ? { ...video, ...changes } : video;
+    const updatedVideos = liveState.current.videos.map(update);
+    setVideos(updatedVideos);
+    setCollectionVideos(current => current && current.map(update));
+    setSelectedVideo(current => current && update(current));
+    await AsyncStorage.setItem(STORAGE_KEYS.videos, JSON.stringify(updatedVideos));
+  };
+
+  const handleToggleFavorite = async (video) => {
+    try {
+      const result = video.isFavorite
+        ? await libraryRequest(`/api/favorites?generationId=${video.id}`, 'DELETE')
+        : await libraryRequest('/api/favorites', 'POST', { generationId: video.id });
+      await updateLocalVideo(video.id, { isFavorite: result.generation.isFavorite });
+    } catch (error) {
+      showToast(error.message || 'Could not update favorites', 'error');
+    }
+  };
+
+  // Tapping a collection in the video modal adds the video to it, or takes it out
+  const handleToggleCollection = async (video, collection) => {
+    const inCollection = (video.collectionIds || []).includes(collection.id);
+    try {
+      if (inCollection) {
+        await libraryRequest(`/api/collection-items?collectionId=${collection.id}&generationId=${video.id}`, 'DELETE');
+      } else {
+        await libraryRequest('/api/collection-items', 'POST', { collectionId: collection.id, generationIds: [video.id] });
+      }
+      
+      const collectionIds = inCollection
+        ? video.collectionIds.filter(id => id !== collection.id)
+        : [...(video.collectionIds || []), collection.id];
+      await updateLocalVideo(video.id, { collectionIds });
+      setCollections(current => current.map(c => c.id === collection.id ? { ...c, itemCount: c.itemCount + (inCollection ? -1 : 1) } : c));
+      if (inCollection && libraryFilter === collection.id) {
+        setCollectionVideos(current => current && current.filter(v => v.id !== video.id));
+      }
+      showToast(inCollection ? `Removed from ${collection.name}` : `Added to ${collection.name}`, 'success');
+    } catch (error) {
+      showToast(error.message || 'Could not update collection', 'error');
+    }
+  };
+
+  const handleCreateCollection = async () => {
+    const name = (newCollectionName || '').trim();
+    if (!name) return;
+    
+    try {
+      const result = await libraryRequest('/api/collections', 'POST', { name });
+      setCollections(current => [...current, result.collection]);
+      setNewCollectionName(null);
+      showToast(`Created ${result.collection.name}`, 'success');
+    } catch (error) {
+      showToast(error.message || 'Could not create collection', 'error');
+    }
+  };
+
+  const handleDeleteCollection = (collection) => {
+    Alert.alert(`Delete "${collection.name}"?`, 'The videos in it stay in your library.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await libraryRequest(`/api/collections?collectionId=${collection.id}`, 'DELETE');
+            setCollections(current => current.filter(c => c.id !== collection.id));
+            if (libraryFilter === collection.id) {
+              setLibraryFilter('all');
+              setCollectionVideos(null);
+            }
+            syncLibrary();
+          } catch (error) {
+            showToast(error.message || 'Could not delete collection', 'error');
+          }
+        },
+      },
+    ]);
+  };
+
+  // Deleting moves the video to the server-side trash; library sync removes it on other devices
+  const handleDeleteVideo = (video) => {
+    Alert.alert('Delete video?', 'It stays in the trash for 30 days before it is deleted for good.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            const response = await fetch(`${API_CONFIG.baseUrl}/api/trash`, {
+              method: 'POST',
+              headers: authHeaders({ 'Content-Type': 'application/json' }),
+              body: JSON.stringify({ generationId: video.id }),
+            });
+            const result = await response.json();
+            
+            // 404: a video that never reached the server (or is already gone) is only removed locally
+            if (!response.ok && response.status !== 404) {
+              throw new Error(result.message || result.error || 'Could not delete video');
+            }
+            
+            const updatedVideos = liveState.current.videos.filter(v => v.id !== video.id);
+            setVideos(updatedVideos);
+            setCollectionVideos(current => current && current.filter(v => v.id !== video.id));
+            await AsyncStorage.setItem(STORAGE_KEYS.videos, JSON.stringify(updatedVideos));
+            setShowVideoModal(false);
+            showToast('Moved to trash', 'info');
+          } catch (error) {
+            showToast(error.message || 'Could not delete video', 'error');
+          }
+        },
+      },
+    ]);
+  };
+
+  // Paid plans are bought through Stripe Checkout, subscribers manage them in the billing portal
+  const handleBilling = async (tier) => {
+    const hasSubscription = user?.tier && user.tier !== 'free' && user.subscriptionStatus !== 'trialing';
+    try {
+      const response = await fetch(`${API_CONFIG.baseUrl}/api/${hasSubscription ? 'billing-portal' : 'checkout'}`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ tier }),
+      });
+      const result = await response.json();
+      
+      if (!response.ok || !result.url) {
+        throw new Error(result.message || result.error || 'Billing is unavailable right now');
+      }
+      
+      await Linking.openURL(result.url);
+    } catch (error) {
+      showToast(error.message || 'Billing is unavailable right now', 'error');
+    }
+  };
+
+  const loadReferralStats = async () => {
+    try {
+      const response = await fetch(`${API_CONFIG.baseUrl}/api/referrals`, {
+        headers: authHeaders(),
+      });
+      const result = await response.json();
+      if (result.success) setReferralStats(result);
+    } catch (error) {
+      console.log('Referral stats unavailable');
+    }
+  };
+
+  const handleRedeemCode = async () => {
+    if (!promoCode.trim() || isRedeeming) return;
+    
+    setIsRedeeming(true);
+    try {
+      const response = await fetch(`${API_CONFIG.baseUrl}/api/redeem`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ code: promoCode.trim() }),
+      });
+      const result = await response.json();
+      
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || result.error || 'Could not redeem code');
+      }
+      
+      const updatedUser = {
+        ...user,
+        tier: result.tier,
+        creditBalance: result.creditBalance,
+        ...(result.tierGranted && { subscriptionStatus: 'trialing', subscriptionEndsAt: result.accessEndsAt }),
+      };
+      setUser(updatedUser);
+      await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(updatedUser));
+      setPromoCode('');
+      
+      const rewards = [
+        result.creditsGranted ? `+${result.creditsGranted} credits` : null,
+        result.tierGranted ? `${getPlan(result.tierGranted).name} until ${new Date(result.accessEndsAt).toLocaleDateString()}` : null,
+      ].filter(Boolean);
+      showToast(`🎟️ ${rewards.join(', ')}`, 'success');
+    } catch (error) {
+      showToast(error.message || 'Could not redeem code', 'error');
+    } finally {
+      setIsRedeeming(false);
+    }
+  };
+
+  const handleCancelGeneration = async () => {
+    if (!activeGenerationId || isCancelling) return;
+    
+    setIsCancelling(true);
+    try {
+      const response = await fetch(`${API_CONFIG.baseUrl}/api/generate?generationId=${activeGenerationId}`, {
+        method: 'DELETE',
+        headers: authHeaders(),
+      });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.message || result.error || 'Could not cancel');
+      }
+      
+      const pending = JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.generation) || 'null');
+      await finishGeneration();
+      if (result.refunded) await refundCredits(pending?.creditsUsed);
+      
+      showToast(result.refunded ? 'Cancelled – clip refunded' : 'Generation cancelled', 'info');
+    } catch (error) {
+      showToast(error.message || 'Could not cancel', 'error');
     } finally {
-      setIsGenerating(false);
-      setGeneratingProgress(0);
+      setIsCancelling(false);
     }
   };
 
@@ -360,8 +1107,8 @@ export default function App() {
         <View style={styles.featureList}>
           {[
             { icon: '⚡', title: '10 Free Clips/Month', sub: 'No credit card needed' },
-            { icon: '🎥', title: 'Up to 10s Videos', sub: '768p quality' },
-            { icon: '👑', title: 'Upgrade Anytime', sub: '30s videos, 1080p' },
+            { icon: '🎥', title: 'Up to 10s Videos', sub: '720p quality' },
+            { icon: '👑', title: 'Upgrade Anytime', sub: '30s videos, no ads' },
           ].map((f, i) => (
             <View key={i} style={styles.featureCard}>
               <Text style={{ fontSize: 28, marginRight: 16 }}>{f.icon}</Text>
@@ -422,6 +1169,10 @@ export default function App() {
                 {authLoading ? <ActivityIndicator color="#fff" /> : <Text style={styles.emailAuthButtonText}>{authMode === 'signup' ? 'Create Account' : 'Sign In'}</Text>}
               </LinearGradient>
             </TouchableOpacity>
+            
+            <TouchableOpacity onPress={handleMagicLink} disabled={authLoading} style={{ alignItems: 'center', paddingVertical: 12 }}>
+              <Text style={{ fontSize: 14, color: COLORS.primary, fontWeight: '600' }}>Email me a sign-in link instead</Text>
+            </TouchableOpacity>
           </View>
           
           <TouchableOpacity onPress={() => setAuthMode(authMode === 'signup' ? 'login' : 'signup')} style={{ marginTop: 24 }}>
@@ -457,10 +1208,10 @@ export default function App() {
       
       <View style={styles.tierSelector}>
         {['free', 'basic', 'pro'].map(tier => (
-          <TouchableOpacity key={tier} onPress={() => setSelectedTier(tier)} style={[styles.tierButton, selectedTier === tier && styles.tierButtonActive]}>
-            <Text style={{ fontSize: 20, marginBottom: 4 }}>{PRICING[tier].icon}</Text>
-            <Text style={[styles.tierButtonName, selectedTier === tier && { color: '#fff' }]}>{PRICING[tier].name}</Text>
-            <Text style={styles.tierButtonMeta}>{PRICING[tier].maxLength}s • {PRICING[tier].resolution}</Text>
+          <TouchableOpacity key={tier} onPress={() => handleSelectTier(tier)} style={[styles.tierButton, selectedTier === tier && styles.tierButtonActive]}>
+            <Text style={{ fontSize: 20, marginBottom: 4 }}>{plans[tier].icon}</Text>
+            <Text style={[styles.tierButtonName, selectedTier === tier && { color: '#fff' }]}>{plans[tier].name}</Text>
+            <Text style={styles.tierButtonMeta}>{plans[tier].maxLength}s • {plans[tier].resolution}</Text>
           </TouchableOpacity>
         ))}
       </View>
@@ -486,9 +1237,9 @@ export default function App() {
       </View>
       
       <View style={{ marginBottom: 24 }}>
-        <Text style={styles.inputLabel}>Duration: {duration}s (max {PRICING[selectedTier].maxLength}s)</Text>
+        <Text style={styles.inputLabel}>Duration: {duration}s (max {getPlan(selectedTier).maxLength}s)</Text>
         <View style={styles.durationSlider}>
-          {Array.from({ length: PRICING[selectedTier].maxLength - 2 }, (_, i) => i + 3).map(sec => (
+          {Array.from({ length: getPlan(selectedTier).maxLength - 2 }, (_, i) => i + 3).map(sec => (
             <TouchableOpacity key={sec} onPress={() => setDuration(sec)} style={[styles.durationDot, duration >= sec && styles.durationDotActive]} />
           ))}
         </View>
@@ -515,6 +1266,16 @@ export default function App() {
         )}
       </TouchableOpacity>
       
+      {isGenerating && !!generationMessage && (
+        <Text style={{ fontSize: 13, color: COLORS.textSecondary, textAlign: 'center', marginTop: 8 }}>{generationMessage}</Text>
+      )}
+      
+      {isGenerating && activeGenerationId && (
+        <TouchableOpacity onPress={handleCancelGeneration} disabled={isCancelling} style={[styles.cancelButton, isCancelling && { opacity: 0.5 }]}>
+          <Text style={styles.cancelButtonText}>{isCancelling ? 'Cancelling...' : '✕ Cancel'}</Text>
+        </TouchableOpacity>
+      )}
+      
       {selectedTier === 'free' && <Text style={styles.freeNotice}>Free videos include a 5s promotional end card</Text>}
       
       <View style={{ height: 100 }} />
@@ -522,40 +1283,99 @@ export default function App() {
   );
 
   // RENDER LIBRARY
-  const renderLibrary = () => (
-    <ScrollView style={styles.container} contentContainerStyle={{ padding: 16 }}>
-      <Text style={styles.screenTitle}>My Videos</Text>
-      
-      {videos.length === 0 ? (
-        <View style={styles.emptyState}>
-          <View style={styles.emptyStateIcon}><Text style={{ fontSize: 36 }}>🎬</Text></View>
-          <Text style={styles.emptyStateTitle}>No videos yet</Text>
-          <Text style={styles.emptyStateSub}>Create your first AI video</Text>
-          <TouchableOpacity onPress={() => setCurrentView('create')} style={styles.emptyStateButton}>
-            <LinearGradient colors={GRADIENTS.primary} style={{ paddingHorizontal: 24, paddingVertical: 12, borderRadius: 12 }}>
-              <Text style={{ fontSize: 16, fontWeight: '600', color: '#fff' }}>Create Video</Text>
-            </LinearGradient>
+  const renderLibraryFilters = () => {
+    const openCollectionId = !['all', 'favorites'].includes(libraryFilter) ? libraryFilter : null;
+    const chips = [
+      { key: 'all', label: `All (${videos.length})` },
+      { key: 'favorites', label: `★ Favorites (${videos.filter(v => v.isFavorite).length})` },
+      ...collections.map(c => ({ key: c.id, label: `📁 ${c.name} (${c.itemCount})`, collection: c })),
+    ];
+    
+    return (
+      <View style={{ marginTop: -12, marginBottom: 16 }}>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          {chips.map(chip => (
+            <TouchableOpacity
+              key={chip.key}
+              onPress={() => chip.collection ? openCollection(chip.key) : showLibrary(chip.key)}
+              onLongPress={() => chip.collection && handleDeleteCollection(chip.collection)}
+              style={[styles.libraryFilterChip, libraryFilter === chip.key && styles.libraryFilterChipActive]}
+            >
+              <Text style={[styles.libraryFilterText, libraryFilter === chip.key && { color: '#fff' }]}>{chip.label}</Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity onPress={() => setNewCollectionName(newCollectionName === null ? '' : null)} style={styles.libraryFilterChip}>
+            <Text style={styles.libraryFilterText}>＋ New</Text>
           </TouchableOpacity>
-        </View>
-      ) : (
-        <View style={styles.videoGrid}>
-          {videos.map(video => (
-            <TouchableOpacity key={video.id} style={styles.videoCard} onPress={() => { setSelectedVideo(video); setShowVideoModal(true); }}>
-              <LinearGradient colors={GRADIENTS.neon} style={styles.videoThumbnail}>
-                <Text style={{ fontSize: 40 }}>▶️</Text>
-                <View style={styles.videoDurationBadge}><Text style={styles.videoDurationText}>{video.duration}s</Text></View>
+        </ScrollView>
+        {newCollectionName !== null && (
+          <View style={[styles.referralCodeBox, { marginTop: 12 }]}>
+            <TextInput style={styles.promoCodeInput} value={newCollectionName} onChangeText={setNewCollectionName} placeholder="Collection name" placeholderTextColor={COLORS.textDim} maxLength={60} autoFocus onSubmitEditing={handleCreateCollection} />
+            <TouchableOpacity onPress={handleCreateCollection} disabled={!newCollectionName.trim()}>
+              <Text style={{ fontSize: 14, fontWeight: '600', color: newCollectionName.trim() ? COLORS.primary : COLORS.textDim }}>Create</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+        {openCollectionId && (
+          <Text style={{ fontSize: 12, color: COLORS.textDim, marginTop: 8 }}>Long-press a collection to delete it</Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderLibrary = () => {
+    const shownVideos = libraryFilter === 'all' ? videos
+      : libraryFilter === 'favorites' ? videos.filter(video => video.isFavorite)
+      : collectionVideos || [];
+    
+    return (
+      <ScrollView
+        style={styles.container}
+        contentContainerStyle={{ padding: 16 }}
+        refreshControl={<RefreshControl refreshing={isSyncing} onRefresh={refreshLibrary} tintColor={COLORS.primary} />}
+      >
+        <Text style={styles.screenTitle}>My Videos</Text>
+        {videos.length > 0 && renderLibraryFilters()}
+      
+        {videos.length > 0 && shownVideos.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyStateSub}>
+              {libraryFilter === 'favorites' ? 'Tap ☆ on a video to add it to your favorites'
+                : collectionVideos === null ? 'Loading collection...'
+                : 'Add videos to this collection from the video screen'}
+            </Text>
+          </View>
+        ) : videos.length === 0 ? (
+          <View style={styles.emptyState}>
+            <View style={styles.emptyStateIcon}><Text style={{ fontSize: 36 }}>🎬</Text></View>
+            <Text style={styles.emptyStateTitle}>No videos yet</Text>
+            <Text style={styles.emptyStateSub}>Create your first AI video</Text>
+            <TouchableOpacity onPress={() => setCurrentView('create')} style={styles.emptyStateButton}>
+              <LinearGradient colors={GRADIENTS.primary} style={{ paddingHorizontal: 24, paddingVertical: 12, borderRadius: 12 }}>
+                <Text style={{ fontSize: 16, fontWeight: '600', color: '#fff' }}>Create Video</Text>
               </LinearGradient>
-              <View style={{ padding: 10 }}>
-                <Text style={styles.videoCardPrompt} numberOfLines={2}>{video.prompt}</Text>
-                <Text style={styles.videoCardMeta}>{video.model} • {video.tier}</Text>
-              </View>
             </TouchableOpacity>
-          ))}
-        </View>
-      )}
-      <View style={{ height: 100 }} />
-    </ScrollView>
-  );
+          </View>
+        ) : (
+          <View style={styles.videoGrid}>
+            {shownVideos.map(video => (
+              <TouchableOpacity key={video.id} style={styles.videoCard} onPress={() => { setSelectedVideo(video); setShowVideoModal(true); }}>
+                <LinearGradient colors={GRADIENTS.neon} style={styles.videoThumbnail}>
+                  <Text style={{ fontSize: 40 }}>▶️</Text>
+                  <View style={styles.videoDurationBadge}><Text style={styles.videoDurationText}>{video.duration}s</Text></View>
+                </LinearGradient>
+                <View style={{ padding: 10 }}>
+                  <Text style={styles.videoCardPrompt} numberOfLines={2}>{video.prompt}</Text>
+                  <Text style={styles.videoCardMeta}>{video.isFavorite ? '★ ' : ''}{video.model} • {video.tier}</Text>
+                </View>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+        <View style={{ height: 100 }} />
+      </ScrollView>
+    );
+  };
 
   // RENDER UPGRADE
   const renderUpgrade = () => (
@@ -564,7 +1384,7 @@ export default function App() {
       <Text style={{ fontSize: 16, color: COLORS.textSecondary, marginTop: -16, marginBottom: 24 }}>Unlock more generations and features</Text>
       
       <View style={styles.pricingCards}>
-        {Object.entries(PRICING).map(([tier, config]) => (
+        {Object.entries(plans).map(([tier, config]) => (
           <View key={tier} style={[styles.pricingCard, tier === 'basic' && styles.pricingCardPopular, user?.tier === tier && styles.pricingCardCurrent]}>
             {tier === 'basic' && <View style={styles.popularBadge}><Text style={styles.popularBadgeText}>MOST POPULAR</Text></View>}
             <Text style={{ fontSize: 32, marginBottom: 8 }}>{config.icon}</Text>
@@ -578,7 +1398,7 @@ export default function App() {
                 </View>
               ))}
             </View>
-            <TouchableOpacity style={[styles.pricingButton, user?.tier === tier && { backgroundColor: COLORS.glass }]} disabled={user?.tier === tier} onPress={() => Alert.alert('Upgrade', `Upgrade to ${config.name}`)}>
+            <TouchableOpacity style={[styles.pricingButton, user?.tier === tier && { backgroundColor: COLORS.glass }]} disabled={user?.tier === tier} onPress={() => handleBilling(tier)}>
               <Text style={styles.pricingButtonText}>{user?.tier === tier ? 'Current Plan' : tier === 'free' ? 'Start Free' : 'Upgrade'}</Text>
             </TouchableOpacity>
           </View>
@@ -601,20 +1421,38 @@ export default function App() {
             <Text style={styles.settingsUserEmail}>{user?.email || 'Guest Account'}</Text>
           </View>
         </View>
+        {!session && (
+          <TouchableOpacity onPress={() => { setAuthMode('signup'); setCurrentView('auth'); }} style={[styles.settingsUpgradeButton, { marginTop: 12 }]}>
+            <Text style={{ fontSize: 14, fontWeight: '600', color: COLORS.primary }}>Sign in to keep your videos on every device</Text>
+          </TouchableOpacity>
+        )}
       </View>
       
       <View style={styles.settingsCard}>
         <Text style={styles.settingsCardTitle}>Current Plan</Text>
-        <Text style={{ fontSize: 18, fontWeight: '600', color: COLORS.primary, marginBottom: 4 }}>{PRICING[user?.tier || 'free'].icon} {PRICING[user?.tier || 'free'].name}</Text>
-        <Text style={{ fontSize: 14, color: COLORS.textSecondary, marginBottom: 12 }}>{user?.freeRemaining || 0} of {PRICING[user?.tier || 'free'].gensPerMonth} generations left</Text>
-        <TouchableOpacity onPress={() => setCurrentView('upgrade')} style={styles.settingsUpgradeButton}>
+        <Text style={{ fontSize: 18, fontWeight: '600', color: COLORS.primary, marginBottom: 4 }}>{getPlan(user?.tier).icon} {getPlan(user?.tier).name}</Text>
+        <Text style={{ fontSize: 14, color: COLORS.textSecondary, marginBottom: 12 }}>{user?.creditBalance ?? user?.freeRemaining ?? 0} of {getPlan(user?.tier).gensPerMonth} credits left</Text>
+        <TouchableOpacity onPress={() => (user?.tier && user.tier !== 'free' ? handleBilling(user.tier) : setCurrentView('upgrade'))} style={styles.settingsUpgradeButton}>
           <Text style={{ fontSize: 14, fontWeight: '600', color: COLORS.primary }}>{user?.tier === 'free' ? 'Upgrade Plan' : 'Manage Plan'}</Text>
         </TouchableOpacity>
       </View>
       
+      <View style={styles.settingsCard}>
+        <Text style={styles.settingsCardTitle}>🎟️ Promo Code</Text>
+        <View style={styles.referralCodeBox}>
+          <TextInput style={styles.promoCodeInput} value={promoCode} onChangeText={setPromoCode} placeholder="Enter code" placeholderTextColor={COLORS.textDim} autoCapitalize="characters" autoCorrect={false} maxLength={64} onSubmitEditing={handleRedeemCode} />
+          <TouchableOpacity onPress={handleRedeemCode} disabled={!promoCode.trim() || isRedeeming}>
+            <Text style={{ fontSize: 14, fontWeight: '600', color: promoCode.trim() && !isRedeeming ? COLORS.primary : COLORS.textDim }}>{isRedeeming ? 'Redeeming...' : 'Redeem'}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+      
       <View style={styles.settingsCard}>
         <Text style={styles.settingsCardTitle}>🎁 Invite Friends</Text>
-        <Text style={{ fontSize: 14, color: COLORS.textSecondary, marginBottom: 12 }}>Get 1 month Pro free for every 3 friends!</Text>
+        <Text style={{ fontSize: 14, color: COLORS.textSecondary, marginBottom: 12 }}>Get {referralStats?.rewardPerReferral ?? 5} bonus credits for every friend who creates their first video!</Text>
+        {referralStats?.referralCount > 0 && (
+          <Text style={{ fontSize: 13, color: COLORS.textMuted, marginBottom: 12 }}>{referralStats.referralCount} invited · {referralStats.rewardsClaimed} rewarded · {referralStats.creditsEarned} credits earned</Text>
+        )}
         <View style={styles.referralCodeBox}>
           <Text style={styles.referralCode}>{user?.referralCode || 'Loading...'}</Text>
           <TouchableOpacity onPress={() => { Clipboard.setStringAsync(user?.referralCode || ''); showToast('Code copied!', 'success'); }}>
@@ -634,13 +1472,7 @@ export default function App() {
       </View>
       
       {user && (
-        <TouchableOpacity onPress={async () => {
-          await AsyncStorage.multiRemove([STORAGE_KEYS.user, STORAGE_KEYS.videos]);
-          setUser(null);
-          setVideos([]);
-          setCurrentView('auth');
-          showToast('Signed out', 'info');
-        }} style={{ alignItems: 'center', paddingVertical: 16, marginTop: 8 }}>
+        <TouchableOpacity onPress={handleSignOut} style={{ alignItems: 'center', paddingVertical: 16, marginTop: 8 }}>
           <Text style={{ fontSize: 16, color: COLORS.error }}>Sign Out</Text>
         </TouchableOpacity>
       )}
@@ -694,6 +1526,10 @@ export default function App() {
                 <Text style={{ fontSize: 14, color: COLORS.textMuted }}>{selectedVideo.duration}s • {selectedVideo.model}</Text>
               </View>
               <View style={{ flexDirection: 'row', justifyContent: 'space-around' }}>
+                <TouchableOpacity style={styles.modalActionButton} onPress={() => handleToggleFavorite(selectedVideo)}>
+                  <Text style={{ fontSize: 24, color: COLORS.warning }}>{selectedVideo.isFavorite ? '★' : '☆'}</Text>
+                  <Text style={{ fontSize: 12, color: COLORS.textSecondary, marginTop: 4 }}>Favorite</Text>
+                </TouchableOpacity>
                 <TouchableOpacity style={styles.modalActionButton} onPress={() => Share.share({ message: selectedVideo.prompt, url: selectedVideo.url })}>
                   <Text style={{ fontSize: 24 }}>📤</Text>
                   <Text style={{ fontSize: 12, color: COLORS.textSecondary, marginTop: 4 }}>Share</Text>
@@ -702,15 +1538,26 @@ export default function App() {
                   <Text style={{ fontSize: 24 }}>⬇️</Text>
                   <Text style={{ fontSize: 12, color: COLORS.textSecondary, marginTop: 4 }}>Download</Text>
                 </TouchableOpacity>
-                <TouchableOpacity style={[styles.modalActionButton, { backgroundColor: 'rgba(239,68,68,0.1)' }]} onPress={() => {
-                  setVideos(videos.filter(v => v.id !== selectedVideo.id));
-                  setShowVideoModal(false);
-                  showToast('Video deleted', 'info');
-                }}>
+                <TouchableOpacity style={[styles.modalActionButton, { backgroundColor: 'rgba(239,68,68,0.1)' }]} onPress={() => handleDeleteVideo(selectedVideo)}>
                   <Text style={{ fontSize: 24 }}>🗑️</Text>
                   <Text style={{ fontSize: 12, color: COLORS.textSecondary, marginTop: 4 }}>Delete</Text>
                 </TouchableOpacity>
               </View>
+              {collections.length > 0 && (
+                <View style={{ marginTop: 20 }}>
+                  <Text style={{ fontSize: 14, color: COLORS.textMuted, marginBottom: 8 }}>Collections</Text>
+                  <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                    {collections.map(collection => {
+                      const inCollection = (selectedVideo.collectionIds || []).includes(collection.id);
+                      return (
+                        <TouchableOpacity key={collection.id} onPress={() => handleToggleCollection(selectedVideo, collection)} style={[styles.libraryFilterChip, inCollection && styles.libraryFilterChipActive]}>
+                          <Text style={[styles.libraryFilterText, inCollection && { color: '#fff' }]}>{inCollection ? '✓ ' : '+ '}{collection.name}</Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </ScrollView>
+                </View>
+              )}
             </>
           )}
         </View>
@@ -831,6 +1678,8 @@ const styles = StyleSheet.create({
   progressBar: { height: 3, backgroundColor: COLORS.glassBorder, borderRadius: 2 },
   progressFill: { height: '100%', borderRadius: 2 },
   freeNotice: { fontSize: 12, color: COLORS.textDim, textAlign: 'center' },
+  cancelButton: { alignSelf: 'center', borderWidth: 1, borderColor: COLORS.glassBorder, borderRadius: 10, paddingHorizontal: 20, paddingVertical: 8, marginBottom: 12 },
+  cancelButtonText: { fontSize: 14, color: COLORS.textSecondary, fontWeight: '500' },
   
   // Library
   emptyState: { alignItems: 'center', paddingVertical: 60 },
@@ -839,6 +1688,9 @@ const styles = StyleSheet.create({
   emptyStateSub: { fontSize: 14, color: COLORS.textMuted, marginBottom: 24 },
   emptyStateButton: { borderRadius: 12, overflow: 'hidden' },
   videoGrid: { flexDirection: 'row', flexWrap: 'wrap', marginHorizontal: -6 },
+  libraryFilterChip: { backgroundColor: COLORS.glass, borderWidth: 1, borderColor: COLORS.glassBorder, borderRadius: 20, paddingHorizontal: 14, paddingVertical: 8, marginRight: 8 },
+  libraryFilterChipActive: { backgroundColor: 'rgba(0,217,255,0.15)', borderColor: COLORS.primary },
+  libraryFilterText: { fontSize: 14, fontWeight: '500', color: COLORS.textSecondary },
   videoCard: { width: (SCREEN_WIDTH - 32 - 12) / 2, marginHorizontal: 6, marginBottom: 12, borderRadius: 12, overflow: 'hidden', backgroundColor: COLORS.glass, borderWidth: 1, borderColor: COLORS.glassBorder },
   videoThumbnail: { aspectRatio: 9 / 16, alignItems: 'center', justifyContent: 'center' },
   videoDurationBadge: { position: 'absolute', bottom: 8, right: 8, backgroundColor: 'rgba(0,0,0,0.6)', paddingHorizontal: 8, paddingVertical: 4, borderRadius: 6 },
@@ -867,6 +1719,7 @@ const styles = StyleSheet.create({
   settingsUpgradeButton: { backgroundColor: 'rgba(0,217,255,0.15)', paddingHorizontal: 16, paddingVertical: 10, borderRadius: 10, alignSelf: 'flex-start' },
   referralCodeBox: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', backgroundColor: 'rgba(0,0,0,0.3)', borderRadius: 10, padding: 12, marginBottom: 12 },
   referralCode: { fontSize: 18, fontWeight: '700', fontFamily: Platform.select({ ios: 'Menlo', android: 'monospace' }), color: COLORS.primary },
+  promoCodeInput: { flex: 1, fontSize: 16, fontWeight: '600', color: '#fff', marginRight: 12, padding: 0 },
   shareReferralButton: { borderRadius: 10, overflow: 'hidden' },
   
   // Nav Bar
@@ -0,0 +1,120 @@
+/**
+ * NeoClip AI - Supabase Auth client for the mobile app
+ *
+ * Sessions live in the device keychain / keystore (expo-secure-store), split
+ * into chunks because SecureStore values are limited to ~2KB. OAuth and magic
+ * links use the PKCE flow and come back through the neoclip://auth/callback
+ * deep link.
+ *
+ * Configure supabaseUrl and supabaseAnonKey under "extra" in app.json.
+ */
+
+import 'react-native-url-polyfill/auto';
+import { AppState } from 'react-native';
+import Constants from 'expo-constants';
+import * as ExpoLinking from 'expo-linking';
+import * as SecureStore from 'expo-secure-store';
+import * as WebBrowser from 'expo-web-browser';
+import { createClient } from '@supabase/supabase-js';
+
+const CHUNK_SIZE = 1800;
+
+// SecureStore keys only allow alphanumerics, '.', '-' and '_'
+const toStoreKey = (key) => key.replace(/[^A-Za-z0-9._-]/g, '_');
+
+const SecureSessionStorage = {
+  async getItem(key) {
+    const storeKey = toStoreKey(key);
+    const count = Number(await SecureStore.getItemAsync(`${storeKey}.chunks`));
+    if (!count) return null;
+
+    const chunks = await Promise.all(
+      Array.from({ length: count }, (_, i) => SecureStore.getItemAsync(`${storeKey}.${i}`))
+    );
+    return chunks.includes(null) ? null : chunks.join('');
+  },
+  async setItem(key, value) {
+    const storeKey = toStoreKey(key);
+    await SecureSessionStorage.removeItem(key);
+
+    const chunks = value.match(new RegExp(`[\\s\\S]{1,${CHUNK_SIZE}}`, 'g')) || [''];
+    await Promise.all(chunks.map((chunk, i) => SecureStore.setItemAsync(`${storeKey}.${i}`, chunk)));
+    await SecureStore.setItemAsync(`${storeKey}.chunks`, String(chunks.length));
+  },
+  async removeItem(key) {
+    const storeKey = toStoreKey(key);
+    const count = Number(await SecureStore.getItemAsync(`${storeKey}.chunks`)) || 0;
+
+    await SecureStore.deleteItemAsync(`${storeKey}.chunks`);
+    for (let i = 0; i < count; i++) {
+      await SecureStore.deleteItemAsync(`${storeKey}.${i}`);
+    }
+  },
+};
+
+const { supabaseUrl, supabaseAnonKey } = Constants.expoConfig?.extra || {};
+
+// null when the app is built without Supabase settings (guest mode only)
+export const supabase = supabaseUrl && supabaseAnonKey
+  ? createClient(supabaseUrl, supabaseAnonKey, {
+      auth: {
+        storage: SecureSessionStorage,
+        autoRefreshToken: true,
+        persistSession: true,
+        detectSessionInUrl: false,
+        flowType: 'pkce',
+      },
+    })
+  : null;
+
+// Deep link OAuth and magic link sign-ins return to
+export const AUTH_REDIRECT_URL = ExpoLinking.createURL('auth/callback');
+
+// Refresh tokens only while the app is in the foreground
+if (supabase) {
+  AppState.addEventListener('change', (state) => {
+    if (state === 'active') supabase.auth.startAutoRefresh();
+    else supabase.auth.stopAutoRefresh();
+  });
+}
+
+// A redirect can reach both the auth session and the deep link listener
+const handledCodes = new Set();
+
+/**
+ * Finish a sign-in from an auth/callback URL, returning the session
+ * (null for other URLs or a code that was already exchanged)
+ */
+export async function completeAuthRedirect(url) {
+  if (!supabase || !url || !url.startsWith(AUTH_REDIRECT_URL)) return null;
+
+  // Errors can come back in the query string or the fragment
+  const params = new URLSearchParams(url.split(/[?#]/).slice(1).join('&'));
+  const errorDescription = params.get('error_description');
+  if (errorDescription) throw new Error(errorDescription);
+
+  const code = params.get('code');
+  if (!code || handledCodes.has(code)) return null;
+  handledCodes.add(code);
+
+  const { data, error } = await supabase.auth.exchangeCodeForSession(code);
+  if (error) throw error;
+  return data.session;
+}
+
+/**
+ * Sign in with an OAuth provider ('google', 'apple') in the system browser
+ * Returns the session, or null if the user closed the browser.
+ */
+export async function signInWithOAuth(provider) {
+  const { data, error } = await supabase.auth.signInWithOAuth({
+    provider,
+    options: { redirectTo: AUTH_REDIRECT_URL, skipBrowserRedirect: true },
+  });
+  if (error) throw error;
+
+  const result = await WebBrowser.openAuthSessionAsync(data.url, AUTH_REDIRECT_URL);
+  if (result.type !== 'success') return null;
+
+  return completeAuthRedirect(result.url);
+}
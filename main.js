@@ -6,6 +6,7 @@
  * 1. POST /api/generate - Creates task, returns generationId
  * 2. Poll GET /api/poll?generationId=xxx every 3 seconds
  * 3. When completed, display video
+ * 4. DELETE /api/generate?generationId=xxx cancels an in-flight generation
  */
 
 // Configuration
@@ -13,17 +14,40 @@ const API_BASE_URL = window.location.hostname === 'localhost'
     ? 'http://localhost:3000' 
     : window.location.origin;
 
+// Device token for the anonymous account (sent as a bearer token)
+const DEVICE_TOKEN_KEY = 'neoclip_device_token';
+
 // Polling configuration
 const POLL_INTERVAL_MS = 3000;  // Poll every 3 seconds
 const MAX_POLL_TIME_MS = 300000; // Max 5 minutes
 
+// History list
+const HISTORY_PAGE_SIZE = 10;
+const HISTORY_SEARCH_DELAY_MS = 300;
+const STATUS_LABELS = {
+    pending: '⏳ In progress',
+    queued: '⏳ Queued',
+    processing: '⏳ In progress',
+    failed: '⚠️ Failed',
+    cancelled: '✕ Cancelled'
+};
+const ACTIVE_STATUSES = ['pending', 'queued', 'processing'];
+
 // State
 let currentUser = null;
 let selectedTier = 'free';
+let plans = {};  // Plan catalog from /api/plans, keyed by tier
 let currentVideoUrl = null;
-let generations = [];
+let generations = [];  // Loaded history pages
+let historyFilters = { q: '', status: '', sort: 'newest', view: '' };  // view: '' | 'favorites' | collection id
+let collections = [];  // From /api/collections, in the user's order
+let historyCursor = null;
+let historyTotal = 0;
+let historyRequestId = 0;
+let historySearchTimer = null;
 let pollTimer = null;
 let pollStartTime = null;
+let currentGenerationId = null;
 
 // Initialize app on load
 document.addEventListener('DOMContentLoaded', () => {
@@ -42,23 +66,89 @@ function setupEventListeners() {
             }
         });
     }
+
+    const promoInput = document.getElementById('promoInput');
+    if (promoInput) {
+        promoInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') redeemPromoCode();
+        });
+    }
+
+    const historySearch = document.getElementById('historySearch');
+    if (historySearch) {
+        historySearch.addEventListener('input', (e) => {
+            clearTimeout(historySearchTimer);
+            historySearchTimer = setTimeout(() => {
+                historyFilters.q = e.target.value.trim();
+                loadHistory();
+            }, HISTORY_SEARCH_DELAY_MS);
+        });
+    }
+
+    ['historyStatus', 'historySort'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', (e) => {
+                historyFilters[id === 'historyStatus' ? 'status' : 'sort'] = e.target.value;
+                loadHistory();
+            });
+        }
+    });
+
+    const historyView = document.getElementById('historyView');
+    if (historyView) {
+        historyView.addEventListener('change', (e) => {
+            if (e.target.value === 'new') {
+                e.target.value = historyFilters.view;
+                createCollection();
+                return;
+            }
+            historyFilters.view = e.target.value;
+            displayCollections();
+            loadHistory();
+        });
+    }
 }
 
 // Initialize application
 async function initializeApp() {
     try {
+        await loadPlans();
+        handleCheckoutReturn();
+
         // Get or create user
-        const deviceId = getDeviceId();
-        const response = await fetch(`${API_BASE_URL}/api/user`, {
+        const registerUser = () => fetch(`${API_BASE_URL}/api/user`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ deviceId })
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ deviceId: getDeviceId() })
         });
 
+        let response = await registerUser();
+        if (response.status === 401 && localStorage.getItem(DEVICE_TOKEN_KEY)) {
+            // Stale device token - register again to get a fresh one
+            localStorage.removeItem(DEVICE_TOKEN_KEY);
+            response = await registerUser();
+        }
+        if (response.status === 409) {
+            // The guest account's token is gone and the device id alone can't
+            // reclaim it - only start over when the user agrees to
+            const startOver = confirm('Your guest session on this device has expired, so its videos and credits can\'t be restored. Start a new guest session?');
+            if (!startOver) {
+                showError('Guest session expired. Refresh the page to start a new one.');
+                return;
+            }
+            localStorage.removeItem('neoclip_device_id');
+            response = await registerUser();
+        }
+
         const data = await response.json();
+        if (data.deviceToken) localStorage.setItem(DEVICE_TOKEN_KEY, data.deviceToken);
 
         if (data.success && data.user) {
             currentUser = data.user;
+            if (data.isNewUser) {
+                showSuccess('Your videos and credits are kept in this browser - clearing its data starts a new guest account.');
+            }
             updateUserStats();
             await loadUserGenerations();
         } else {
@@ -70,6 +160,31 @@ async function initializeApp() {
     }
 }
 
+// Load the plan catalog (quota, max length, resolution per tier)
+async function loadPlans() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/plans`);
+        const data = await response.json();
+
+        if (data.success && data.plans) {
+            plans = Object.fromEntries(data.plans.map(plan => [plan.id, plan]));
+        }
+    } catch (error) {
+        console.error('Failed to load plans:', error);
+    }
+}
+
+// Plan for a tier, with the free plan defaults if the catalog didn't load
+function getPlan(tier) {
+    return plans[tier] || plans.free || { id: 'free', name: 'Free', monthlyAllowance: 10, maxLength: 10, resolution: '720p' };
+}
+
+// Add the device token issued by /api/user to request headers
+function authHeaders(headers = {}) {
+    const token = localStorage.getItem(DEVICE_TOKEN_KEY);
+    return token ? { ...headers, 'Authorization': `Bearer ${token}` } : headers;
+}
+
 // Get or create device ID
 function getDeviceId() {
     let deviceId = localStorage.getItem('neoclip_device_id');
@@ -84,7 +199,7 @@ function getDeviceId() {
 function updateUserStats() {
     if (!currentUser) return;
 
-    const freeRemaining = 10 - (currentUser.free_used || 0);
+    const freeRemaining = currentUser.creditBalance ?? (getPlan('free').monthlyAllowance - (currentUser.free_used || 0));
     const resetsAt = new Date(currentUser.resets_at);
     const now = new Date();
     const daysUntilReset = Math.ceil((resetsAt - now) / (1000 * 60 * 60 * 24));
@@ -97,7 +212,15 @@ function updateUserStats() {
 }
 
 // Select tier
+// The server always uses the account's plan, so picking a paid tier on a
+// free account goes to the upgrade flow instead
 function selectTier(tier) {
+    const userTier = currentUser?.tier || 'free';
+    if (tier !== 'free' && userTier === 'free') {
+        handleUpgrade(tier);
+        return;
+    }
+
     selectedTier = tier;
     
     // Update button states
@@ -112,9 +235,10 @@ function selectTier(tier) {
     const buttonText = document.getElementById('buttonText');
     if (buttonText) {
         if (tier === 'free') {
-            buttonText.textContent = 'Generate 10s FREE Video';
+            buttonText.textContent = `Generate ${getPlan('free').maxLength}s FREE Video`;
         } else {
-            buttonText.textContent = 'Generate 30s HD Video (Pro)';
+            const plan = getPlan(userTier);
+            buttonText.textContent = `Generate ${plan.maxLength}s HD Video (${plan.name})`;
         }
     }
 }
@@ -156,14 +280,17 @@ async function generateVideo() {
 
     try {
         // Step 1: Create generation task
+        // One Idempotency-Key per click, so a retried request is never charged twice
+        const idempotencyKey = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
         const response = await fetch(`${API_BASE_URL}/api/generate`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: authHeaders({
+                'Content-Type': 'application/json',
+                'Idempotency-Key': idempotencyKey
+            }),
             body: JSON.stringify({
                 prompt: prompt,
-                userId: currentUser.id,
-                tier: selectedTier,
-                length: selectedTier === 'free' ? 10 : 30
+                length: getPlan(selectedTier === 'free' ? 'free' : currentUser.tier).maxLength
             })
         });
 
@@ -171,7 +298,11 @@ async function generateVideo() {
 
         if (!response.ok) {
             if (response.status === 402) {
-                showError(data.message || 'Free limit reached. Upgrade to Pro for unlimited clips!');
+                if (data.creditBalance !== undefined) {
+                    currentUser.creditBalance = data.creditBalance;
+                    updateUserStats();
+                }
+                showError(data.message || 'Not enough credits. Upgrade to Pro for more!');
                 setTimeout(() => handleUpgrade(), 2000);
                 return;
             }
@@ -184,17 +315,24 @@ async function generateVideo() {
 
         console.log('Generation started:', data);
         
-        // Update remaining free count immediately
+        // Update the credit counter immediately
+        if (data.creditBalance !== undefined) {
+            currentUser.creditBalance = data.creditBalance;
+        }
         if (data.remainingFree !== null && data.remainingFree !== undefined) {
-            currentUser.free_used = 10 - data.remainingFree;
-            updateUserStats();
+            currentUser.free_used = getPlan('free').monthlyAllowance - data.remainingFree;
         }
+        updateUserStats();
 
         // Update loading text
         if (loadingText) loadingText.textContent = `Generating with ${data.providerName || 'AI'}...`;
         if (progressFill) progressFill.style.width = '15%';
 
         // Step 2: Start polling for completion
+        currentGenerationId = data.generationId;
+        const cancelButton = document.getElementById('cancelButton');
+        if (cancelButton) cancelButton.classList.remove('hidden');
+
         pollStartTime = Date.now();
         startPolling(data.generationId, data.needsAd);
 
@@ -219,7 +357,9 @@ function startPolling(generationId, needsAd) {
         }
 
         try {
-            const response = await fetch(`${API_BASE_URL}/api/poll?generationId=${generationId}`);
+            const response = await fetch(`${API_BASE_URL}/api/poll?generationId=${generationId}`, {
+                headers: authHeaders()
+            });
             const data = await response.json();
 
             console.log('Poll response:', data);
@@ -260,6 +400,13 @@ function startPolling(generationId, needsAd) {
                 return;
             }
 
+            if (data.status === 'cancelled') {
+                stopPolling();
+                resetLoadingUI();
+                await loadUserGenerations();
+                return;
+            }
+
             // Still processing - update UI
             if (loadingText) {
                 const elapsed = Math.round((Date.now() - pollStartTime) / 1000);
@@ -284,6 +431,44 @@ function startPolling(generationId, needsAd) {
     poll();
 }
 
+// Cancel the in-flight generation
+async function cancelGeneration() {
+    if (!currentGenerationId || !currentUser) return;
+
+    const generationId = currentGenerationId;
+    const cancelButton = document.getElementById('cancelButton');
+    const loadingText = document.getElementById('loadingText');
+
+    if (cancelButton) cancelButton.disabled = true;
+    if (loadingText) loadingText.textContent = 'Cancelling...';
+
+    try {
+        const response = await fetch(
+            `${API_BASE_URL}/api/generate?generationId=${generationId}`,
+            { method: 'DELETE', headers: authHeaders() }
+        );
+        const data = await response.json();
+
+        if (!response.ok) {
+            // Most likely it finished first - let polling pick up the result
+            showError(data.message || data.error || 'Could not cancel generation');
+            if (cancelButton) cancelButton.disabled = false;
+            return;
+        }
+
+        stopPolling();
+        resetLoadingUI();
+        showSuccess(data.refunded ? 'Generation cancelled. Your clip was refunded.' : 'Generation cancelled.');
+
+        // Refresh stats (quota was refunded)
+        await loadUserGenerations();
+    } catch (error) {
+        console.error('Cancel error:', error);
+        showError('Failed to cancel generation. Please try again.');
+        if (cancelButton) cancelButton.disabled = false;
+    }
+}
+
 // Stop polling
 function stopPolling() {
     if (pollTimer) {
@@ -299,8 +484,15 @@ function resetLoadingUI() {
     const loadingIndicator = document.getElementById('loadingIndicator');
     const progressBar = document.getElementById('progressBar');
     const progressFill = document.getElementById('progressFill');
+    const cancelButton = document.getElementById('cancelButton');
+
+    currentGenerationId = null;
 
     if (generateButton) generateButton.disabled = false;
+    if (cancelButton) {
+        cancelButton.classList.add('hidden');
+        cancelButton.disabled = false;
+    }
     if (loadingIndicator) loadingIndicator.classList.add('hidden');
     if (progressBar) progressBar.classList.add('hidden');
     if (progressFill) progressFill.style.width = '0%';
@@ -335,33 +527,291 @@ async function loadUserGenerations() {
     if (!currentUser) return;
 
     try {
-        const response = await fetch(`${API_BASE_URL}/api/status?userId=${currentUser.id}`);
+        const response = await fetch(`${API_BASE_URL}/api/status`, {
+            headers: authHeaders()
+        });
         const data = await response.json();
 
-        if (data.success && data.generations) {
-            generations = data.generations;
-            displayGenerations();
+        // Update user stats from server
+        if (data.success && data.user) {
+            currentUser.free_used = data.user.freeUsed;
+            currentUser.creditBalance = data.user.creditBalance;
+            currentUser.resets_at = data.user.resetsAt;
+            updateUserStats();
+        }
+    } catch (error) {
+        console.error('Failed to load user stats:', error);
+    }
 
-            // Update user stats from server
-            if (data.user) {
-                currentUser.free_used = data.user.freeUsed;
-                currentUser.resets_at = data.user.resetsAt;
-                updateUserStats();
-            }
+    await Promise.all([loadHistory(), loadCollections()]);
+}
+
+// Load generation history for the current search and filters
+// (append = next page of the current list)
+async function loadHistory(append = false) {
+    if (!currentUser) return;
+
+    const params = new URLSearchParams({ limit: HISTORY_PAGE_SIZE, sort: historyFilters.sort });
+    if (historyFilters.q) params.set('q', historyFilters.q);
+    if (historyFilters.status) params.set('status', historyFilters.status);
+    if (historyFilters.view === 'favorites') params.set('favorite', 'true');
+    else if (historyFilters.view) params.set('collection', historyFilters.view);
+    if (append && historyCursor) params.set('cursor', historyCursor);
+
+    // Only the latest request may update the list (typing fires several)
+    const requestId = ++historyRequestId;
+    const inTrash = historyFilters.status === 'trash';
+
+    try {
+        const response = await fetch(inTrash ? `${API_BASE_URL}/api/trash` : `${API_BASE_URL}/api/history?${params}`, {
+            headers: authHeaders()
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || data.error || 'Failed to load history');
+        }
+        if (requestId !== historyRequestId) return;
+
+        if (inTrash) {
+            // The trash is short-lived and unpaged; search still narrows it down
+            const query = historyFilters.q.toLowerCase();
+            generations = data.generations.filter(gen => gen.prompt.toLowerCase().includes(query));
+            historyCursor = null;
+            historyTotal = generations.length;
+        } else {
+            generations = append ? [...generations, ...data.generations] : data.generations;
+            historyCursor = data.cursor;
+            historyTotal = data.total;
         }
+        displayGenerations();
     } catch (error) {
         console.error('Failed to load generations:', error);
     }
 }
 
+function loadMoreHistory() {
+    loadHistory(true);
+}
+
+// Send a request to one of the library endpoints (/api/trash, /api/collections, ...),
+// showing the server's message on failure
+async function libraryRequest(path, method, body = null) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Request failed');
+    }
+    return data;
+}
+
+// Move a generation to the trash, leaving an undo row in its place
+async function deleteGeneration(generationId) {
+    try {
+        await libraryRequest('/api/trash', 'POST', { generationId });
+        const gen = generations.find(item => item.id === generationId);
+        if (gen) gen.trashed = true;
+        historyTotal = Math.max(0, historyTotal - 1);
+        displayGenerations();
+    } catch (error) {
+        showError(error.message || 'Failed to delete video');
+    }
+}
+
+async function restoreGeneration(generationId) {
+    try {
+        await libraryRequest('/api/trash', 'POST', { generationId, action: 'restore' });
+        if (historyFilters.status === 'trash') {
+            generations = generations.filter(item => item.id !== generationId);
+            historyTotal = generations.length;
+        } else {
+            const gen = generations.find(item => item.id === generationId);
+            if (gen) gen.trashed = false;
+            historyTotal++;
+        }
+        displayGenerations();
+    } catch (error) {
+        showError(error.message || 'Failed to restore video');
+    }
+}
+
+async function deleteGenerationForever(generationId) {
+    if (!confirm('Delete this video forever? This cannot be undone.')) return;
+
+    try {
+        await libraryRequest(`/api/trash?generationId=${encodeURIComponent(generationId)}`, 'DELETE');
+        generations = generations.filter(item => item.id !== generationId);
+        historyTotal = generations.length;
+        displayGenerations();
+    } catch (error) {
+        showError(error.message || 'Failed to delete video');
+    }
+}
+
+// Load the user's collections into the view picker
+async function loadCollections() {
+    if (!currentUser) return;
+
+    try {
+        const data = await libraryRequest('/api/collections', 'GET');
+        collections = data.collections;
+        displayCollections();
+    } catch (error) {
+        console.error('Failed to load collections:', error);
+    }
+}
+
+function displayCollections() {
+    const historyView = document.getElementById('historyView');
+    const deleteButton = document.getElementById('historyCollectionDelete');
+    if (!historyView) return;
+
+    // The collection being viewed may have been deleted elsewhere
+    if (!['', 'favorites'].includes(historyFilters.view) && !collections.some(c => c.id === historyFilters.view)) {
+        historyFilters.view = '';
+    }
+
+    historyView.innerHTML = `
+        <option value="">All videos</option>
+        <option value="favorites">★ Favorites</option>
+        ${collections.map(c => `<option value="${c.id}">📁 ${escapeHtml(c.name)} (${c.itemCount})</option>`).join('')}
+        <option value="new">＋ New collection…</option>
+    `;
+    historyView.value = historyFilters.view;
+
+    if (deleteButton) deleteButton.classList.toggle('hidden', ['', 'favorites'].includes(historyFilters.view));
+}
+
+async function createCollection() {
+    const name = prompt('Name your new collection');
+    if (!name || !name.trim()) return;
+
+    try {
+        const { collection } = await libraryRequest('/api/collections', 'POST', { name });
+        collections.push({ ...collection, itemCount: 0 });
+        historyFilters.view = collection.id;
+        displayCollections();
+        loadHistory();
+    } catch (error) {
+        showError(error.message || 'Failed to create collection');
+    }
+}
+
+// Delete the collection being viewed (its videos stay in the library)
+async function deleteCurrentCollection() {
+    const collection = collections.find(c => c.id === historyFilters.view);
+    if (!collection || !confirm(`Delete the collection "${collection.name}"? Its videos are kept.`)) return;
+
+    try {
+        await libraryRequest(`/api/collections?collectionId=${encodeURIComponent(collection.id)}`, 'DELETE');
+        collections = collections.filter(c => c.id !== collection.id);
+        historyFilters.view = '';
+        displayCollections();
+        loadHistory();
+    } catch (error) {
+        showError(error.message || 'Failed to delete collection');
+    }
+}
+
+async function toggleFavorite(gen) {
+    try {
+        const { generation } = await libraryRequest(
+            gen.isFavorite ? `/api/favorites?generationId=${encodeURIComponent(gen.id)}` : '/api/favorites',
+            gen.isFavorite ? 'DELETE' : 'POST',
+            gen.isFavorite ? null : { generationId: gen.id }
+        );
+        gen.isFavorite = generation.isFavorite;
+
+        // Unfavorited while viewing favorites: it no longer belongs in the list
+        if (historyFilters.view === 'favorites' && !gen.isFavorite) {
+            generations = generations.filter(item => item.id !== gen.id);
+            historyTotal = Math.max(0, historyTotal - 1);
+        }
+        displayGenerations();
+    } catch (error) {
+        showError(error.message || 'Failed to update favorites');
+    }
+}
+
+async function addToCollection(gen, collectionId) {
+    const collection = collections.find(c => c.id === collectionId);
+    if (!collection) return;
+
+    try {
+        const { added } = await libraryRequest('/api/collection-items', 'POST', { collectionId, generationIds: [gen.id] });
+        if (added) {
+            gen.collectionIds = [...(gen.collectionIds || []), collectionId];
+            collection.itemCount += added;
+            displayCollections();
+        }
+        showSuccess(`Added to ${collection.name}`);
+        displayGenerations();
+    } catch (error) {
+        showError(error.message || 'Failed to add to collection');
+    }
+}
+
+async function removeFromCollection(gen, collectionId) {
+    try {
+        await libraryRequest(
+            `/api/collection-items?collectionId=${encodeURIComponent(collectionId)}&generationId=${encodeURIComponent(gen.id)}`,
+            'DELETE'
+        );
+        const collection = collections.find(c => c.id === collectionId);
+        if (collection) collection.itemCount = Math.max(0, collection.itemCount - 1);
+        generations = generations.filter(item => item.id !== gen.id);
+        historyTotal = Math.max(0, historyTotal - 1);
+        displayCollections();
+        displayGenerations();
+    } catch (error) {
+        showError(error.message || 'Failed to remove from collection');
+    }
+}
+
+// Favorite / collection / delete / restore actions for a history item
+function historyActions(gen) {
+    if (gen.deletedAt) {
+        return `
+            <button class="history-action" data-action="restore">♻️ Restore</button>
+            <button class="history-action danger" data-action="forever">Delete forever</button>
+        `;
+    }
+
+    const inCollection = !['', 'favorites'].includes(historyFilters.view);
+    const available = collections.filter(c => !(gen.collectionIds || []).includes(c.id));
+    const favorite = `<button class="history-action${gen.isFavorite ? ' active' : ''}" data-action="favorite" title="${gen.isFavorite ? 'Remove from favorites' : 'Add to favorites'}">${gen.isFavorite ? '★' : '☆'}</button>`;
+    const collect = inCollection
+        ? '<button class="history-action" data-action="uncollect" title="Remove from this collection">📁 Remove</button>'
+        : available.length
+            ? `<select class="history-action" data-action="collect" title="Add to collection">
+                <option value="">📁</option>
+                ${available.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('')}
+            </select>`
+            : '';
+    const trash = ACTIVE_STATUSES.includes(gen.status)
+        ? ''
+        : '<button class="history-action" data-action="delete" title="Move to trash">🗑️</button>';
+
+    return favorite + collect + trash;
+}
+
 // Display generations
 function displayGenerations() {
     const historyContainer = document.getElementById('historyContainer');
     const historyList = document.getElementById('historyList');
+    const historyCount = document.getElementById('historyCount');
+    const historyMore = document.getElementById('historyMore');
 
     if (!historyContainer || !historyList) return;
 
-    if (generations.length === 0) {
+    const inTrash = historyFilters.status === 'trash';
+    const filtered = Boolean(historyFilters.q || historyFilters.status || historyFilters.view);
+    if (historyTotal === 0 && !filtered) {
         historyContainer.classList.add('hidden');
         return;
     }
@@ -369,29 +819,60 @@ function displayGenerations() {
     historyContainer.classList.remove('hidden');
     historyList.innerHTML = '';
 
-    // Show only the 5 most recent completed generations
-    const recentGenerations = generations
-        .filter(gen => gen.videoUrl)
-        .slice(0, 5);
+    if (generations.length === 0) {
+        const empty = inTrash ? 'Trash is empty'
+            : historyFilters.q || historyFilters.status ? 'No generations match your search'
+            : historyFilters.view === 'favorites' ? 'No favorites yet - tap ☆ on a video'
+            : historyFilters.view ? 'This collection is empty'
+            : 'No generations match your search';
+        historyList.innerHTML = `<div class="history-empty">${empty}</div>`;
+    }
 
-    recentGenerations.forEach(gen => {
+    generations.forEach(gen => {
         const item = document.createElement('div');
-        item.className = 'history-item';
-        item.innerHTML = `
-            <div class="history-prompt">${escapeHtml(gen.prompt)}</div>
-            <div class="history-meta">
-                <span class="history-tier">${gen.tier === 'free' ? '🎬 Free' : '⭐ Pro'}</span>
-                <span class="history-time">${formatTime(gen.createdAt)}</span>
-            </div>
-        `;
-        item.addEventListener('click', () => {
-            if (gen.videoUrl) {
+
+        if (gen.trashed) {
+            item.className = 'history-item trashed';
+            item.innerHTML = `
+                <span class="history-time">Moved to trash</span>
+                <button class="history-action" data-action="restore">Undo</button>
+            `;
+        } else {
+            const daysLeft = gen.purgeAt ? Math.max(0, Math.ceil((new Date(gen.purgeAt) - new Date()) / (1000 * 60 * 60 * 24))) : null;
+            item.className = 'history-item';
+            item.innerHTML = `
+                <div class="history-prompt">${escapeHtml(gen.prompt)}</div>
+                <div class="history-meta">
+                    <span class="history-tier">${gen.tier === 'free' ? '🎬 Free' : '⭐ Pro'}${STATUS_LABELS[gen.status] ? ` • ${STATUS_LABELS[gen.status]}` : ''}</span>
+                    <span class="history-time">${inTrash ? `Deleted forever in ${daysLeft}d` : formatTime(gen.createdAt)}</span>
+                    <span class="history-actions">${historyActions(gen)}</span>
+                </div>
+            `;
+        }
+
+        item.querySelector('select[data-action="collect"]')?.addEventListener('change', (e) => {
+            if (e.target.value) addToCollection(gen, e.target.value);
+        });
+
+        item.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'collect') return;
+            if (action === 'favorite') return toggleFavorite(gen);
+            if (action === 'uncollect') return removeFromCollection(gen, historyFilters.view);
+            if (action === 'delete') return deleteGeneration(gen.id);
+            if (action === 'restore') return restoreGeneration(gen.id);
+            if (action === 'forever') return deleteGenerationForever(gen.id);
+
+            if (gen.videoUrl && !gen.trashed && !gen.deletedAt) {
                 currentVideoUrl = gen.videoUrl;
                 displayVideo(gen.videoUrl, gen.tier === 'free');
             }
         });
         historyList.appendChild(item);
     });
+
+    if (historyCount) historyCount.textContent = `Showing ${generations.filter(gen => !gen.trashed).length} of ${historyTotal}`;
+    if (historyMore) historyMore.classList.toggle('hidden', !historyCursor);
 }
 
 // Format time for display
@@ -468,22 +949,111 @@ function resetUI() {
 }
 
 // Handle upgrade
-function handleUpgrade() {
-    alert(`🌟 Upgrade to Pro - Coming Soon!
+async function handleUpgrade(tier = 'pro') {
+    if (!currentUser) {
+        showError('User not initialized. Please refresh the page.');
+        return;
+    }
+
+    // Subscribers change or cancel their plan in the Stripe billing portal;
+    // free users and signup trials go through checkout
+    const hasSubscription = currentUser.tier && currentUser.tier !== 'free' && currentUser.subscriptionStatus !== 'trialing';
+    const plan = getPlan(tier);
+
+    if (!hasSubscription && !confirm(`🌟 Upgrade to ${plan.name} for $${plan.price}/month?\n\n• ${(plan.features || []).join('\n• ')}`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/${hasSubscription ? 'billing-portal' : 'checkout'}`, {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ tier })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok || !data.url) {
+            throw new Error(data.message || data.error || 'Billing is unavailable right now');
+        }
+
+        window.location.href = data.url;
+    } catch (error) {
+        console.error('Upgrade error:', error);
+        showError(error.message);
+    }
+}
+
+// Redeem a promo code (bonus credits, trial days or a temporary plan)
+async function redeemPromoCode() {
+    const promoInput = document.getElementById('promoInput');
+    const redeemButton = document.getElementById('redeemButton');
+    const code = promoInput?.value.trim();
+
+    if (!code) {
+        showError('Please enter a promo code');
+        return;
+    }
+
+    if (!currentUser) {
+        showError('User not initialized. Please refresh the page.');
+        return;
+    }
+
+    if (redeemButton) redeemButton.disabled = true;
 
-Features:
-• 120 HD clips per month
-• 30-second max length
-• 1080p quality
-• No ads
-• Priority processing
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/redeem`, {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ code })
+        });
 
-Only $4.99/month
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || data.error || 'Could not redeem code');
+        }
+
+        currentUser.tier = data.tier;
+        currentUser.creditBalance = data.creditBalance;
+        if (data.tierGranted) {
+            currentUser.subscriptionStatus = 'trialing';
+            currentUser.subscriptionEndsAt = data.accessEndsAt;
+        }
+        updateUserStats();
+        if (promoInput) promoInput.value = '';
+
+        const rewards = [];
+        if (data.creditsGranted) rewards.push(`+${data.creditsGranted} credits`);
+        if (data.tierGranted) {
+            rewards.push(`${getPlan(data.tierGranted).name} until ${new Date(data.accessEndsAt).toLocaleDateString()}`);
+        }
+        showSuccess(`🎟️ Code ${data.code} applied: ${rewards.join(', ')}`);
+    } catch (error) {
+        console.error('Redeem error:', error);
+        showError(error.message);
+    } finally {
+        if (redeemButton) redeemButton.disabled = false;
+    }
+}
+
+// Show the result of a Stripe checkout redirect
+function handleCheckoutReturn() {
+    const params = new URLSearchParams(window.location.search);
+    const checkout = params.get('checkout');
+    if (!checkout) return;
+
+    if (checkout === 'success') {
+        showSuccess('🎉 Subscription active! Your new plan is ready.');
+    } else if (checkout === 'cancelled') {
+        showError('Checkout cancelled - you have not been charged.');
+    }
 
-Stay tuned for the launch!`);
+    // Drop the query string so a refresh doesn't repeat the message
+    window.history.replaceState({}, '', window.location.pathname);
 }
 
-// Show error
 function showError(message) {
     const errorContainer = document.getElementById('errorContainer');
     const errorMessage = document.getElementById('errorMessage');
@@ -513,7 +1083,11 @@ function escapeHtml(text) {
 // Expose functions to global scope for inline onclick handlers
 window.selectTier = selectTier;
 window.generateVideo = generateVideo;
+window.cancelGeneration = cancelGeneration;
 window.downloadVideo = downloadVideo;
 window.shareVideo = shareVideo;
 window.resetUI = resetUI;
 window.handleUpgrade = handleUpgrade;
+window.redeemPromoCode = redeemPromoCode;
+window.loadMoreHistory = loadMoreHistory;
+window.deleteCurrentCollection = deleteCurrentCollection;
@@ -21,6 +21,16 @@ CREATE EXTENSION IF NOT EXISTS "pgcrypto";
 -- CLEAN UP (Optional - Remove existing tables)
 -- ============================================
 -- Uncomment these lines if you want to drop existing tables
+-- DROP TABLE IF EXISTS collection_items CASCADE;
+-- DROP TABLE IF EXISTS collections CASCADE;
+-- DROP TABLE IF EXISTS user_devices CASCADE;
+-- DROP TABLE IF EXISTS user_audit_log CASCADE;
+-- DROP TABLE IF EXISTS referrals CASCADE;
+-- DROP TABLE IF EXISTS promo_redemptions CASCADE;
+-- DROP TABLE IF EXISTS promo_codes CASCADE;
+-- DROP TABLE IF EXISTS credit_ledger CASCADE;
+-- DROP TABLE IF EXISTS quota_reservations CASCADE;
+-- DROP TABLE IF EXISTS idempotency_keys CASCADE;
 -- DROP TABLE IF EXISTS app_events CASCADE;
 -- DROP TABLE IF EXISTS user_sessions CASCADE;
 -- DROP TABLE IF EXISTS webhook_logs CASCADE;
@@ -41,6 +51,8 @@ CREATE TABLE IF NOT EXISTS users (
     -- Authentication
     auth_provider TEXT DEFAULT 'anonymous' CHECK (auth_provider IN ('anonymous', 'google', 'apple', 'email', 'github')),
     auth_provider_id TEXT,
+    auth_user_id UUID UNIQUE REFERENCES auth.users(id) ON DELETE SET NULL,  -- Supabase Auth account (NULL = anonymous device user)
+    device_token_issued_at TIMESTAMPTZ,  -- When POST /api/user issued the device token (NULL = never, registered before device tokens)
     
     -- Profile data (from OAuth)
     full_name TEXT,
@@ -62,8 +74,6 @@ CREATE TABLE IF NOT EXISTS users (
     subscription_ends_at TIMESTAMPTZ,
     
     -- Usage tracking (monthly)
-    free_used INTEGER DEFAULT 0 CHECK (free_used >= 0),
-    paid_used INTEGER DEFAULT 0 CHECK (paid_used >= 0),
     total_videos_generated INTEGER DEFAULT 0,
     total_videos_downloaded INTEGER DEFAULT 0,
     resets_at DATE DEFAULT (date_trunc('month', CURRENT_TIMESTAMP) + INTERVAL '1 month')::DATE,
@@ -71,8 +81,8 @@ CREATE TABLE IF NOT EXISTS users (
     -- Referral system
     referral_code TEXT UNIQUE,
     referred_by TEXT,
-    referral_count INTEGER DEFAULT 0,
-    referral_rewards_claimed INTEGER DEFAULT 0,
+    referral_count INTEGER DEFAULT 0,  -- Accepted referrals (see referrals table)
+    referral_rewards_claimed INTEGER DEFAULT 0,  -- Referrals that earned their reward
     
     -- API key rotation index
     rotation_index INTEGER DEFAULT 0,
@@ -87,7 +97,7 @@ CREATE TABLE IF NOT EXISTS users (
     notifications_enabled BOOLEAN DEFAULT true,
     marketing_emails_enabled BOOLEAN DEFAULT true,
     dark_mode BOOLEAN DEFAULT true,
-    preferred_quality TEXT DEFAULT '1080p',
+    preferred_quality TEXT DEFAULT '720p',
     preferred_aspect_ratio TEXT DEFAULT '9:16',
     
     -- Onboarding
@@ -104,6 +114,8 @@ CREATE TABLE IF NOT EXISTS users (
     device_model TEXT,
     app_version TEXT,
     os_version TEXT,
+    signup_ip TEXT,
+    last_ip TEXT,
     
     -- Timestamps
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
@@ -120,6 +132,49 @@ CREATE INDEX IF NOT EXISTS idx_users_referred_by ON users(referred_by);
 CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_users_resets_at ON users(resets_at);
 
+-- ============================================
+-- API KEYS TABLE
+-- Provider API keys with rotation and rate limiting
+-- ============================================
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider TEXT NOT NULL CHECK (provider IN ('fal', 'replicate', 'piapi', 'minimax', 'luma')),
+    key_value TEXT NOT NULL,
+    key_name TEXT,
+    
+    -- Status
+    is_active BOOLEAN DEFAULT true,
+    is_primary BOOLEAN DEFAULT false,
+    
+    -- Usage tracking
+    free_credits_remaining INTEGER DEFAULT 0,
+    total_requests INTEGER DEFAULT 0,
+    successful_requests INTEGER DEFAULT 0,
+    failed_requests INTEGER DEFAULT 0,
+    
+    -- Rate limiting
+    requests_per_minute INTEGER DEFAULT 60,
+    requests_per_day INTEGER DEFAULT 1000,
+    current_minute_requests INTEGER DEFAULT 0,
+    current_day_requests INTEGER DEFAULT 0,
+    rate_limit_reset_at TIMESTAMPTZ,
+    
+    -- Error tracking
+    last_error TEXT,
+    last_error_at TIMESTAMPTZ,
+    consecutive_errors INTEGER DEFAULT 0,
+    last_error_status INTEGER,
+    disabled_reason TEXT,
+    
+    -- Timestamps
+    last_used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_provider ON api_keys(provider);
+CREATE INDEX IF NOT EXISTS idx_api_keys_active ON api_keys(is_active);
+CREATE INDEX IF NOT EXISTS idx_api_keys_provider_active ON api_keys(provider, is_active);
+
 -- ============================================
 -- GENERATIONS TABLE
 -- Video generation tasks and results (async pattern)
@@ -133,6 +188,10 @@ CREATE TABLE IF NOT EXISTS generations (
     -- Generation input
     prompt TEXT NOT NULL,
     negative_prompt TEXT,
+    prompt_search TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', coalesce(prompt, ''))) STORED,  -- History search (see api/history.js)
+    mode TEXT DEFAULT 'text-to-video' CHECK (mode IN ('text-to-video', 'image-to-video')),
+    source_image_url TEXT,   -- Public URL of the stored reference image (image-to-video)
+    source_image_path TEXT,  -- Object path in the reference-images storage bucket
     
     -- Configuration
     tier TEXT DEFAULT 'free' CHECK (tier IN ('free', 'basic', 'pro', 'enterprise')),
@@ -140,7 +199,7 @@ CREATE TABLE IF NOT EXISTS generations (
     provider TEXT CHECK (provider IN ('fal', 'wan', 'luma', 'minimax', 'replicate', 'piapi', NULL)),
     aspect_ratio TEXT DEFAULT '9:16',
     duration INTEGER DEFAULT 10,
-    resolution TEXT DEFAULT '768p',
+    resolution TEXT DEFAULT '720p',
     
     -- Results
     video_url TEXT,
@@ -148,12 +207,20 @@ CREATE TABLE IF NOT EXISTS generations (
     preview_url TEXT,
     file_size INTEGER,
     actual_duration DECIMAL(10, 2),
+    video_path TEXT,  -- Object path of our re-hosted copy (NULL = still the provider URL)
+    video_storage TEXT CHECK (video_storage IN ('supabase', 's3')),  -- Backend holding video_path
+    video_rehost_attempts INTEGER DEFAULT 0,
+    video_rehost_error TEXT,
+    
+    -- Provider key the task was created with (NULL = env var key)
+    api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
     
     -- Status tracking (for async polling)
     status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'queued', 'processing', 'completed', 'failed', 'cancelled')),
     error TEXT,
     error_code TEXT,
-    retry_count INTEGER DEFAULT 0,
+    retry_count INTEGER DEFAULT 0,  -- Cross-provider resubmissions after a failed render
+    attempted_providers TEXT[] DEFAULT '{}',  -- Every provider this generation has been sent to
     
     -- Cost tracking
     cost DECIMAL(10, 6) DEFAULT 0,
@@ -169,11 +236,14 @@ CREATE TABLE IF NOT EXISTS generations (
     shared_count INTEGER DEFAULT 0,
     download_count INTEGER DEFAULT 0,
     view_count INTEGER DEFAULT 0,
+    is_favorite BOOLEAN DEFAULT FALSE,
     
     -- Timestamps
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
     started_at TIMESTAMPTZ,
-    completed_at TIMESTAMPTZ
+    completed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,  -- Library sync cursor (see api/library.js)
+    deleted_at TIMESTAMPTZ  -- In the trash since; purged after the retention window (see api/_lib/trash.js)
 );
 
 -- Indexes for generations table
@@ -186,46 +256,254 @@ CREATE INDEX IF NOT EXISTS idx_generations_provider ON generations(provider);
 CREATE INDEX IF NOT EXISTS idx_generations_user_status ON generations(user_id, status);
 
 -- ============================================
--- API KEYS TABLE
--- Provider API keys with rotation and rate limiting
+-- PROVIDER HEALTH TABLE
+-- Per-provider circuit breaker shared by all serverless invocations
 -- ============================================
-CREATE TABLE IF NOT EXISTS api_keys (
+CREATE TABLE IF NOT EXISTS provider_health (
+    provider TEXT PRIMARY KEY,  -- Adapter key (fal, wan, luma)
+    
+    -- Breaker state: closed = normal, open = skipped, half_open = one probe allowed
+    state TEXT DEFAULT 'closed' CHECK (state IN ('closed', 'open', 'half_open')),
+    consecutive_failures INTEGER DEFAULT 0,
+    opened_at TIMESTAMPTZ,
+    probe_started_at TIMESTAMPTZ,
+    
+    -- Last outcome
+    last_error TEXT,
+    last_failure_at TIMESTAMPTZ,
+    last_success_at TIMESTAMPTZ,
+    
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- IDEMPOTENCY KEYS TABLE
+-- Idempotency-Key headers seen by POST /api/generate, per user
+-- ============================================
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key TEXT NOT NULL,
+    
+    -- Hash of the request body, so a reused key with a different request is rejected
+    request_hash TEXT NOT NULL,
+    
+    -- in_progress while the first request runs, completed once its response is stored
+    status TEXT DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+    generation_id UUID REFERENCES generations(id) ON DELETE SET NULL,
+    response_status INTEGER,
+    response_body JSONB,
+    
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMPTZ NOT NULL,
+    
+    PRIMARY KEY (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+-- ============================================
+-- QUOTA RESERVATIONS TABLE
+-- One usage charge per generation (reserve -> commit, or refund exactly once)
+-- ============================================
+CREATE TABLE IF NOT EXISTS quota_reservations (
+    generation_id UUID PRIMARY KEY,  -- Reserved before the generation row exists
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    
+    usage_counter TEXT NOT NULL CHECK (usage_counter IN ('free', 'paid')),  -- free_used or paid_used
+    credits INTEGER DEFAULT 1,  -- Credits debited for the generation
+    status TEXT DEFAULT 'reserved' CHECK (status IN ('reserved', 'committed', 'refunded')),
+    
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    committed_at TIMESTAMPTZ,
+    refunded_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_quota_reservations_user_id ON quota_reservations(user_id);
+CREATE INDEX IF NOT EXISTS idx_quota_reservations_status ON quota_reservations(status, created_at);
+
+-- ============================================
+-- CREDIT LEDGER TABLE
+-- Append-only record of every credit movement; balances and the
+-- free_used / paid_used figures are derived from it (user_credit_usage view)
+-- ============================================
+CREATE TABLE IF NOT EXISTS credit_ledger (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    provider TEXT NOT NULL CHECK (provider IN ('fal', 'replicate', 'piapi', 'minimax', 'luma')),
-    key_value TEXT NOT NULL,
-    key_name TEXT,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     
-    -- Status
+    -- grant/refund add credits, debit/expiry remove them (amount is signed)
+    entry_type TEXT NOT NULL CHECK (entry_type IN ('grant', 'debit', 'refund', 'expiry')),
+    amount INTEGER NOT NULL,
+    reason TEXT NOT NULL,  -- monthly_allowance, generation, generation_refund, promo_code, ...
+    
+    generation_id UUID,  -- Debits and refunds; no FK, the debit is written before the generation row
+    usage_counter TEXT CHECK (usage_counter IN ('free', 'paid')),  -- Plan bucket a debit counts against
+    period_start DATE,  -- Credit period the entry belongs to
+    expires_at TIMESTAMPTZ,  -- Grants: when unused credits lapse
+    metadata JSONB,
+    
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_user_id ON credit_ledger(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_user_period ON credit_ledger(user_id, period_start);
+-- A generation is debited once and refunded at most once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_ledger_generation_entry
+    ON credit_ledger(generation_id, entry_type)
+    WHERE generation_id IS NOT NULL AND entry_type IN ('debit', 'refund');
+
+-- ============================================
+-- PROMO CODES TABLE
+-- Marketing codes granting bonus credits and/or temporary access to a tier
+-- ============================================
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code TEXT UNIQUE NOT NULL CHECK (code = UPPER(code)),  -- Stored uppercase, matched case-insensitively
+    description TEXT,
+    
+    -- Rewards (any combination)
+    bonus_credits INTEGER DEFAULT 0 CHECK (bonus_credits >= 0),  -- Added to the credit ledger, don't expire monthly
+    trial_days INTEGER DEFAULT 0 CHECK (trial_days >= 0),  -- Days of access to tier (trialing)
+    tier TEXT CHECK (tier IN ('basic', 'pro', 'enterprise')),  -- NULL = current trial or the signup trial plan
+    
+    -- Limits
+    max_redemptions INTEGER CHECK (max_redemptions > 0),  -- NULL = unlimited
+    redemption_count INTEGER DEFAULT 0,
+    starts_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMPTZ,
     is_active BOOLEAN DEFAULT true,
-    is_primary BOOLEAN DEFAULT false,
     
-    -- Usage tracking
-    free_credits_remaining INTEGER DEFAULT 0,
-    total_requests INTEGER DEFAULT 0,
-    successful_requests INTEGER DEFAULT 0,
-    failed_requests INTEGER DEFAULT 0,
+    -- Campaign attribution (matches users.utm_campaign)
+    utm_campaign TEXT,
     
-    -- Rate limiting
-    requests_per_minute INTEGER DEFAULT 60,
-    requests_per_day INTEGER DEFAULT 1000,
-    current_minute_requests INTEGER DEFAULT 0,
-    current_day_requests INTEGER DEFAULT 0,
-    rate_limit_reset_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_codes_campaign ON promo_codes(utm_campaign);
+
+-- ============================================
+-- PROMO REDEMPTIONS TABLE
+-- One row per user per code (codes are single use per user)
+-- ============================================
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    promo_code_id UUID NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     
-    -- Error tracking
-    last_error TEXT,
-    last_error_at TIMESTAMPTZ,
-    consecutive_errors INTEGER DEFAULT 0,
-    disabled_reason TEXT,
+    credits_granted INTEGER DEFAULT 0,
+    tier_granted TEXT,
+    access_ends_at TIMESTAMPTZ,
+    utm_campaign TEXT,
+    
+    redeemed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE(promo_code_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_user_id ON promo_redemptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_campaign ON promo_redemptions(utm_campaign);
+
+-- ============================================
+-- REFERRALS TABLE
+-- Links a referee to the referrer whose code they signed up with.
+-- Rewards are granted once the referee completes a first generation.
+-- ============================================
+CREATE TABLE IF NOT EXISTS referrals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    referrer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    referee_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,  -- Referred at most once
+    referral_code TEXT NOT NULL,
+    
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'rewarded', 'rejected')),
+    rejection_reason TEXT,  -- same_device, same_ip
+    
+    -- Signup fingerprint of the referee, checked against the referrer and earlier referrals
+    referee_device_id TEXT,
+    referee_ip TEXT,
+    
+    referrer_credits INTEGER DEFAULT 0,  -- Credits granted when rewarded
+    referee_credits INTEGER DEFAULT 0,
+    
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    rewarded_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer_id ON referrals(referrer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_referrals_status ON referrals(status);
+
+-- ============================================
+-- USER AUDIT LOG TABLE
+-- One row per change to a privileged users field (tier, subscription,
+-- billing ids, identity, referral counters). Written by the
+-- audit_privileged_user_changes trigger, whatever made the change.
+-- ============================================
+CREATE TABLE IF NOT EXISTS user_audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,  -- Kept after the user is deleted
+    
+    field TEXT NOT NULL,
+    old_value JSONB,
+    new_value JSONB,
+    
+    actor TEXT NOT NULL,  -- stripe, system, admin:<name>, user:<id>, promo:<code>, db:<role>
+    reason TEXT,
     
-    -- Timestamps
-    last_used_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
 );
 
-CREATE INDEX IF NOT EXISTS idx_api_keys_provider ON api_keys(provider);
-CREATE INDEX IF NOT EXISTS idx_api_keys_active ON api_keys(is_active);
-CREATE INDEX IF NOT EXISTS idx_api_keys_provider_active ON api_keys(provider, is_active);
+CREATE INDEX IF NOT EXISTS idx_user_audit_log_user_id ON user_audit_log(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_user_audit_log_field ON user_audit_log(field, created_at DESC);
+
+-- ============================================
+-- USER DEVICES TABLE
+-- Devices an account is used on (web and mobile). A device belongs to one
+-- account at a time; linking a guest account moves its devices over.
+-- ============================================
+CREATE TABLE IF NOT EXISTS user_devices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_id TEXT UNIQUE NOT NULL,
+    
+    device_platform TEXT CHECK (device_platform IN ('ios', 'android', 'web', NULL)),
+    device_model TEXT,
+    os_version TEXT,
+    app_version TEXT,
+    last_ip TEXT,
+    
+    linked_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_devices_user_id ON user_devices(user_id, last_seen_at DESC);
+
+-- ============================================
+-- COLLECTIONS TABLES
+-- Named, ordered groups of a user's generations. A generation can be in
+-- any number of collections; deleting a collection keeps its generations.
+-- ============================================
+CREATE TABLE IF NOT EXISTS collections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 60),
+    position INTEGER NOT NULL DEFAULT 0,  -- Order in the user's collection list
+    
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_collections_user_id ON collections(user_id, position);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_collections_user_name ON collections(user_id, lower(name));
+
+CREATE TABLE IF NOT EXISTS collection_items (
+    collection_id UUID NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+    generation_id UUID NOT NULL REFERENCES generations(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,  -- Order inside the collection
+    added_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (collection_id, generation_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_collection_items_position ON collection_items(collection_id, position);
+CREATE INDEX IF NOT EXISTS idx_collection_items_generation ON collection_items(generation_id);
 
 -- ============================================
 -- WEBHOOK LOGS TABLE
@@ -324,6 +602,17 @@ ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
 ALTER TABLE webhook_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE app_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE provider_health ENABLE ROW LEVEL SECURITY;
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE quota_reservations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE credit_ledger ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promo_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promo_redemptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE referrals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_devices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE collection_items ENABLE ROW LEVEL SECURITY;
 
 -- Allow service role full access (for Vercel serverless functions)
 -- These policies allow the Supabase service key to access all data
@@ -351,6 +640,50 @@ DROP POLICY IF EXISTS "Service role has full access to app_events" ON app_events
 CREATE POLICY "Service role has full access to app_events"
     ON app_events FOR ALL USING (true) WITH CHECK (true);
 
+DROP POLICY IF EXISTS "Service role has full access to provider_health" ON provider_health;
+CREATE POLICY "Service role has full access to provider_health"
+    ON provider_health FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Service role has full access to idempotency_keys" ON idempotency_keys;
+CREATE POLICY "Service role has full access to idempotency_keys"
+    ON idempotency_keys FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Service role has full access to quota_reservations" ON quota_reservations;
+CREATE POLICY "Service role has full access to quota_reservations"
+    ON quota_reservations FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Service role has full access to credit_ledger" ON credit_ledger;
+CREATE POLICY "Service role has full access to credit_ledger"
+    ON credit_ledger FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Service role has full access to promo_codes" ON promo_codes;
+CREATE POLICY "Service role has full access to promo_codes"
+    ON promo_codes FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Service role has full access to promo_redemptions" ON promo_redemptions;
+CREATE POLICY "Service role has full access to promo_redemptions"
+    ON promo_redemptions FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Service role has full access to referrals" ON referrals;
+CREATE POLICY "Service role has full access to referrals"
+    ON referrals FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Service role has full access to user_audit_log" ON user_audit_log;
+CREATE POLICY "Service role has full access to user_audit_log"
+    ON user_audit_log FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Service role has full access to user_devices" ON user_devices;
+CREATE POLICY "Service role has full access to user_devices"
+    ON user_devices FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Service role has full access to collections" ON collections;
+CREATE POLICY "Service role has full access to collections"
+    ON collections FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Service role has full access to collection_items" ON collection_items;
+CREATE POLICY "Service role has full access to collection_items"
+    ON collection_items FOR ALL USING (true) WITH CHECK (true);
+
 -- ============================================
 -- HELPER FUNCTIONS
 -- ============================================
@@ -388,54 +721,815 @@ CREATE TRIGGER trigger_set_referral_code
     FOR EACH ROW
     EXECUTE FUNCTION set_referral_code();
 
--- Reset monthly free usage (call this with a cron job)
+-- First day of the credit period a user is in (periods end at resets_at)
+CREATE OR REPLACE FUNCTION credit_period_start(period_resets_at DATE)
+RETURNS DATE AS $$
+    SELECT (period_resets_at - INTERVAL '1 month')::DATE;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Move a user into the current credit period if theirs has ended
+-- Expires what is left of the old period's monthly allowance (bonus grants
+-- carry over), then advances resets_at. Caller must hold the user row lock.
+CREATE OR REPLACE FUNCTION roll_credit_period(target_user_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+    account users%ROWTYPE;
+    old_period DATE;
+    allowance_left INTEGER;
+    balance INTEGER;
+BEGIN
+    SELECT * INTO account FROM users WHERE id = target_user_id;
+    IF NOT FOUND OR account.resets_at IS NULL OR account.resets_at > CURRENT_DATE THEN
+        RETURN false;
+    END IF;
+    
+    old_period := credit_period_start(account.resets_at);
+    
+    -- Allowance granted for the old period minus what was spent in it
+    SELECT COALESCE(SUM(amount) FILTER (WHERE entry_type = 'grant' AND reason = 'monthly_allowance'), 0)
+         + COALESCE(SUM(amount) FILTER (WHERE entry_type IN ('debit', 'refund')), 0)
+    INTO allowance_left
+    FROM credit_ledger
+    WHERE user_id = target_user_id AND period_start = old_period;
+    
+    SELECT COALESCE(SUM(amount), 0) INTO balance FROM credit_ledger WHERE user_id = target_user_id;
+    allowance_left := LEAST(allowance_left, balance);
+    
+    IF allowance_left > 0 THEN
+        INSERT INTO credit_ledger (user_id, entry_type, amount, reason, period_start)
+        VALUES (target_user_id, 'expiry', -allowance_left, 'monthly_allowance_expired', old_period);
+    END IF;
+    
+    UPDATE users
+    SET resets_at = (date_trunc('month', CURRENT_TIMESTAMP) + INTERVAL '1 month')::DATE
+    WHERE id = target_user_id;
+    
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Top up the current period's monthly allowance grant to the plan's allowance
+-- (first use in a period, or an upgrade mid-period). Downgrades keep what
+-- was already granted. Returns the user's credit balance.
+CREATE OR REPLACE FUNCTION sync_credit_allowance(target_user_id UUID, period_allowance INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    account users%ROWTYPE;
+    granted INTEGER;
+    balance INTEGER;
+BEGIN
+    SELECT * INTO account FROM users WHERE id = target_user_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+    
+    IF roll_credit_period(target_user_id) THEN
+        SELECT * INTO account FROM users WHERE id = target_user_id;
+    END IF;
+    
+    IF period_allowance IS NOT NULL THEN
+        SELECT COALESCE(SUM(amount), 0) INTO granted
+        FROM credit_ledger
+        WHERE user_id = target_user_id
+          AND entry_type = 'grant'
+          AND reason = 'monthly_allowance'
+          AND period_start = credit_period_start(account.resets_at);
+        
+        IF granted < period_allowance THEN
+            INSERT INTO credit_ledger (user_id, entry_type, amount, reason, period_start, expires_at)
+            VALUES (target_user_id, 'grant', period_allowance - granted, 'monthly_allowance',
+                    credit_period_start(account.resets_at), account.resets_at);
+        END IF;
+    END IF;
+    
+    SELECT COALESCE(SUM(amount), 0) INTO balance FROM credit_ledger WHERE user_id = target_user_id;
+    RETURN balance;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Roll every user whose credit period has ended (call this with a cron job)
 CREATE OR REPLACE FUNCTION reset_monthly_free_usage()
 RETURNS INTEGER AS $$
 DECLARE
-    updated_count INTEGER;
+    due RECORD;
+    updated_count INTEGER := 0;
+BEGIN
+    FOR due IN SELECT id FROM users WHERE resets_at <= CURRENT_DATE FOR UPDATE LOOP
+        IF roll_credit_period(due.id) THEN
+            updated_count := updated_count + 1;
+        END IF;
+    END LOOP;
+    
+    RETURN updated_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Reserve the credits for a generation
+-- Locks the user row, rolls the credit period and tops up the allowance,
+-- checks the balance (period_allowance NULL = unlimited plan) and debits it
+-- in one transaction. Reserving the same generation twice is a no-op.
+DROP FUNCTION IF EXISTS reserve_quota(UUID, UUID, TEXT, INTEGER);
+CREATE OR REPLACE FUNCTION reserve_credits(target_user_id UUID, gen_id UUID, usage_counter TEXT, credits INTEGER, period_allowance INTEGER DEFAULT NULL)
+RETURNS TABLE(reserved BOOLEAN, credit_balance INTEGER) AS $$
+DECLARE
+    balance INTEGER;
+    period DATE;
+BEGIN
+    balance := sync_credit_allowance(target_user_id, period_allowance);
+    IF balance IS NULL THEN
+        RETURN QUERY SELECT false, 0;
+        RETURN;
+    END IF;
+    
+    IF EXISTS (SELECT 1 FROM quota_reservations qr WHERE qr.generation_id = gen_id) THEN
+        RETURN QUERY SELECT true, balance;
+        RETURN;
+    END IF;
+    
+    IF period_allowance IS NOT NULL AND balance < credits THEN
+        RETURN QUERY SELECT false, balance;
+        RETURN;
+    END IF;
+    
+    SELECT credit_period_start(u.resets_at) INTO period FROM users u WHERE u.id = target_user_id;
+    
+    INSERT INTO quota_reservations (generation_id, user_id, usage_counter, credits)
+    VALUES (gen_id, target_user_id, CASE WHEN usage_counter = 'free' THEN 'free' ELSE 'paid' END, credits);
+    
+    INSERT INTO credit_ledger (user_id, entry_type, amount, reason, generation_id, usage_counter, period_start)
+    VALUES (target_user_id, 'debit', -credits, 'generation', gen_id,
+            CASE WHEN usage_counter = 'free' THEN 'free' ELSE 'paid' END, period);
+    
+    RETURN QUERY SELECT true, balance - credits;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Confirm a reservation once the provider task and generation row exist
+-- final_credits lowers the debit to the actual cost of the provider that
+-- took the task (never raises it).
+DROP FUNCTION IF EXISTS commit_quota(UUID);
+CREATE OR REPLACE FUNCTION commit_quota(gen_id UUID, final_credits INTEGER DEFAULT NULL)
+RETURNS BOOLEAN AS $$
+DECLARE
+    reservation quota_reservations%ROWTYPE;
+BEGIN
+    UPDATE quota_reservations
+    SET 
+        status = 'committed',
+        committed_at = CURRENT_TIMESTAMP,
+        credits = LEAST(credits, COALESCE(final_credits, credits))
+    WHERE generation_id = gen_id AND status = 'reserved'
+    RETURNING * INTO reservation;
+    
+    IF NOT FOUND THEN
+        RETURN false;
+    END IF;
+    
+    UPDATE credit_ledger
+    SET amount = -reservation.credits
+    WHERE generation_id = gen_id AND entry_type = 'debit';
+    
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Re-price a generation after /api/poll resubmitted it to another provider
+-- Lowers the charge to final_credits (never raises it - resubmission only
+-- picks providers that cost at most what was charged) and returns the
+-- credits now debited, or NULL when there is no live charge to re-price.
+CREATE OR REPLACE FUNCTION reprice_quota(gen_id UUID, final_credits INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    reservation quota_reservations%ROWTYPE;
 BEGIN
+    UPDATE quota_reservations
+    SET credits = LEAST(credits, final_credits)
+    WHERE generation_id = gen_id AND status IN ('reserved', 'committed')
+    RETURNING * INTO reservation;
+    
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+    
+    UPDATE credit_ledger
+    SET amount = -reservation.credits
+    WHERE generation_id = gen_id AND entry_type = 'debit';
+    
+    RETURN reservation.credits;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Give a generation's credits back (failure, cancellation or abandoned reservation)
+-- Only the first call for a generation refunds; later calls return false.
+-- The refund lands in the debit's credit period, so a refund after the
+-- monthly reset doesn't add to the new month's allowance.
+CREATE OR REPLACE FUNCTION refund_quota(gen_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+    reservation quota_reservations%ROWTYPE;
+    debit credit_ledger%ROWTYPE;
+BEGIN
+    UPDATE quota_reservations
+    SET status = 'refunded', refunded_at = CURRENT_TIMESTAMP
+    WHERE generation_id = gen_id AND status IN ('reserved', 'committed')
+    RETURNING * INTO reservation;
+    
+    IF NOT FOUND THEN
+        RETURN false;
+    END IF;
+    
+    SELECT * INTO debit FROM credit_ledger WHERE generation_id = gen_id AND entry_type = 'debit';
+    IF NOT FOUND THEN
+        -- Reserved before the ledger existed - nothing was debited from it
+        RETURN true;
+    END IF;
+    
+    INSERT INTO credit_ledger (user_id, entry_type, amount, reason, generation_id, usage_counter, period_start)
+    VALUES (debit.user_id, 'refund', -debit.amount, 'generation_refund', gen_id, debit.usage_counter, debit.period_start);
+    
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Refund reservations whose request died before committing (call this with a cron job)
+CREATE OR REPLACE FUNCTION release_stale_quota_reservations(older_than_minutes INTEGER DEFAULT 10)
+RETURNS INTEGER AS $$
+DECLARE
+    stale RECORD;
+    released_count INTEGER := 0;
+BEGIN
+    FOR stale IN
+        SELECT generation_id FROM quota_reservations
+        WHERE status = 'reserved'
+          AND created_at < CURRENT_TIMESTAMP - make_interval(mins => older_than_minutes)
+    LOOP
+        IF refund_quota(stale.generation_id) THEN
+            released_count := released_count + 1;
+        END IF;
+    END LOOP;
+    
+    RETURN released_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Downgrade subscriptions whose access has ended (call this with a cron job)
+-- Mirrors api/_lib/subscriptions.js: trials and cancelled plans end at
+-- subscription_ends_at, active and past_due ones get a grace period after it.
+CREATE OR REPLACE FUNCTION expire_subscriptions(grace_days INTEGER DEFAULT 7)
+RETURNS INTEGER AS $$
+DECLARE
+    expired_count INTEGER;
+BEGIN
+    PERFORM set_audit_context('system', 'subscription_expired');
+    
     UPDATE users
     SET 
-        free_used = 0,
-        paid_used = 0,
-        resets_at = (date_trunc('month', CURRENT_TIMESTAMP) + INTERVAL '1 month')::DATE,
+        tier = 'free',
+        subscription_status = 'cancelled',
         updated_at = CURRENT_TIMESTAMP
-    WHERE resets_at <= CURRENT_DATE;
+    WHERE tier != 'free'
+      AND (
+        (subscription_status IN ('trialing', 'cancelled') AND subscription_ends_at <= CURRENT_TIMESTAMP)
+        OR (subscription_status = 'cancelled' AND subscription_ends_at IS NULL)
+        OR (subscription_status IN ('active', 'past_due')
+            AND subscription_ends_at + make_interval(days => grace_days) <= CURRENT_TIMESTAMP)
+      );
     
-    GET DIAGNOSTICS updated_count = ROW_COUNT;
-    RETURN updated_count;
+    GET DIAGNOSTICS expired_count = ROW_COUNT;
+    RETURN expired_count;
 END;
 $$ LANGUAGE plpgsql;
 
--- Get next active API key for a provider (with rotation)
-CREATE OR REPLACE FUNCTION get_active_key(provider_name TEXT)
-RETURNS TEXT AS $$
+-- Remove expired idempotency keys (call this with a cron job)
+CREATE OR REPLACE FUNCTION cleanup_idempotency_keys()
+RETURNS INTEGER AS $$
 DECLARE
-    key_val TEXT;
+    deleted_count INTEGER;
 BEGIN
-    SELECT key_value INTO key_val
-    FROM api_keys
-    WHERE provider = provider_name
-      AND is_active = true
-      AND consecutive_errors < 3
-    ORDER BY last_used_at NULLS FIRST, total_requests ASC
+    DELETE FROM idempotency_keys WHERE expires_at <= CURRENT_TIMESTAMP;
+    
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Reward a referral once the referee has completed a generation
+-- Grants both users their bonus credits and counts the reward on the
+-- referrer. The pending -> rewarded transition happens under a row lock,
+-- so concurrent completions reward once. Returns true if it rewarded.
+CREATE OR REPLACE FUNCTION grant_referral_reward(referee UUID, referrer_reward INTEGER, referee_reward INTEGER)
+RETURNS BOOLEAN AS $$
+DECLARE
+    referral referrals%ROWTYPE;
+BEGIN
+    SELECT * INTO referral FROM referrals
+    WHERE referee_id = referee AND status = 'pending'
+    FOR UPDATE;
+    
+    IF NOT FOUND THEN
+        RETURN false;
+    END IF;
+    
+    IF NOT EXISTS (SELECT 1 FROM generations WHERE user_id = referee AND status = 'completed') THEN
+        RETURN false;
+    END IF;
+    
+    UPDATE referrals
+    SET 
+        status = 'rewarded',
+        referrer_credits = referrer_reward,
+        referee_credits = referee_reward,
+        rewarded_at = CURRENT_TIMESTAMP
+    WHERE id = referral.id;
+    
+    IF referrer_reward > 0 THEN
+        INSERT INTO credit_ledger (user_id, entry_type, amount, reason, period_start, metadata)
+        SELECT referral.referrer_id, 'grant', referrer_reward, 'referral_reward',
+               credit_period_start(resets_at), jsonb_build_object('referral_id', referral.id)
+        FROM users WHERE id = referral.referrer_id;
+    END IF;
+    
+    IF referee_reward > 0 THEN
+        INSERT INTO credit_ledger (user_id, entry_type, amount, reason, period_start, metadata)
+        SELECT referee, 'grant', referee_reward, 'referral_welcome',
+               credit_period_start(resets_at), jsonb_build_object('referral_id', referral.id)
+        FROM users WHERE id = referee;
+    END IF;
+    
+    PERFORM set_audit_context('system', 'referral_reward');
+    
+    UPDATE users
+    SET referral_rewards_claimed = referral_rewards_claimed + 1
+    WHERE id = referral.referrer_id;
+    
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Redeem a promo code for a user
+-- Locks the code, re-checks active/window/cap/single use, then records the
+-- redemption, grants the bonus credits and (when access_tier is given) starts
+-- or extends a trial of access_tier by trial_days - all in one transaction.
+-- result: redeemed | inactive | expired | exhausted | already_redeemed
+CREATE OR REPLACE FUNCTION redeem_promo_code(target_user_id UUID, promo_id UUID, access_tier TEXT DEFAULT NULL)
+RETURNS TABLE(result TEXT, credits_granted INTEGER, tier_granted TEXT, access_ends_at TIMESTAMPTZ) AS $$
+DECLARE
+    promo promo_codes%ROWTYPE;
+    account users%ROWTYPE;
+    new_ends_at TIMESTAMPTZ;
+BEGIN
+    SELECT * INTO promo FROM promo_codes WHERE id = promo_id FOR UPDATE;
+    IF NOT FOUND OR NOT promo.is_active OR promo.starts_at > CURRENT_TIMESTAMP THEN
+        RETURN QUERY SELECT 'inactive'::TEXT, 0, NULL::TEXT, NULL::TIMESTAMPTZ;
+        RETURN;
+    END IF;
+    IF promo.expires_at IS NOT NULL AND promo.expires_at <= CURRENT_TIMESTAMP THEN
+        RETURN QUERY SELECT 'expired'::TEXT, 0, NULL::TEXT, NULL::TIMESTAMPTZ;
+        RETURN;
+    END IF;
+    SELECT * INTO account FROM users WHERE id = target_user_id FOR UPDATE;
+    
+    IF EXISTS (
+        SELECT 1 FROM promo_redemptions pr
+        WHERE pr.promo_code_id = promo_id AND pr.user_id = target_user_id
+    ) THEN
+        RETURN QUERY SELECT 'already_redeemed'::TEXT, 0, NULL::TEXT, NULL::TIMESTAMPTZ;
+        RETURN;
+    END IF;
+    
+    IF promo.max_redemptions IS NOT NULL AND promo.redemption_count >= promo.max_redemptions THEN
+        RETURN QUERY SELECT 'exhausted'::TEXT, 0, NULL::TEXT, NULL::TIMESTAMPTZ;
+        RETURN;
+    END IF;
+    
+    IF access_tier IS NOT NULL AND promo.trial_days > 0 THEN
+        -- Extend a running trial of the same tier, otherwise start from now
+        new_ends_at := CASE
+            WHEN account.tier = access_tier AND account.subscription_status = 'trialing'
+                 AND account.subscription_ends_at > CURRENT_TIMESTAMP
+            THEN account.subscription_ends_at
+            ELSE CURRENT_TIMESTAMP
+        END + make_interval(days => promo.trial_days);
+        
+        PERFORM set_audit_context('promo:' || promo.code, 'promo_trial');
+        
+        UPDATE users
+        SET 
+            tier = access_tier,
+            subscription_status = 'trialing',
+            subscription_ends_at = new_ends_at
+        WHERE id = target_user_id;
+    ELSE
+        access_tier := NULL;
+    END IF;
+    
+    IF promo.bonus_credits > 0 THEN
+        INSERT INTO credit_ledger (user_id, entry_type, amount, reason, period_start, metadata)
+        VALUES (target_user_id, 'grant', promo.bonus_credits, 'promo_code',
+                credit_period_start(account.resets_at),
+                jsonb_build_object('code', promo.code, 'utm_campaign', promo.utm_campaign));
+    END IF;
+    
+    INSERT INTO promo_redemptions (promo_code_id, user_id, credits_granted, tier_granted, access_ends_at, utm_campaign)
+    VALUES (promo_id, target_user_id, promo.bonus_credits, access_tier, new_ends_at, promo.utm_campaign);
+    
+    UPDATE promo_codes SET redemption_count = redemption_count + 1 WHERE id = promo_id;
+    
+    -- First-touch attribution: only users without a campaign pick up the code's
+    IF promo.utm_campaign IS NOT NULL THEN
+        UPDATE users SET utm_campaign = promo.utm_campaign
+        WHERE id = target_user_id AND utm_campaign IS NULL;
+    END IF;
+    
+    RETURN QUERY SELECT 'redeemed'::TEXT, promo.bonus_credits, access_tier, new_ends_at;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Privileged users fields: never user-editable, every change lands in
+-- user_audit_log. Keep in sync with PRIVILEGED_FIELDS in api/_lib/audit.js.
+CREATE OR REPLACE FUNCTION privileged_user_fields()
+RETURNS TEXT[] AS $$
+    SELECT ARRAY[
+        'tier', 'subscription_status', 'subscription_ends_at',
+        'stripe_customer_id', 'stripe_subscription_id',
+        'email', 'email_verified', 'auth_user_id', 'auth_provider', 'auth_provider_id',
+        'referral_count', 'referral_rewards_claimed'
+    ];
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Record who is changing users rows in this transaction, and why
+-- Read by the audit_privileged_user_changes trigger.
+CREATE OR REPLACE FUNCTION set_audit_context(actor TEXT, reason TEXT DEFAULT NULL)
+RETURNS VOID AS $$
+BEGIN
+    PERFORM set_config('neoclip.audit_actor', COALESCE(actor, ''), true);
+    PERFORM set_config('neoclip.audit_reason', COALESCE(reason, ''), true);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Change privileged fields of a user on behalf of actor (the API's only way
+-- to write them). changes maps field names to new values; expected, when
+-- given, must be contained in the current row (e.g. '{"tier": "pro"}') or
+-- nothing is updated. Returns true if the row was updated.
+CREATE OR REPLACE FUNCTION update_user_privileged(
+    target_user_id UUID,
+    changes JSONB,
+    actor TEXT,
+    reason TEXT DEFAULT NULL,
+    expected JSONB DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    unknown_field TEXT;
+BEGIN
+    SELECT field_name INTO unknown_field
+    FROM jsonb_object_keys(changes) AS field_name
+    WHERE field_name <> ALL (privileged_user_fields())
     LIMIT 1;
     
-    IF key_val IS NOT NULL THEN
-        UPDATE api_keys
+    IF unknown_field IS NOT NULL THEN
+        RAISE EXCEPTION 'Not a privileged users field: %', unknown_field;
+    END IF;
+    
+    PERFORM set_audit_context(actor, reason);
+    
+    UPDATE users u
+    SET (
+        tier, subscription_status, subscription_ends_at,
+        stripe_customer_id, stripe_subscription_id,
+        email, email_verified, auth_user_id, auth_provider, auth_provider_id,
+        referral_count, referral_rewards_claimed
+    ) = (
+        SELECT
+            r.tier, r.subscription_status, r.subscription_ends_at,
+            r.stripe_customer_id, r.stripe_subscription_id,
+            r.email, r.email_verified, r.auth_user_id, r.auth_provider, r.auth_provider_id,
+            r.referral_count, r.referral_rewards_claimed
+        FROM jsonb_populate_record(u, changes) r
+    )
+    WHERE u.id = target_user_id
+      AND (expected IS NULL OR to_jsonb(u) @> expected);
+    
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Merge an anonymous (guest) account into an authenticated one, then delete it
+-- Conflict rules:
+-- - Generations, credits, promo redemptions, referrals, devices and history
+--   move to the target. The guest's monthly allowance for the current period
+--   is dropped - the target's allowance covers both accounts' usage.
+-- - A live Stripe subscription on only one side ends up on the target; live
+--   subscriptions on both sides are refused (subscription_conflict).
+--   Otherwise a running promo trial on the guest carries over when it is for
+--   a higher tier, or the same tier but running longer.
+-- - Where both accounts hold a row that must stay unique (a redemption of the
+--   same promo code, being someone's referee), the target's row is kept.
+-- result: merged | not_found | not_anonymous | subscription_conflict
+CREATE OR REPLACE FUNCTION merge_user_accounts(source_user_id UUID, target_user_id UUID, actor TEXT)
+RETURNS TABLE(result TEXT, generations_moved INTEGER, credits_moved INTEGER) AS $$
+DECLARE
+    guest users%ROWTYPE;
+    account users%ROWTYPE;
+    tier_order TEXT[] := ARRAY['free', 'basic', 'pro', 'enterprise'];
+    live_statuses TEXT[] := ARRAY['active', 'trialing', 'past_due'];
+    guest_billing BOOLEAN;
+    account_billing BOOLEAN;
+    moved_generations INTEGER;
+    moved_credits INTEGER;
+BEGIN
+    IF source_user_id = target_user_id THEN
+        RETURN QUERY SELECT 'not_found'::TEXT, 0, 0;
+        RETURN;
+    END IF;
+    
+    -- Lock both rows in a fixed order so concurrent merges can't deadlock
+    PERFORM 1 FROM users WHERE id IN (source_user_id, target_user_id) ORDER BY id FOR UPDATE;
+    PERFORM roll_credit_period(source_user_id);
+    PERFORM roll_credit_period(target_user_id);
+    
+    SELECT * INTO guest FROM users WHERE id = source_user_id;
+    SELECT * INTO account FROM users WHERE id = target_user_id;
+    IF guest.id IS NULL OR account.id IS NULL THEN
+        RETURN QUERY SELECT 'not_found'::TEXT, 0, 0;
+        RETURN;
+    END IF;
+    IF guest.auth_user_id IS NOT NULL THEN
+        RETURN QUERY SELECT 'not_anonymous'::TEXT, 0, 0;
+        RETURN;
+    END IF;
+    
+    guest_billing := guest.stripe_subscription_id IS NOT NULL AND guest.subscription_status = ANY (live_statuses);
+    account_billing := account.stripe_subscription_id IS NOT NULL AND account.subscription_status = ANY (live_statuses);
+    IF guest_billing AND account_billing THEN
+        RETURN QUERY SELECT 'subscription_conflict'::TEXT, 0, 0;
+        RETURN;
+    END IF;
+    
+    -- Credits: everything but the guest's allowance for the current period
+    SELECT COALESCE(SUM(amount), 0) INTO moved_credits
+    FROM credit_ledger
+    WHERE user_id = source_user_id
+      AND NOT (entry_type = 'grant' AND reason = 'monthly_allowance'
+               AND period_start = credit_period_start(guest.resets_at));
+    
+    UPDATE credit_ledger SET user_id = target_user_id
+    WHERE user_id = source_user_id
+      AND NOT (entry_type = 'grant' AND reason = 'monthly_allowance'
+               AND period_start = credit_period_start(guest.resets_at));
+    
+    UPDATE generations SET user_id = target_user_id WHERE user_id = source_user_id;
+    GET DIAGNOSTICS moved_generations = ROW_COUNT;
+    
+    UPDATE quota_reservations SET user_id = target_user_id WHERE user_id = source_user_id;
+    UPDATE idempotency_keys ik SET user_id = target_user_id
+    WHERE ik.user_id = source_user_id
+      AND NOT EXISTS (
+          SELECT 1 FROM idempotency_keys t
+          WHERE t.user_id = target_user_id AND t.idempotency_key = ik.idempotency_key
+      );
+    UPDATE user_sessions SET user_id = target_user_id WHERE user_id = source_user_id;
+    UPDATE app_events SET user_id = target_user_id WHERE user_id = source_user_id;
+    UPDATE user_audit_log SET user_id = target_user_id WHERE user_id = source_user_id;
+    
+    UPDATE promo_redemptions pr SET user_id = target_user_id
+    WHERE pr.user_id = source_user_id
+      AND NOT EXISTS (
+          SELECT 1 FROM promo_redemptions t
+          WHERE t.user_id = target_user_id AND t.promo_code_id = pr.promo_code_id
+      );
+    
+    -- Referrals between the two accounts would become self-referrals
+    DELETE FROM referrals
+    WHERE (referrer_id = source_user_id AND referee_id = target_user_id)
+       OR (referrer_id = target_user_id AND referee_id = source_user_id);
+    UPDATE referrals SET referrer_id = target_user_id WHERE referrer_id = source_user_id;
+    UPDATE referrals SET referee_id = target_user_id
+    WHERE referee_id = source_user_id
+      AND NOT EXISTS (SELECT 1 FROM referrals WHERE referee_id = target_user_id);
+    
+    -- Collections: a guest collection named like one of the account's is
+    -- appended to it, the others move over after the account's own
+    INSERT INTO collection_items (collection_id, generation_id, position, added_at)
+    SELECT t.id, ci.generation_id,
+           ci.position + COALESCE((SELECT MAX(position) FROM collection_items WHERE collection_id = t.id), 0),
+           ci.added_at
+    FROM collections g
+    JOIN collections t ON t.user_id = target_user_id AND lower(t.name) = lower(g.name)
+    JOIN collection_items ci ON ci.collection_id = g.id
+    WHERE g.user_id = source_user_id
+    ON CONFLICT (collection_id, generation_id) DO NOTHING;
+    
+    DELETE FROM collections g
+    WHERE g.user_id = source_user_id
+      AND EXISTS (SELECT 1 FROM collections t WHERE t.user_id = target_user_id AND lower(t.name) = lower(g.name));
+    
+    UPDATE collections
+    SET position = position + COALESCE((SELECT MAX(position) FROM collections WHERE user_id = target_user_id), 0),
+        user_id = target_user_id
+    WHERE user_id = source_user_id;
+    
+    -- Devices: the guest's own device and any it had linked
+    UPDATE user_devices SET user_id = target_user_id WHERE user_id = source_user_id;
+    IF guest.device_id IS NOT NULL THEN
+        INSERT INTO user_devices (user_id, device_id, device_platform, device_model, os_version, app_version, last_ip, last_seen_at)
+        VALUES (target_user_id, guest.device_id, guest.device_platform, guest.device_model,
+                guest.os_version, guest.app_version, guest.last_ip, guest.last_active_at)
+        ON CONFLICT (device_id) DO UPDATE SET user_id = EXCLUDED.user_id;
+    END IF;
+    
+    PERFORM set_audit_context(actor, 'account_merge');
+    
+    IF guest_billing AND NOT account_billing THEN
+        UPDATE users
         SET 
-            last_used_at = CURRENT_TIMESTAMP,
-            total_requests = total_requests + 1,
-            current_minute_requests = current_minute_requests + 1
-        WHERE provider = provider_name AND key_value = key_val;
+            tier = guest.tier,
+            subscription_status = guest.subscription_status,
+            subscription_ends_at = guest.subscription_ends_at,
+            stripe_customer_id = guest.stripe_customer_id,
+            stripe_subscription_id = guest.stripe_subscription_id
+        WHERE id = target_user_id;
+    ELSIF NOT account_billing
+      AND guest.subscription_status = 'trialing'
+      AND guest.subscription_ends_at > CURRENT_TIMESTAMP
+      AND EXISTS (
+          SELECT 1 FROM promo_redemptions
+          WHERE user_id = target_user_id
+            AND tier_granted = guest.tier
+            AND access_ends_at = guest.subscription_ends_at
+      )
+      AND (
+          array_position(tier_order, guest.tier) > array_position(tier_order, account.tier)
+          OR (guest.tier = account.tier AND account.subscription_status = 'trialing'
+              AND account.subscription_ends_at < guest.subscription_ends_at)
+      ) THEN
+        UPDATE users
+        SET 
+            tier = guest.tier,
+            subscription_status = 'trialing',
+            subscription_ends_at = guest.subscription_ends_at
+        WHERE id = target_user_id;
     END IF;
     
-    RETURN key_val;
+    UPDATE users
+    SET 
+        total_videos_generated = COALESCE(total_videos_generated, 0) + COALESCE(guest.total_videos_generated, 0),
+        total_videos_downloaded = COALESCE(total_videos_downloaded, 0) + COALESCE(guest.total_videos_downloaded, 0),
+        login_count = COALESCE(login_count, 0) + COALESCE(guest.login_count, 0),
+        referral_count = (
+            SELECT COUNT(*) FROM referrals
+            WHERE referrer_id = target_user_id AND status <> 'rejected'
+        ),
+        referral_rewards_claimed = COALESCE(referral_rewards_claimed, 0) + COALESCE(guest.referral_rewards_claimed, 0),
+        referred_by = COALESCE(referred_by, guest.referred_by),
+        utm_source = COALESCE(utm_source, guest.utm_source),
+        utm_medium = COALESCE(utm_medium, guest.utm_medium),
+        utm_campaign = COALESCE(utm_campaign, guest.utm_campaign),
+        acquisition_channel = COALESCE(acquisition_channel, guest.acquisition_channel),
+        signup_ip = COALESCE(signup_ip, guest.signup_ip),
+        last_active_at = GREATEST(last_active_at, guest.last_active_at)
+    WHERE id = target_user_id;
+    
+    INSERT INTO user_audit_log (user_id, field, old_value, new_value, actor, reason)
+    VALUES (
+        target_user_id, 'merged_account', NULL,
+        jsonb_build_object(
+            'user_id', guest.id, 'device_id', guest.device_id,
+            'generations', moved_generations, 'credits', moved_credits
+        ),
+        actor, 'account_merge'
+    );
+    
+    DELETE FROM users WHERE id = source_user_id;
+    
+    RETURN QUERY SELECT 'merged'::TEXT, moved_generations, moved_credits;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Append generations to one of a user's collections (in the order given)
+-- Skips generations the user doesn't own, trashed ones and ones already in it.
+-- Returns the number added, or NULL when the collection isn't the user's.
+CREATE OR REPLACE FUNCTION add_to_collection(target_user_id UUID, target_collection_id UUID, generation_ids UUID[])
+RETURNS INTEGER AS $$
+DECLARE
+    last_position INTEGER;
+    added INTEGER;
+BEGIN
+    PERFORM 1 FROM collections
+    WHERE id = target_collection_id AND user_id = target_user_id
+    FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+    
+    SELECT COALESCE(MAX(position), 0) INTO last_position
+    FROM collection_items WHERE collection_id = target_collection_id;
+    
+    INSERT INTO collection_items (collection_id, generation_id, position)
+    SELECT target_collection_id, g.id, last_position + ROW_NUMBER() OVER (ORDER BY ids.ord)
+    FROM unnest(generation_ids) WITH ORDINALITY AS ids(generation_id, ord)
+    JOIN generations g ON g.id = ids.generation_id
+    WHERE g.user_id = target_user_id
+      AND g.deleted_at IS NULL
+      AND NOT EXISTS (
+          SELECT 1 FROM collection_items ci
+          WHERE ci.collection_id = target_collection_id AND ci.generation_id = g.id
+      )
+    ON CONFLICT (collection_id, generation_id) DO NOTHING;
+    GET DIAGNOSTICS added = ROW_COUNT;
+    
+    UPDATE collections SET updated_at = CURRENT_TIMESTAMP WHERE id = target_collection_id;
+    RETURN added;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Reorder a user's collection: the generations given come first, in that
+-- order, followed by the rest in their current order.
+-- Returns FALSE when the collection isn't the user's.
+CREATE OR REPLACE FUNCTION reorder_collection(target_user_id UUID, target_collection_id UUID, generation_ids UUID[])
+RETURNS BOOLEAN AS $$
+BEGIN
+    PERFORM 1 FROM collections
+    WHERE id = target_collection_id AND user_id = target_user_id
+    FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+    
+    UPDATE collection_items ci
+    SET position = ordered.new_position
+    FROM (
+        SELECT c.generation_id,
+               ROW_NUMBER() OVER (ORDER BY array_position(generation_ids, c.generation_id) NULLS LAST, c.position) AS new_position
+        FROM collection_items c
+        WHERE c.collection_id = target_collection_id
+    ) ordered
+    WHERE ci.collection_id = target_collection_id
+      AND ci.generation_id = ordered.generation_id
+      AND ci.position <> ordered.new_position;
+    
+    UPDATE collections SET updated_at = CURRENT_TIMESTAMP WHERE id = target_collection_id;
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Reorder a user's collection list the same way
+CREATE OR REPLACE FUNCTION reorder_collections(target_user_id UUID, collection_ids UUID[])
+RETURNS VOID AS $$
+BEGIN
+    UPDATE collections c
+    SET position = ordered.new_position
+    FROM (
+        SELECT id,
+               ROW_NUMBER() OVER (ORDER BY array_position(collection_ids, id) NULLS LAST, position, created_at) AS new_position
+        FROM collections
+        WHERE user_id = target_user_id
+    ) ordered
+    WHERE c.id = ordered.id
+      AND c.position <> ordered.new_position;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Get next active API key for a provider (with rotation)
+-- Returns the key id too, so tasks can be polled with the key that created them.
+-- Keys cooling down after an error are skipped until rate_limit_reset_at;
+-- mark_api_key_error decides when a key is disabled for good (is_active).
+CREATE OR REPLACE FUNCTION acquire_api_key(provider_name TEXT)
+RETURNS TABLE (key_id UUID, key_value TEXT) AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE api_keys
+    SET 
+        last_used_at = CURRENT_TIMESTAMP,
+        total_requests = total_requests + 1,
+        current_minute_requests = current_minute_requests + 1
+    WHERE id = (
+        SELECT k.id
+        FROM api_keys k
+        WHERE k.provider = provider_name
+          AND k.is_active = true
+          AND (k.rate_limit_reset_at IS NULL OR k.rate_limit_reset_at <= CURRENT_TIMESTAMP)
+        ORDER BY k.last_used_at NULLS FIRST, k.total_requests ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING api_keys.id, api_keys.key_value;
 END;
 $$ LANGUAGE plpgsql;
 
+-- Value-only variant kept for existing callers
+CREATE OR REPLACE FUNCTION get_active_key(provider_name TEXT)
+RETURNS TEXT AS $$
+    SELECT key_value FROM acquire_api_key(provider_name);
+$$ LANGUAGE sql;
+
 -- Mark API key error
-CREATE OR REPLACE FUNCTION mark_api_key_error(provider_name TEXT, key_val TEXT, error_msg TEXT)
+-- 401/403 and 429 responses disable the key after 3 in a row;
+-- any other error disables it after 5. Until then the key cools down before
+-- it is handed out again: 1 minute after a 429, 15 seconds per consecutive
+-- error otherwise, so a key that recovers is picked up again.
+DROP FUNCTION IF EXISTS mark_api_key_error(TEXT, TEXT, TEXT);
+CREATE OR REPLACE FUNCTION mark_api_key_error(provider_name TEXT, key_val TEXT, error_msg TEXT, error_status INTEGER DEFAULT NULL)
 RETURNS void AS $$
 BEGIN
     UPDATE api_keys
@@ -444,8 +1538,22 @@ BEGIN
         consecutive_errors = consecutive_errors + 1,
         last_error = error_msg,
         last_error_at = CURRENT_TIMESTAMP,
-        is_active = CASE WHEN consecutive_errors >= 5 THEN false ELSE is_active END,
-        disabled_reason = CASE WHEN consecutive_errors >= 5 THEN 'Too many consecutive errors' ELSE disabled_reason END
+        last_error_status = error_status,
+        rate_limit_reset_at = CASE
+            WHEN error_status = 429 THEN CURRENT_TIMESTAMP + INTERVAL '1 minute'
+            ELSE CURRENT_TIMESTAMP + (consecutive_errors + 1) * INTERVAL '15 seconds'
+        END,
+        is_active = CASE
+            WHEN error_status IN (401, 403, 429) AND consecutive_errors + 1 >= 3 THEN false
+            WHEN consecutive_errors + 1 >= 5 THEN false
+            ELSE is_active
+        END,
+        disabled_reason = CASE
+            WHEN error_status IN (401, 403) AND consecutive_errors + 1 >= 3 THEN 'Repeated authentication errors (HTTP ' || error_status || ')'
+            WHEN error_status = 429 AND consecutive_errors + 1 >= 3 THEN 'Repeatedly rate limited (HTTP 429)'
+            WHEN consecutive_errors + 1 >= 5 THEN 'Too many consecutive errors'
+            ELSE disabled_reason
+        END
     WHERE provider = provider_name AND key_value = key_val;
 END;
 $$ LANGUAGE plpgsql;
@@ -462,6 +1570,106 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Circuit breaker: may this invocation call the provider?
+-- An open breaker lets exactly one caller through as a half-open probe once
+-- the cooldown has passed (or the previous probe went quiet for as long).
+CREATE OR REPLACE FUNCTION breaker_allow_request(provider_name TEXT, cooldown_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+DECLARE
+    allowed BOOLEAN;
+BEGIN
+    INSERT INTO provider_health (provider) VALUES (provider_name)
+    ON CONFLICT (provider) DO NOTHING;
+
+    UPDATE provider_health
+    SET 
+        state = 'half_open',
+        probe_started_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE provider = provider_name
+      AND (
+          (state = 'open' AND opened_at <= CURRENT_TIMESTAMP - make_interval(secs => cooldown_seconds))
+          OR (state = 'half_open' AND probe_started_at <= CURRENT_TIMESTAMP - make_interval(secs => cooldown_seconds))
+      )
+    RETURNING true INTO allowed;
+
+    IF allowed THEN
+        RETURN true;
+    END IF;
+
+    SELECT state = 'closed' INTO allowed
+    FROM provider_health
+    WHERE provider = provider_name;
+
+    RETURN COALESCE(allowed, true);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Circuit breaker: hand back a half-open probe that never reached the
+-- provider (no API key, or a request the provider rightly rejected), so the
+-- next caller can probe instead of waiting out another cooldown
+CREATE OR REPLACE FUNCTION breaker_release_probe(provider_name TEXT)
+RETURNS void AS $$
+BEGIN
+    UPDATE provider_health
+    SET 
+        state = 'open',
+        probe_started_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE provider = provider_name
+      AND state = 'half_open';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Circuit breaker: successful call closes the breaker
+CREATE OR REPLACE FUNCTION breaker_record_success(provider_name TEXT)
+RETURNS void AS $$
+BEGIN
+    INSERT INTO provider_health (provider, last_success_at)
+    VALUES (provider_name, CURRENT_TIMESTAMP)
+    ON CONFLICT (provider) DO UPDATE
+    SET 
+        state = 'closed',
+        consecutive_failures = 0,
+        opened_at = NULL,
+        probe_started_at = NULL,
+        last_success_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Circuit breaker: failed call opens the breaker at the threshold,
+-- or immediately when a half-open probe fails
+CREATE OR REPLACE FUNCTION breaker_record_failure(provider_name TEXT, error_msg TEXT, failure_threshold INTEGER)
+RETURNS TEXT AS $$
+DECLARE
+    new_state TEXT;
+BEGIN
+    INSERT INTO provider_health (provider) VALUES (provider_name)
+    ON CONFLICT (provider) DO NOTHING;
+
+    UPDATE provider_health
+    SET 
+        consecutive_failures = consecutive_failures + 1,
+        state = CASE
+            WHEN state = 'half_open' OR consecutive_failures + 1 >= failure_threshold THEN 'open'
+            ELSE state
+        END,
+        opened_at = CASE
+            WHEN state = 'half_open' OR consecutive_failures + 1 >= failure_threshold THEN CURRENT_TIMESTAMP
+            ELSE opened_at
+        END,
+        probe_started_at = NULL,
+        last_error = error_msg,
+        last_failure_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE provider = provider_name
+    RETURNING state INTO new_state;
+
+    RETURN new_state;
+END;
+$$ LANGUAGE plpgsql;
+
 -- ============================================
 -- AUTO-UPDATE TRIGGERS
 -- ============================================
@@ -481,6 +1689,72 @@ CREATE TRIGGER update_users_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_promo_codes_updated_at ON promo_codes;
+CREATE TRIGGER update_promo_codes_updated_at
+    BEFORE UPDATE ON promo_codes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_generations_updated_at ON generations;
+CREATE TRIGGER update_generations_updated_at
+    BEFORE UPDATE ON generations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_collections_updated_at ON collections;
+CREATE TRIGGER update_collections_updated_at
+    BEFORE UPDATE ON collections
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Collection membership is part of a generation in library sync, so adding
+-- or removing one bumps the generation's updated_at
+CREATE OR REPLACE FUNCTION touch_collection_item_generation()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE generations
+    SET updated_at = CURRENT_TIMESTAMP
+    WHERE id = CASE WHEN TG_OP = 'DELETE' THEN OLD.generation_id ELSE NEW.generation_id END;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_touch_collection_item_generation ON collection_items;
+CREATE TRIGGER trigger_touch_collection_item_generation
+    AFTER INSERT OR DELETE ON collection_items
+    FOR EACH ROW
+    EXECUTE FUNCTION touch_collection_item_generation();
+
+-- Write changes to privileged users fields to user_audit_log
+-- The actor and reason come from set_audit_context(); changes made without
+-- one (e.g. from the SQL editor) are attributed to the database role.
+CREATE OR REPLACE FUNCTION audit_privileged_user_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+    old_row JSONB := to_jsonb(OLD);
+    new_row JSONB := to_jsonb(NEW);
+    field_name TEXT;
+BEGIN
+    FOREACH field_name IN ARRAY privileged_user_fields() LOOP
+        IF old_row -> field_name IS DISTINCT FROM new_row -> field_name THEN
+            INSERT INTO user_audit_log (user_id, field, old_value, new_value, actor, reason)
+            VALUES (
+                NEW.id, field_name, old_row -> field_name, new_row -> field_name,
+                COALESCE(NULLIF(current_setting('neoclip.audit_actor', true), ''), 'db:' || current_user),
+                NULLIF(current_setting('neoclip.audit_reason', true), '')
+            );
+        END IF;
+    END LOOP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_users_privileged_fields ON users;
+CREATE TRIGGER audit_users_privileged_fields
+    AFTER UPDATE ON users
+    FOR EACH ROW
+    EXECUTE FUNCTION audit_privileged_user_changes();
+
 -- Update user stats on generation completion
 CREATE OR REPLACE FUNCTION update_user_stats_on_generation()
 RETURNS TRIGGER AS $$
@@ -531,36 +1805,157 @@ SELECT
     COUNT(*) FILTER (WHERE status = 'failed') as failed,
     ROUND(100.0 * COUNT(*) FILTER (WHERE status = 'completed') / NULLIF(COUNT(*), 0), 2) as success_rate,
     AVG(total_time_ms) FILTER (WHERE status = 'completed') as avg_time_ms,
-    SUM(cost) as total_cost
+    SUM(cost) as total_cost,
+    -- Last 24h, finished tasks only (used to order fallback chains)
+    COUNT(*) FILTER (WHERE status IN ('completed', 'failed') AND created_at > CURRENT_TIMESTAMP - INTERVAL '24 hours') as recent_finished,
+    COUNT(*) FILTER (WHERE status = 'completed' AND created_at > CURRENT_TIMESTAMP - INTERVAL '24 hours') as recent_completed
 FROM generations
 WHERE provider IS NOT NULL
 GROUP BY provider, model
 ORDER BY total_tasks DESC;
 
+-- Credit balance and current-period usage per user
+-- free_used / paid_used: credits spent (net of refunds) this period per plan bucket
+CREATE OR REPLACE VIEW user_credit_usage AS
+SELECT 
+    u.id as user_id,
+    credit_period_start(u.resets_at) as period_start,
+    u.resets_at,
+    COALESCE(SUM(-l.amount) FILTER (
+        WHERE l.entry_type IN ('debit', 'refund') AND l.usage_counter = 'free'
+          AND l.period_start = credit_period_start(u.resets_at)
+    ), 0)::INTEGER as free_used,
+    COALESCE(SUM(-l.amount) FILTER (
+        WHERE l.entry_type IN ('debit', 'refund') AND l.usage_counter = 'paid'
+          AND l.period_start = credit_period_start(u.resets_at)
+    ), 0)::INTEGER as paid_used,
+    COALESCE(SUM(l.amount), 0)::INTEGER as credit_balance
+FROM users u
+LEFT JOIN credit_ledger l ON l.user_id = u.id
+GROUP BY u.id, u.resets_at;
+
+-- Promo code performance by campaign
+CREATE OR REPLACE VIEW promo_campaign_summary AS
+SELECT 
+    p.utm_campaign,
+    p.code,
+    p.redemption_count,
+    p.max_redemptions,
+    p.expires_at,
+    COALESCE(SUM(r.credits_granted), 0) as credits_granted,
+    COUNT(r.id) FILTER (WHERE r.tier_granted IS NOT NULL) as trials_granted,
+    COUNT(r.id) FILTER (WHERE EXISTS (
+        SELECT 1 FROM generations g
+        WHERE g.user_id = r.user_id AND g.created_at >= r.redeemed_at
+    )) as redeemers_who_generated
+FROM promo_codes p
+LEFT JOIN promo_redemptions r ON r.promo_code_id = p.id
+GROUP BY p.id
+ORDER BY p.utm_campaign, p.code;
+
 -- User engagement summary
 CREATE OR REPLACE VIEW user_engagement_summary AS
 SELECT 
     u.id,
     u.email,
     u.tier,
-    u.free_used,
+    MAX(uc.free_used)::INTEGER as free_used,
     u.total_videos_generated,
     u.created_at,
     u.last_active_at,
     COUNT(g.id) as generations_count,
     COUNT(g.id) FILTER (WHERE g.status = 'completed') as successful_generations
 FROM users u
+LEFT JOIN user_credit_usage uc ON uc.user_id = u.id
 LEFT JOIN generations g ON u.id = g.user_id
 GROUP BY u.id
 ORDER BY u.total_videos_generated DESC;
 
+-- ============================================
+-- STORAGE BUCKETS
+-- ============================================
+
+-- Reference images for image-to-video (public read, uploads via service key)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('reference-images', 'reference-images', true)
+ON CONFLICT (id) DO NOTHING;
+
+-- Finished videos re-hosted from provider URLs (when VIDEO_STORAGE=supabase)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('videos', 'videos', true)
+ON CONFLICT (id) DO NOTHING;
+
+-- ============================================
+-- UPGRADES FOR EXISTING DATABASES
+-- CREATE TABLE IF NOT EXISTS skips tables that already exist,
+-- so columns added after 3.3.0 are also applied here
+-- ============================================
+
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS mode TEXT DEFAULT 'text-to-video' CHECK (mode IN ('text-to-video', 'image-to-video'));
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS source_image_url TEXT;
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS source_image_path TEXT;
+CREATE INDEX IF NOT EXISTS idx_generations_mode ON generations(mode);
+
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS last_error_status INTEGER;
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS attempted_providers TEXT[] DEFAULT '{}';
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP;
+CREATE INDEX IF NOT EXISTS idx_generations_user_updated ON generations(user_id, updated_at, id);
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS prompt_search TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', coalesce(prompt, ''))) STORED;
+CREATE INDEX IF NOT EXISTS idx_generations_prompt_search ON generations USING GIN (prompt_search);
+CREATE INDEX IF NOT EXISTS idx_generations_user_created ON generations(user_id, created_at DESC, id);
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_generations_deleted_at ON generations(deleted_at) WHERE deleted_at IS NOT NULL;
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS is_favorite BOOLEAN DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS idx_generations_user_favorite ON generations(user_id) WHERE is_favorite;
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS video_path TEXT;
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS video_storage TEXT CHECK (video_storage IN ('supabase', 's3'));
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS video_rehost_attempts INTEGER DEFAULT 0;
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS video_rehost_error TEXT;
+-- Completed videos still served from the provider, for the re-host backfill
+CREATE INDEX IF NOT EXISTS idx_generations_rehost ON generations(completed_at DESC)
+    WHERE status = 'completed' AND video_url IS NOT NULL AND video_path IS NULL;
+ALTER TABLE quota_reservations ADD COLUMN IF NOT EXISTS credits INTEGER DEFAULT 1;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS signup_ip TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_ip TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS auth_user_id UUID UNIQUE REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS device_token_issued_at TIMESTAMPTZ;
+
+-- Devices registered before user_devices existed
+INSERT INTO user_devices (user_id, device_id, device_platform, device_model, os_version, app_version, last_ip, last_seen_at)
+SELECT id, device_id, device_platform, device_model, os_version, app_version, last_ip, last_active_at
+FROM users
+WHERE device_id IS NOT NULL
+ON CONFLICT (device_id) DO NOTHING;
+
+-- free_used / paid_used moved to the credit ledger: carry this period's
+-- usage over as ledger debits, then drop the counters
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'users' AND column_name = 'free_used'
+    ) THEN
+        EXECUTE $migrate$
+            INSERT INTO credit_ledger (user_id, entry_type, amount, reason, usage_counter, period_start)
+            SELECT id, 'debit', -free_used, 'migrated_usage', 'free', credit_period_start(resets_at)
+            FROM users WHERE free_used > 0 AND resets_at > CURRENT_DATE
+            UNION ALL
+            SELECT id, 'debit', -paid_used, 'migrated_usage', 'paid', credit_period_start(resets_at)
+            FROM users WHERE paid_used > 0 AND resets_at > CURRENT_DATE
+        $migrate$;
+        ALTER TABLE users DROP COLUMN free_used;
+        ALTER TABLE users DROP COLUMN paid_used;
+    END IF;
+END $$;
+
 -- ============================================
 -- SAMPLE DATA (Optional - for testing)
 -- ============================================
 
 -- Insert a test user (uncomment to use)
--- INSERT INTO users (device_id, email, tier, free_used)
--- VALUES ('test-device-001', 'test@example.com', 'free', 0)
+-- INSERT INTO users (device_id, email, tier)
+-- VALUES ('test-device-001', 'test@example.com', 'free')
 -- ON CONFLICT (device_id) DO NOTHING;
 
 -- ============================================
@@ -0,0 +1,67 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { signDeviceToken, verifyDeviceToken, DEVICE_TOKEN_ISSUER } from '../api/_lib/auth.js';
+
+const SECRET = 'test-device-secret';
+const USER_ID = '6f1c2d4e-8a9b-4c3d-9e8f-1a2b3c4d5e6f';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Hand-built token, for claims signDeviceToken() never produces
+function makeToken(payload, { alg = 'HS256', secret = SECRET } = {}) {
+  const head = `${encode({ alg, typ: 'JWT' })}.${encode(payload)}`;
+  return `${head}.${crypto.createHmac('sha256', secret).update(head).digest('base64url')}`;
+}
+
+describe('device tokens', () => {
+  let previousSecret;
+  before(() => {
+    previousSecret = process.env.DEVICE_TOKEN_SECRET;
+    process.env.DEVICE_TOKEN_SECRET = SECRET;
+  });
+  after(() => {
+    if (previousSecret === undefined) delete process.env.DEVICE_TOKEN_SECRET;
+    else process.env.DEVICE_TOKEN_SECRET = previousSecret;
+  });
+
+  it('round-trips the user and device id', () => {
+    assert.deepEqual(verifyDeviceToken(signDeviceToken(USER_ID, 'device-1')), { userId: USER_ID, deviceId: 'device-1' });
+  });
+
+  it('rejects a token signed with another secret', () => {
+    const token = makeToken({ iss: DEVICE_TOKEN_ISSUER, sub: USER_ID, did: 'device-1' }, { secret: 'other-secret' });
+    assert.throws(() => verifyDeviceToken(token), { statusCode: 401, message: 'Invalid token signature' });
+  });
+
+  it('rejects a token whose payload was changed', () => {
+    const [header, , signature] = signDeviceToken(USER_ID, 'device-1').split('.');
+    const forged = `${header}.${encode({ iss: DEVICE_TOKEN_ISSUER, sub: 'someone-else', did: 'device-1' })}.${signature}`;
+    assert.throws(() => verifyDeviceToken(forged), { statusCode: 401 });
+  });
+
+  it('rejects an expired token', () => {
+    const token = makeToken({ iss: DEVICE_TOKEN_ISSUER, sub: USER_ID, did: 'device-1', exp: Math.floor(Date.now() / 1000) - 1 });
+    assert.throws(() => verifyDeviceToken(token), { statusCode: 401, message: 'Token expired' });
+  });
+
+  it('rejects tokens that are not HS256', () => {
+    const token = makeToken({ iss: DEVICE_TOKEN_ISSUER, sub: USER_ID, did: 'device-1' }, { alg: 'none' });
+    assert.throws(() => verifyDeviceToken(token), { statusCode: 401, message: 'Unsupported token algorithm' });
+  });
+
+  it('rejects tokens from another issuer and malformed tokens', () => {
+    assert.throws(() => verifyDeviceToken(makeToken({ iss: 'supabase', sub: USER_ID })), { message: 'Not a device token' });
+    assert.throws(() => verifyDeviceToken('not-a-jwt'), { message: 'Not a device token' });
+    assert.throws(() => verifyDeviceToken(undefined), { message: 'Not a device token' });
+  });
+
+  it('fails with 503 when DEVICE_TOKEN_SECRET is missing', () => {
+    delete process.env.DEVICE_TOKEN_SECRET;
+    try {
+      assert.throws(() => signDeviceToken(USER_ID, 'device-1'), { statusCode: 503 });
+    } finally {
+      process.env.DEVICE_TOKEN_SECRET = SECRET;
+    }
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCreditCost, getMaxCreditCost, getMinCreditCost } from '../api/_lib/credits.js';
+
+const plan = { providers: ['luma', 'fal', 'wan'] };
+const input = (overrides) => ({ prompt: 'A fox in the snow', length: 10, aspectRatio: '16:9', resolution: '720p', ...overrides });
+
+describe('getCreditCost', () => {
+  it('charges one credit per started 10 second block', () => {
+    assert.equal(getCreditCost({ duration: 10, resolution: '720p', provider: 'fal' }), 1);
+    assert.equal(getCreditCost({ duration: 11, resolution: '720p', provider: 'fal' }), 2);
+    assert.equal(getCreditCost({ duration: 30, resolution: '720p', provider: 'fal' }), 3);
+  });
+
+  it('charges at least one block', () => {
+    assert.equal(getCreditCost({ duration: 0, resolution: '720p', provider: 'fal' }), 1);
+  });
+
+  it('applies the resolution multiplier and provider weight', () => {
+    assert.equal(getCreditCost({ duration: 10, resolution: '1080p', provider: 'fal' }), 2);
+    assert.equal(getCreditCost({ duration: 20, resolution: '720p', provider: 'luma' }), 10);
+  });
+
+  it('treats unknown resolutions and providers as weight 1', () => {
+    assert.equal(getCreditCost({ duration: 10, resolution: '4k', provider: 'unknown' }), 1);
+  });
+});
+
+describe('getMaxCreditCost', () => {
+  it('returns the most expensive provider of the chain', () => {
+    assert.equal(getMaxCreditCost(plan, input()), 5);
+  });
+
+  it('skips providers that cannot take the input', () => {
+    assert.equal(getMaxCreditCost({ providers: ['luma', 'fal'] }, input({ negativePrompt: 'blurry' })), 1);
+  });
+
+  it('only counts providers within the budget', () => {
+    assert.equal(getMaxCreditCost(plan, input(), 3), 1);
+    assert.equal(getMaxCreditCost(plan, input(), 0), 0);
+  });
+
+  it('falls back to the unweighted cost when no provider can take the input', () => {
+    assert.equal(getMaxCreditCost({ providers: ['fal'] }, input({ aspectRatio: '1:1', length: 20 })), 2);
+  });
+});
+
+describe('getMinCreditCost', () => {
+  it('returns the cheapest provider of the chain', () => {
+    assert.equal(getMinCreditCost(plan, input()), 1);
+    assert.equal(getMinCreditCost({ providers: ['luma'] }, input()), 5);
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertPublicUrl } from '../api/_lib/images.js';
+
+const rejects = (url, message) => assert.rejects(assertPublicUrl(new URL(url)), { statusCode: 400, message });
+
+describe('assertPublicUrl', () => {
+  it('accepts https URLs on public addresses', async () => {
+    await assertPublicUrl(new URL('https://8.8.8.8/image.png'));
+    await assertPublicUrl(new URL('https://[2001:4860:4860::8888]/image.png'));
+  });
+
+  it('requires https on the default port', async () => {
+    await rejects('http://8.8.8.8/image.png', 'imageUrl must use https');
+    await rejects('https://8.8.8.8:8443/image.png', 'imageUrl must use the default https port');
+  });
+
+  it('rejects private, loopback, link-local and reserved addresses', async () => {
+    for (const host of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '[::1]', '[fd00::1]', '[fe80::1]', '[::ffff:127.0.0.1]']) {
+      await rejects(`https://${host}/image.png`, 'imageUrl must point to a public host');
+    }
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor, decodeCursor } from '../api/_lib/library.js';
+
+describe('library cursors', () => {
+  const parts = ['2026-03-01T12:00:00.000Z', '6f1c2d4e-8a9b-4c3d-9e8f-1a2b3c4d5e6f'];
+
+  it('round-trips the cursor parts', () => {
+    assert.deepEqual(decodeCursor(encodeCursor(parts), 2), parts);
+  });
+
+  it('produces URL-safe cursors', () => {
+    assert.match(encodeCursor(parts), /^[A-Za-z0-9_-]+$/);
+  });
+
+  it('returns null when there is no cursor', () => {
+    assert.equal(decodeCursor(undefined, 2), null);
+    assert.equal(decodeCursor('', 2), null);
+  });
+
+  it('rejects cursors with the wrong number of parts', () => {
+    assert.throws(() => decodeCursor(encodeCursor(parts), 3), { statusCode: 400, message: 'Invalid cursor' });
+    assert.throws(() => decodeCursor(encodeCursor({ at: parts[0] }), 2), { statusCode: 400 });
+  });
+
+  it('rejects cursors that are not encoded JSON', () => {
+    assert.throws(() => decodeCursor('not a cursor', 2), { statusCode: 400, message: 'Invalid cursor' });
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PLANS, PLAN_ORDER, getPlan, capResolution, getPlanUsage } from '../api/_lib/plans.js';
+import { PROVIDERS } from '../api/_lib/providers.js';
+
+describe('getPlan', () => {
+  it('returns the plan of a known tier', () => {
+    assert.equal(getPlan('pro'), PLANS.pro);
+  });
+
+  it('falls back to the free plan for unknown tiers', () => {
+    assert.equal(getPlan('platinum'), PLANS.free);
+    assert.equal(getPlan(undefined), PLANS.free);
+  });
+});
+
+describe('capResolution', () => {
+  const plan = { resolution: '720p' };
+
+  it('clamps resolutions above the plan maximum', () => {
+    assert.equal(capResolution(plan, '1080p'), '720p');
+  });
+
+  it('keeps resolutions at or below the plan maximum', () => {
+    assert.equal(capResolution(plan, '720p'), '720p');
+    assert.equal(capResolution(plan, '480p'), '480p');
+  });
+});
+
+describe('getPlanUsage', () => {
+  const usage = { balance: 4, freeUsed: 6, paidUsed: 2 };
+
+  it('counts free usage on the free plan', () => {
+    assert.deepEqual(getPlanUsage(usage, 'free'), { plan: 'free', used: 6, monthlyAllowance: PLANS.free.monthlyAllowance, balance: 4 });
+  });
+
+  it('counts paid usage on paid plans', () => {
+    assert.equal(getPlanUsage(usage, 'basic').used, 2);
+  });
+
+  it('reports no balance on unlimited plans', () => {
+    assert.equal(getPlanUsage(usage, 'enterprise').balance, null);
+  });
+
+  it('never reports a negative balance', () => {
+    assert.equal(getPlanUsage({ balance: -3 }, 'free').balance, 0);
+  });
+});
+
+describe('PLANS', () => {
+  it('lists every plan in PLAN_ORDER', () => {
+    assert.deepEqual([...PLAN_ORDER].sort(), Object.keys(PLANS).sort());
+  });
+
+  it('only uses providers that exist and can render the plan resolution', () => {
+    for (const plan of Object.values(PLANS)) {
+      for (const key of plan.providers) {
+        assert.ok(PROVIDERS[key], `${plan.id} uses unknown provider ${key}`);
+        assert.ok(PROVIDERS[key].capabilities.resolutions.includes(plan.resolution), `${key} can't render ${plan.resolution} for ${plan.id}`);
+      }
+    }
+  });
+});
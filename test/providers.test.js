@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROVIDERS, resolveProviderInput } from '../api/_lib/providers.js';
+
+const provider = (capabilities) => ({
+  capabilities: { aspectRatios: ['16:9'], resolutions: ['720p'], negativePrompt: false, imageToVideo: false, ...capabilities }
+});
+
+const input = (overrides) => ({ prompt: 'A fox in the snow', length: 10, aspectRatio: '16:9', resolution: '720p', ...overrides });
+
+describe('resolveProviderInput', () => {
+  it('passes supported input through unchanged', () => {
+    assert.deepEqual(resolveProviderInput(provider({}), input()), {
+      prompt: 'A fox in the snow',
+      length: 10,
+      aspectRatio: '16:9',
+      resolution: '720p',
+      negativePrompt: null,
+      imageUrl: null
+    });
+  });
+
+  it('rejects an aspect ratio the provider cannot render', () => {
+    assert.equal(resolveProviderInput(provider({}), input({ aspectRatio: '1:1' })), null);
+  });
+
+  it('rejects a negative prompt the provider would ignore', () => {
+    assert.equal(resolveProviderInput(provider({}), input({ negativePrompt: 'blurry' })), null);
+    assert.equal(resolveProviderInput(provider({ negativePrompt: true }), input({ negativePrompt: 'blurry' })).negativePrompt, 'blurry');
+  });
+
+  it('rejects a reference image unless the provider does image-to-video', () => {
+    const imageUrl = 'https://example.com/ref.png';
+    assert.equal(resolveProviderInput(provider({}), input({ imageUrl })), null);
+    assert.equal(resolveProviderInput(provider({ imageToVideo: true }), input({ imageUrl })).imageUrl, imageUrl);
+  });
+
+  it('falls back to the closest resolution at or below a preferred one', () => {
+    const caps = { resolutions: ['480p', '720p'] };
+    assert.equal(resolveProviderInput(provider(caps), input({ resolution: '1080p' })).resolution, '720p');
+    assert.equal(resolveProviderInput(provider(caps), input({ resolution: '768p' })).resolution, '720p');
+  });
+
+  it('falls back to the lowest resolution when none is at or below the preferred one', () => {
+    assert.equal(resolveProviderInput(provider({}), input({ resolution: '480p' })).resolution, '720p');
+  });
+
+  it('rejects an unsupported resolution when it was asked for explicitly', () => {
+    assert.equal(resolveProviderInput(provider({}), input({ resolution: '1080p', strictResolution: true })), null);
+  });
+
+  it('is defined for every provider adapter', () => {
+    for (const [key, adapter] of Object.entries(PROVIDERS)) {
+      assert.ok(adapter.capabilities.aspectRatios.length, `${key} has no aspect ratios`);
+      assert.ok(adapter.capabilities.resolutions.length, `${key} has no resolutions`);
+    }
+  });
+});
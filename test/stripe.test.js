@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { constructEvent, signPayload } from '../api/_lib/stripe.js';
+
+const SECRET = 'whsec_test';
+const payload = JSON.stringify({ id: 'evt_1', type: 'customer.subscription.updated' });
+const body = Buffer.from(payload);
+
+describe('constructEvent', () => {
+  it('parses an event with a valid signature', () => {
+    assert.deepEqual(constructEvent(body, signPayload(payload, SECRET), SECRET), JSON.parse(payload));
+  });
+
+  it('accepts any matching v1 signature in the header', () => {
+    const header = signPayload(payload, SECRET).replace(',v1=', ',v1=deadbeef,v1=');
+    assert.equal(constructEvent(body, header, SECRET).id, 'evt_1');
+  });
+
+  it('rejects a signature made with another secret', () => {
+    assert.throws(() => constructEvent(body, signPayload(payload, 'whsec_other'), SECRET), { statusCode: 400, message: 'Invalid Stripe signature' });
+  });
+
+  it('rejects a tampered body', () => {
+    const header = signPayload(payload, SECRET);
+    assert.throws(() => constructEvent(Buffer.from(payload.replace('evt_1', 'evt_2')), header, SECRET), { statusCode: 400 });
+  });
+
+  it('rejects a stale timestamp', () => {
+    const header = signPayload(payload, SECRET, Math.floor(Date.now() / 1000) - 600);
+    assert.throws(() => constructEvent(body, header, SECRET), { statusCode: 400, message: 'Stripe signature timestamp outside tolerance' });
+  });
+
+  it('rejects missing and malformed headers', () => {
+    assert.throws(() => constructEvent(body, undefined, SECRET), { statusCode: 400, message: 'Missing Stripe-Signature header' });
+    assert.throws(() => constructEvent(body, 't=123', SECRET), { statusCode: 400, message: 'Malformed Stripe-Signature header' });
+  });
+
+  it('fails with 503 when no webhook secret is configured', () => {
+    assert.throws(() => constructEvent(body, signPayload(payload, SECRET), undefined), { statusCode: 503 });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSubscription, PAST_DUE_GRACE_DAYS } from '../api/_lib/subscriptions.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-01T00:00:00Z');
+const daysFromNow = (days) => new Date(now.getTime() + days * DAY_MS).toISOString();
+
+describe('resolveSubscription', () => {
+  it('keeps free users on free', () => {
+    assert.equal(resolveSubscription({ tier: 'free' }, now).tier, 'free');
+  });
+
+  it('treats unknown stored tiers as free', () => {
+    assert.equal(resolveSubscription({ tier: 'platinum', subscription_status: 'active' }, now).tier, 'free');
+  });
+
+  it('keeps an active subscription with no end date', () => {
+    const result = resolveSubscription({ tier: 'pro', subscription_status: 'active' }, now);
+    assert.equal(result.tier, 'pro');
+    assert.equal(result.expired, false);
+  });
+
+  it('keeps access through the grace period after the period ends', () => {
+    const user = { tier: 'basic', subscription_status: 'past_due', subscription_ends_at: daysFromNow(-1) };
+    const result = resolveSubscription(user, now);
+    assert.equal(result.tier, 'basic');
+    assert.equal(result.accessEndsAt, daysFromNow(PAST_DUE_GRACE_DAYS - 1));
+  });
+
+  it('expires once the grace period is over', () => {
+    const user = { tier: 'basic', subscription_status: 'active', subscription_ends_at: daysFromNow(-PAST_DUE_GRACE_DAYS - 1) };
+    const result = resolveSubscription(user, now);
+    assert.equal(result.tier, 'free');
+    assert.equal(result.expired, true);
+  });
+
+  it('ends a cancelled subscription at its end date without grace', () => {
+    assert.equal(resolveSubscription({ tier: 'pro', subscription_status: 'cancelled', subscription_ends_at: daysFromNow(2) }, now).tier, 'pro');
+    assert.equal(resolveSubscription({ tier: 'pro', subscription_status: 'cancelled', subscription_ends_at: daysFromNow(-1) }, now).expired, true);
+  });
+
+  it('expires a cancelled subscription with no end date immediately', () => {
+    assert.equal(resolveSubscription({ tier: 'pro', subscription_status: 'cancelled' }, now).expired, true);
+  });
+
+  it('serves a paused subscription as free without expiring it', () => {
+    const result = resolveSubscription({ tier: 'pro', subscription_status: 'paused' }, now);
+    assert.equal(result.tier, 'free');
+    assert.equal(result.expired, false);
+    assert.equal(result.storedTier, 'pro');
+  });
+});